@@ -9,9 +9,12 @@ const rateLimit = require('express-rate-limit');
 
 const logger = require('./utils/logger');
 const authMiddleware = require('./middleware/authMiddleware');
+const auditTrail = require('./middleware/auditTrail');
 
 // Import routes
 const resumeRoutes = require('./routes/resumes');
+const jobRoutes = require('./routes/jobs');
+const companyRoutes = require('./routes/company');
 
 const app = express();
 
@@ -66,7 +69,9 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/resumes', authMiddleware, resumeRoutes);
+app.use('/api/resumes', authMiddleware, auditTrail, resumeRoutes);
+app.use('/api/jobs', authMiddleware, auditTrail, jobRoutes);
+app.use('/api/company', authMiddleware, auditTrail, companyRoutes);
 
 // Catch-all for undefined routes
 app.all('*', (req, res) => {
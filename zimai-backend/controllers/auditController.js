@@ -0,0 +1,94 @@
+const auditLog = require('../services/auditLog');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+class AuditController {
+  // Audit entries for the company, newest first
+  async listEntries(req, res) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { entries, totalCount } = await dbQueries.getAuditEntries(req.user.company.id, limit, offset, filters);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          },
+          filters
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve audit log',
+        message: error.message
+      });
+    }
+  }
+
+  async exportEntries(req, res) {
+    try {
+      const rowCount = await auditLog.export(res, req.user.company.id, req.query);
+
+      logger.logSecurity('audit_log_exported', {
+        companyId: req.user.company.id,
+        userId: req.user.id,
+        rowCount
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+
+      // Once streaming has started the only option is to abort the download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  }
+
+  // Recomputes the company's hash chain and reports where it breaks, if anywhere
+  async verifyChain(req, res) {
+    try {
+      const result = await auditLog.verify(req.user.company.id);
+
+      if (!result.valid) {
+        logger.logSecurity('audit_chain_broken', {
+          companyId: req.user.company.id,
+          userId: req.user.id,
+          ...result.brokenAt
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to verify audit log',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
@@ -0,0 +1,72 @@
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Company columns exposed through the settings API
+const SETTINGS_FIELDS = [
+  'scoring_mode',
+  'llm_provider',
+  'duplicate_policy',
+  'blind_screening',
+  'low_balance_thresholds',
+  'retention_months'
+];
+
+const pickSettings = (company) =>
+  SETTINGS_FIELDS.reduce((settings, field) => ({ ...settings, [field]: company[field] ?? null }), {});
+
+class CompanyController {
+  // Get company settings
+  async getSettings(req, res) {
+    try {
+      const company = await dbQueries.getCompanyById(req.user.company.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          companyId: company.id,
+          name: company.name,
+          settings: pickSettings(company)
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve settings',
+        message: error.message
+      });
+    }
+  }
+
+  // Update company settings
+  async updateSettings(req, res) {
+    try {
+      const companyId = req.user.company.id;
+
+      const company = await dbQueries.updateCompanySettings(companyId, req.body);
+
+      await dbQueries.logAnalyticsEvent(companyId, 'company_settings_updated', {
+        changes: req.body,
+        updatedBy: req.user.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Settings updated successfully',
+        data: {
+          companyId: company.id,
+          settings: pickSettings(company)
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to update settings',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CompanyController();
@@ -0,0 +1,123 @@
+const dataEraser = require('../services/dataEraser');
+const duplicateDetector = require('../services/duplicateDetector');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+class ErasureController {
+  // Right-to-erasure request for one candidate, matched the way duplicate detection matches them
+  async createRequest(req, res) {
+    try {
+      const email = duplicateDetector.normalizeEmail(req.body.email);
+      const phone = duplicateDetector.normalizePhone(req.body.phone);
+
+      if (!email && !phone) {
+        return res.status(400).json({
+          error: 'Invalid subject',
+          message: 'Provide a valid email address or a phone number with at least 7 digits'
+        });
+      }
+
+      const request = await dataEraser.fulfil(req.user.company.id, req.user.id, { email, phone });
+      const erased = request.resumes_erased;
+      const unchecked = request.certificate.unchecked.count;
+
+      res.status(201).json({
+        success: true,
+        message: `Erased ${erased} resume${erased === 1 ? '' : 's'} for the candidate`
+          + (unchecked > 0 ? `; ${unchecked} unprocessed resume${unchecked === 1 ? '' : 's'} could not be checked` : ''),
+        data: {
+          requestId: request.id,
+          status: request.status,
+          certificate: request.certificate,
+          certificateHash: request.certificate_hash
+        }
+      });
+
+    } catch (error) {
+      if (dataEraser.isRejection(error)) {
+        return res.status(409).json({
+          error: 'Erasure not possible yet',
+          message: error.message,
+          code: error.code,
+          pending: error.pending
+        });
+      }
+
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Erasure failed',
+        message: error.message
+      });
+    }
+  }
+
+  async listRequests(req, res) {
+    try {
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { requests, totalCount } = await dbQueries.getErasureRequests(req.user.company.id, limit, offset);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          requests,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve erasure requests',
+        message: error.message
+      });
+    }
+  }
+
+  // The stored certificate with its hash recomputed, so a certificate changed since issue is reported
+  async getCertificate(req, res) {
+    try {
+      const request = await dbQueries.getErasureRequest(req.params.requestId);
+
+      if (!request || request.company_id !== req.user.company.id) {
+        return res.status(404).json({
+          error: 'Erasure request not found',
+          message: 'No erasure request found with the provided ID'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          requestId: request.id,
+          status: request.status,
+          errorMessage: request.error_message || null,
+          certificate: request.certificate || null,
+          certificateHash: request.certificate_hash || null,
+          verified: request.certificate
+            ? dataEraser.digest(request.certificate) === request.certificate_hash
+            : null
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve erasure certificate',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ErasureController();
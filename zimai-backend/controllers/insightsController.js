@@ -0,0 +1,62 @@
+const insightsService = require('../services/insightsService');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+class InsightsController {
+  // AI insights for a timeframe, optionally limited to one job; served from cache when fresh
+  async getInsights(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      const { timeframe, from, to, jobId, refresh } = req.query;
+
+      let job = null;
+      if (jobId) {
+        job = await dbQueries.getJobById(jobId);
+
+        if (!job) {
+          return res.status(404).json({
+            error: 'Job not found',
+            message: 'No job found with the provided ID'
+          });
+        }
+
+        if (job.company_id !== companyId) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'Cannot access job from different company'
+          });
+        }
+      }
+
+      const insights = await insightsService.getInsights(companyId, {
+        timeframe,
+        from,
+        to,
+        job,
+        refresh,
+        actorId: req.user.id
+      });
+
+      res.status(200).json({
+        success: true,
+        data: insights
+      });
+
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_TOKENS') {
+        return res.status(402).json({
+          error: 'Insufficient tokens',
+          message: 'Generating insights requires 1 token'
+        });
+      }
+
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to generate insights',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new InsightsController();
@@ -0,0 +1,390 @@
+const aiScorer = require('../services/aiScorer');
+const candidateRanker = require('../services/candidateRanker');
+const scoringPolicy = require('../services/scoringPolicy');
+const pipelineService = require('../services/pipelineService');
+const scoreCalibration = require('../services/scoreCalibration');
+const tokenLedger = require('../services/tokenLedger');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Map the AI analysis onto job_requirements columns, dropping "Not specified" placeholders
+const toJobDraft = (analysis, description) => {
+  const text = (value) => (typeof value === 'string' && value.trim() && value !== 'Not specified' ? value.trim() : '');
+  const list = (value) => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+
+  return {
+    title: text(analysis.title),
+    description,
+    required_skills: list(analysis.requiredSkills),
+    preferred_skills: list(analysis.preferredSkills),
+    experience_level: text(analysis.experienceLevel),
+    education_requirements: text(analysis.educationRequirements),
+    keywords: list(analysis.keywords),
+    responsibilities: list(analysis.responsibilities),
+    location: text(analysis.location)
+  };
+};
+
+class JobController {
+  // Analyze a raw job description into a draft the recruiter can edit and save
+  async analyzeDescription(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      const { description } = req.body;
+
+      let tokensRemaining;
+      const analysis = await tokenLedger.withReservation(companyId, {
+        operation: 'job_analysis',
+        actorId: req.user.id
+      }, (reservation) => {
+        tokensRemaining = reservation.tokens_remaining;
+        return aiScorer.analyzeJobDescription(description, req.user.company);
+      });
+
+      await dbQueries.logAnalyticsEvent(companyId, 'job_description_analyzed', {
+        tokensUsed: analysis.tokensUsed || 1
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Job description analyzed successfully',
+        data: {
+          draft: toJobDraft(analysis, description),
+          tokensRemaining
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_TOKENS') {
+        return res.status(402).json({
+          error: 'Insufficient tokens',
+          message: 'No tokens remaining for job analysis'
+        });
+      }
+
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Job analysis failed',
+        message: process.env.NODE_ENV === 'production'
+          ? 'Failed to analyze job description'
+          : error.message
+      });
+    }
+  }
+
+  // Create a job posting
+  async createJob(req, res) {
+    try {
+      const companyId = req.user.company.id;
+
+      const job = await dbQueries.createJob(companyId, req.body, req.user.id);
+
+      await dbQueries.logAnalyticsEvent(companyId, 'job_created', {
+        jobId: job.id,
+        title: job.title
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Job created successfully',
+        data: job
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to create job',
+        message: error.message
+      });
+    }
+  }
+
+  // List company job postings
+  async listJobs(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      const includeArchived = req.query.includeArchived === true;
+
+      const jobs = await dbQueries.getJobsByCompany(companyId, includeArchived);
+
+      res.status(200).json({
+        success: true,
+        data: jobs
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve jobs',
+        message: error.message
+      });
+    }
+  }
+
+  // Get job posting details
+  async getJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const companyId = req.user.company.id;
+
+      const job = await dbQueries.getJobById(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No job found with the provided ID'
+        });
+      }
+
+      if (job.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access job from different company'
+        });
+      }
+
+      // Effective weights and thresholds, with defaults filled in for jobs that do not set them
+      res.status(200).json({
+        success: true,
+        data: {
+          ...job,
+          scoringPolicy: {
+            weights: scoringPolicy.weightsFor(job),
+            thresholds: scoringPolicy.thresholdsFor(job)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve job',
+        message: error.message
+      });
+    }
+  }
+
+  // Update job posting requirements
+  async updateJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const companyId = req.user.company.id;
+
+      const job = await dbQueries.getJobById(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No job found with the provided ID'
+        });
+      }
+
+      if (job.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot update job from different company'
+        });
+      }
+
+      if (!job.is_active) {
+        return res.status(409).json({
+          error: 'Job archived',
+          message: 'Archived jobs cannot be updated'
+        });
+      }
+
+      // Stages cannot be removed while candidates are still in them
+      if (req.body.pipeline !== undefined) {
+        const counts = await pipelineService.stageCounts(job);
+        const nextPipeline = pipelineService.pipelineFor(req.body);
+        const occupied = Object.keys(counts)
+          .filter(stage => counts[stage] > 0 && !pipelineService.hasStage(nextPipeline, stage));
+
+        if (occupied.length > 0) {
+          return res.status(409).json({
+            error: 'Pipeline stages in use',
+            message: `Move candidates out of these stages before removing them: ${occupied.join(', ')}`,
+            stages: occupied
+          });
+        }
+      }
+
+      const updatedJob = await dbQueries.updateJob(job, req.body, req.user.id);
+      if (!updatedJob) {
+        return res.status(409).json({
+          error: 'Job changed',
+          message: 'The job was updated or archived by someone else; reload it and try again'
+        });
+      }
+
+      // Scores and bands follow the new policy. Sending the policy again re-applies it, so an update
+      // whose re-banding failed can simply be retried.
+      const policyChanged = req.body.scoring_weights !== undefined || req.body.score_thresholds !== undefined;
+      const rebanded = policyChanged
+        ? await dbQueries.rebandJobResumes(jobId, scoringPolicy.weightsFor(updatedJob), scoringPolicy.thresholdsFor(updatedJob))
+        : 0;
+
+      await dbQueries.logAnalyticsEvent(companyId, 'job_updated', {
+        jobId,
+        version: updatedJob.version,
+        ...(policyChanged && { rebanded })
+      });
+
+      res.status(200).json({
+        success: true,
+        message: policyChanged
+          ? `Job updated successfully; ${rebanded} scored resume${rebanded === 1 ? '' : 's'} re-banded with the new scoring policy`
+          : 'Job updated successfully',
+        data: updatedJob
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to update job',
+        message: error.message
+      });
+    }
+  }
+
+  // Ranked shortlist of processed candidates for a job
+  async getShortlist(req, res) {
+    try {
+      const { jobId } = req.params;
+      const companyId = req.user.company.id;
+      const { limit, minScore, mustHave, tieBreakers } = req.query;
+
+      const job = await dbQueries.getJobById(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No job found with the provided ID'
+        });
+      }
+
+      if (job.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access job from different company'
+        });
+      }
+
+      const pool = await dbQueries.getProcessedResumesForJob(jobId);
+      const shortlist = candidateRanker.rank(pool, { limit, minScore, mustHave, tieBreakers });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          jobId,
+          title: job.title,
+          ...shortlist,
+          criteria: {
+            limit,
+            minScore,
+            mustHave,
+            orderBy: ['score', ...tieBreakers]
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to build shortlist',
+        message: error.message
+      });
+    }
+  }
+
+  // How often and by how much reviewers override the model's scores for this job
+  async getCalibration(req, res) {
+    try {
+      const { jobId } = req.params;
+      const companyId = req.user.company.id;
+
+      const job = await dbQueries.getJobById(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No job found with the provided ID'
+        });
+      }
+
+      if (job.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access job from different company'
+        });
+      }
+
+      const report = await scoreCalibration.report(job, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to build calibration report',
+        message: error.message
+      });
+    }
+  }
+
+  // Archive job posting
+  async archiveJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const companyId = req.user.company.id;
+
+      const job = await dbQueries.getJobById(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No job found with the provided ID'
+        });
+      }
+
+      if (job.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot archive job from different company'
+        });
+      }
+
+      if (!job.is_active) {
+        return res.status(409).json({
+          error: 'Job archived',
+          message: 'Job is already archived'
+        });
+      }
+
+      const archivedJob = await dbQueries.archiveJob(jobId);
+
+      await dbQueries.logAnalyticsEvent(companyId, 'job_archived', {
+        jobId,
+        title: job.title
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Job archived successfully',
+        data: archivedJob
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to archive job',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new JobController();
@@ -0,0 +1,269 @@
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Private notes are visible to their author only; team notes to everyone in the company
+const canSee = (note, user) => note.visibility === 'team' || note.author_id === user.id;
+
+const findResume = async (req, res) => {
+  const resume = await dbQueries.getResumeById(req.params.resumeId);
+
+  if (!resume) {
+    res.status(404).json({
+      error: 'Resume not found',
+      message: 'No resume found with the provided ID'
+    });
+    return null;
+  }
+
+  if (resume.company_id !== req.user.company.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Cannot access resume from different company'
+    });
+    return null;
+  }
+
+  return resume;
+};
+
+// A note the caller cannot see is reported as missing, so private notes and other companies' notes do not leak
+const findNote = async (req, res, noteId = req.params.noteId) => {
+  const note = await dbQueries.getNoteById(noteId);
+
+  if (!note || note.resume_id !== req.params.resumeId || note.company_id !== req.user.company.id || !canSee(note, req.user)) {
+    res.status(404).json({
+      error: 'Note not found',
+      message: 'No note found with the provided ID for this resume'
+    });
+    return null;
+  }
+
+  return note;
+};
+
+// Mentions must name users of the caller's company, and only team notes can mention anyone;
+// sends the error response and returns null otherwise
+const checkMentions = async (req, res, mentions, visibility) => {
+  if (mentions.length === 0) return mentions;
+
+  if (visibility === 'private') {
+    res.status(400).json({
+      error: 'Invalid mentions',
+      message: 'Private notes cannot mention other users'
+    });
+    return null;
+  }
+
+  const members = await dbQueries.getCompanyUserIds(req.user.company.id, mentions);
+  const unknown = mentions.filter(userId => !members.includes(userId));
+
+  if (unknown.length > 0) {
+    res.status(400).json({
+      error: 'Invalid mentions',
+      message: 'Mentioned users must belong to your company',
+      unknown
+    });
+    return null;
+  }
+
+  return mentions;
+};
+
+class NotesController {
+  async listNotes(req, res) {
+    try {
+      const resume = await findResume(req, res);
+      if (!resume) return;
+
+      const notes = await dbQueries.getResumeNotes(resume.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          resumeId: resume.id,
+          notes
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve notes',
+        message: error.message
+      });
+    }
+  }
+
+  // New note, or a reply when parentId is given. Replies take the visibility of their thread.
+  async createNote(req, res) {
+    try {
+      const resume = await findResume(req, res);
+      if (!resume) return;
+
+      const { body, parentId, mentions } = req.body;
+      let { visibility } = req.body;
+
+      if (parentId) {
+        const parent = await findNote(req, res, parentId);
+        if (!parent) return;
+
+        if (parent.parent_id) {
+          return res.status(400).json({
+            error: 'Invalid reply',
+            message: 'Reply to the first note of the thread instead of another reply'
+          });
+        }
+
+        visibility = parent.visibility;
+      }
+
+      const checkedMentions = await checkMentions(req, res, mentions, visibility);
+      if (!checkedMentions) return;
+
+      const note = await dbQueries.createNote({
+        resume_id: resume.id,
+        company_id: resume.company_id,
+        parent_id: parentId || null,
+        author_id: req.user.id,
+        author_name: req.user.name || req.user.email,
+        body,
+        visibility,
+        mentions: checkedMentions
+      });
+
+      await dbQueries.logAnalyticsEvent(resume.company_id, 'note_created', {
+        resumeId: resume.id,
+        noteId: note.id,
+        reply: Boolean(parentId),
+        visibility,
+        mentions: checkedMentions.length
+      });
+
+      res.status(201).json({
+        success: true,
+        message: parentId ? 'Reply added' : 'Note added',
+        data: note
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to create note',
+        message: error.message
+      });
+    }
+  }
+
+  // Only the author can edit a note; visibility is fixed when it is created
+  async updateNote(req, res) {
+    try {
+      const resume = await findResume(req, res);
+      if (!resume) return;
+
+      const note = await findNote(req, res);
+      if (!note) return;
+
+      if (note.author_id !== req.user.id) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only the author can edit a note'
+        });
+      }
+
+      const changes = {};
+
+      if (req.body.body !== undefined) {
+        changes.body = req.body.body;
+      }
+
+      if (req.body.mentions !== undefined) {
+        const checkedMentions = await checkMentions(req, res, req.body.mentions, note.visibility);
+        if (!checkedMentions) return;
+        changes.mentions = checkedMentions;
+      }
+
+      const updated = await dbQueries.updateNote(note.id, changes);
+
+      res.status(200).json({
+        success: true,
+        message: 'Note updated successfully',
+        data: updated
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to update note',
+        message: error.message
+      });
+    }
+  }
+
+  // Authors can delete their notes and admins any team note; replies go with the note
+  async deleteNote(req, res) {
+    try {
+      const resume = await findResume(req, res);
+      if (!resume) return;
+
+      const note = await findNote(req, res);
+      if (!note) return;
+
+      if (note.author_id !== req.user.id && req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only the author or an admin can delete a note'
+        });
+      }
+
+      await dbQueries.deleteNote(note.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Note deleted successfully'
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to delete note',
+        message: error.message
+      });
+    }
+  }
+
+  // Team notes across the company that mention the current user
+  async getMentions(req, res) {
+    try {
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { notes, totalCount } = await dbQueries.getMentions(req.user.company.id, req.user.id, limit, offset);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          notes,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve mentions',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new NotesController();
@@ -0,0 +1,108 @@
+jest.mock('../supabase/queries', () => ({
+  getResumeById: jest.fn(),
+  getNoteById: jest.fn(),
+  updateNote: jest.fn(),
+  deleteNote: jest.fn(),
+  getCompanyUserIds: jest.fn()
+}));
+
+const dbQueries = require('../supabase/queries');
+const notesController = require('./notesController');
+
+const RESUMES = {
+  'resume-a': { id: 'resume-a', company_id: 'company-a' },
+  'resume-b': { id: 'resume-b', company_id: 'company-b' }
+};
+
+const NOTES = {
+  'note-b': {
+    id: 'note-b',
+    resume_id: 'resume-b',
+    company_id: 'company-b',
+    author_id: 'user-b',
+    visibility: 'team',
+    parent_id: null
+  },
+  // A note whose resume_id was pointed at another company's resume
+  'note-b-moved': {
+    id: 'note-b-moved',
+    resume_id: 'resume-a',
+    company_id: 'company-b',
+    author_id: 'user-b',
+    visibility: 'team',
+    parent_id: null
+  },
+  'note-a': {
+    id: 'note-a',
+    resume_id: 'resume-a',
+    company_id: 'company-a',
+    author_id: 'user-a2',
+    visibility: 'team',
+    parent_id: null
+  }
+};
+
+const adminOf = (company) => ({ id: `admin-${company}`, role: 'admin', company: { id: company } });
+
+const request = (user, resumeId, noteId, body = {}) => ({ user, params: { resumeId, noteId }, body });
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('notesController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbQueries.getResumeById.mockImplementation(async (id) => RESUMES[id] || null);
+    dbQueries.getNoteById.mockImplementation(async (id) => NOTES[id] || null);
+  });
+
+  describe('deleteNote', () => {
+    it("refuses another company's resume before looking at the note", async () => {
+      const res = response();
+
+      await notesController.deleteNote(request(adminOf('company-a'), 'resume-b', 'note-b'), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(dbQueries.getNoteById).not.toHaveBeenCalled();
+      expect(dbQueries.deleteNote).not.toHaveBeenCalled();
+    });
+
+    it("reports another company's team note as missing", async () => {
+      const res = response();
+
+      await notesController.deleteNote(request(adminOf('company-a'), 'resume-a', 'note-b-moved'), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(dbQueries.deleteNote).not.toHaveBeenCalled();
+    });
+
+    it('lets an admin delete a team note in their own company', async () => {
+      const res = response();
+
+      await notesController.deleteNote(request(adminOf('company-a'), 'resume-a', 'note-a'), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(dbQueries.deleteNote).toHaveBeenCalledWith('note-a');
+    });
+  });
+
+  describe('updateNote', () => {
+    it("refuses another company's notes", async () => {
+      const author = { id: 'user-b', role: 'member', company: { id: 'company-a' } };
+
+      const foreignResume = response();
+      await notesController.updateNote(request(author, 'resume-b', 'note-b', { body: 'Edited' }), foreignResume);
+
+      const foreignNote = response();
+      await notesController.updateNote(request(author, 'resume-a', 'note-b-moved', { body: 'Edited' }), foreignNote);
+
+      expect(foreignResume.status).toHaveBeenCalledWith(403);
+      expect(foreignNote.status).toHaveBeenCalledWith(404);
+      expect(dbQueries.updateNote).not.toHaveBeenCalled();
+    });
+  });
+});
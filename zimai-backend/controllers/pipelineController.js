@@ -0,0 +1,235 @@
+const pipelineService = require('../services/pipelineService');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Response status for each kind of rejected move
+const STATUS_BY_CODE = {
+  INVALID_STAGE: 400,
+  NOT_IN_PIPELINE: 409,
+  TRANSITION_NOT_ALLOWED: 409,
+  STAGE_CONFLICT: 409
+};
+
+// Look up a job and check it belongs to the caller's company; sends the error response otherwise
+const findJob = async (req, res) => {
+  const job = await dbQueries.getJobById(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      message: 'No job found with the provided ID'
+    });
+    return null;
+  }
+
+  if (job.company_id !== req.user.company.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Cannot access job from different company'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+const findResume = async (req, res) => {
+  const resume = await dbQueries.getResumeById(req.params.resumeId);
+
+  if (!resume) {
+    res.status(404).json({
+      error: 'Resume not found',
+      message: 'No resume found with the provided ID'
+    });
+    return null;
+  }
+
+  if (resume.company_id !== req.user.company.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Cannot access resume from different company'
+    });
+    return null;
+  }
+
+  return resume;
+};
+
+class PipelineController {
+  // Stages with their allowed moves and candidate counts for one job
+  async getPipeline(req, res) {
+    try {
+      const job = await findJob(req, res);
+      if (!job) return;
+
+      const pipeline = pipelineService.pipelineFor(job);
+      const counts = await pipelineService.stageCounts(job);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          title: job.title,
+          isDefault: !job.pipeline,
+          initialStage: pipelineService.initialStage(pipeline),
+          stages: pipeline.stages.map(stage => ({
+            ...stage,
+            count: counts[stage.key],
+            allowedMoves: pipelineService.allowedMoves(pipeline, stage.key)
+          })),
+          total: Object.values(counts).reduce((total, count) => total + count, 0)
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve pipeline',
+        message: error.message
+      });
+    }
+  }
+
+  async getCompanyCounts(req, res) {
+    try {
+      const jobs = await pipelineService.companyStageCounts(req.user.company.id);
+
+      res.status(200).json({
+        success: true,
+        data: { jobs }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve pipeline counts',
+        message: error.message
+      });
+    }
+  }
+
+  // Bulk move within a job; the response reports each candidate separately
+  async moveCandidates(req, res) {
+    try {
+      const job = await findJob(req, res);
+      if (!job) return;
+
+      const { resumeIds, toStage, reason } = req.body;
+      const pipeline = pipelineService.pipelineFor(job);
+
+      if (!pipelineService.hasStage(pipeline, toStage)) {
+        return res.status(400).json({
+          error: 'Invalid stage',
+          message: `Unknown stage "${toStage}"`,
+          stages: pipeline.stages.map(({ key }) => key)
+        });
+      }
+
+      const { results, summary } = await pipelineService.moveMany(req.user.company.id, job, resumeIds, toStage, {
+        actorId: req.user.id,
+        reason: reason || null
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Moved ${summary.moved} of ${summary.total} candidates to ${toStage}`,
+        data: {
+          jobId: job.id,
+          toStage,
+          results,
+          summary
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to move candidates',
+        message: error.message
+      });
+    }
+  }
+
+  // Move one candidate within the pipeline of the job it was scored against
+  async moveCandidate(req, res) {
+    try {
+      const resume = await findResume(req, res);
+      if (!resume) return;
+
+      const job = resume.job_id ? await dbQueries.getJobById(resume.job_id) : null;
+
+      if (!job) {
+        return res.status(409).json({
+          error: 'Stage change rejected',
+          message: 'Resume is not scored against a job, so it is not in a pipeline'
+        });
+      }
+
+      const { toStage, reason } = req.body;
+
+      const change = await pipelineService.move(resume, job, toStage, {
+        actorId: req.user.id,
+        reason: reason || null
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Candidate moved to ${toStage}`,
+        data: {
+          ...change,
+          jobId: job.id
+        }
+      });
+
+    } catch (error) {
+      if (pipelineService.isRejection(error)) {
+        return res.status(STATUS_BY_CODE[error.code]).json({
+          error: 'Stage change rejected',
+          message: error.message,
+          code: error.code,
+          ...(error.allowed && { fromStage: error.fromStage, allowed: error.allowed }),
+          ...(error.stages && { stages: error.stages })
+        });
+      }
+
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to move candidate',
+        message: error.message
+      });
+    }
+  }
+
+  async getStageHistory(req, res) {
+    try {
+      const resume = await findResume(req, res);
+      if (!resume) return;
+
+      const [history, job] = await Promise.all([
+        dbQueries.getStageHistory(resume.id),
+        resume.job_id ? dbQueries.getJobById(resume.job_id) : null
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          resumeId: resume.id,
+          jobId: resume.job_id,
+          currentStage: job && resume.status === 'processed'
+            ? pipelineService.stageOf(resume, pipelineService.pipelineFor(job))
+            : null,
+          history
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve stage history',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PipelineController();
@@ -1,18 +1,75 @@
-const pdfParser = require('../services/pdfParser');
-const aiScorer = require('../services/aiScorer');
+const resumeProcessor = require('../services/resumeProcessor');
+const resumeWorker = require('../services/resumeWorker');
+const resumeExporter = require('../services/resumeExporter');
+const duplicateDetector = require('../services/duplicateDetector');
+const tokenLedger = require('../services/tokenLedger');
+const batchRunner = require('../services/batchRunner');
+const scoreCalibration = require('../services/scoreCalibration');
+const dataEraser = require('../services/dataEraser');
 const dbQueries = require('../supabase/queries');
-const supabase = require('../supabase/client');
 const logger = require('../utils/logger');
-const { v4: uuidv4 } = require('uuid');
+
+// Compact duplicate flag for list and status responses
+const duplicateFlag = (resume) => (resume.duplicate_of
+  ? { duplicateOf: resume.duplicate_of, ...resume.duplicate_match }
+  : null);
+
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+// Server-Sent Events for a running or finished batch. Events after Last-Event-ID are replayed first,
+// so a client that reconnects picks up where it left off; the stream closes after batch_completed.
+const streamBatch = (req, res, batch) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    // Push each event through the compression middleware instead of letting it buffer
+    if (res.flush) res.flush();
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  batch.events.filter(event => event.id > lastEventId).forEach(send);
+
+  if (batch.status === 'completed') {
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (res.flush) res.flush();
+  }, 15000);
+
+  const onEvent = (event) => {
+    send(event);
+    if (event.type === batchRunner.events.COMPLETED) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // A disconnect only stops the stream; the batch keeps running
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    batch.emitter.off('event', onEvent);
+  };
+
+  batch.emitter.on('event', onEvent);
+  req.on('close', cleanup);
+};
 
 class ResumeController { 
-  // Process uploaded resume
+  // Store uploaded resume and queue it for background processing
   async processResume(req, res) {
-    const startTime = Date.now();
     let resumeId = null;
 
     try {
       const { companyId } = req.params;
+      const { jobId } = req.body;
       const file = req.file;
 
       // Validate company access
@@ -31,121 +88,272 @@ class ResumeController {
         });
       }
 
-      logger.info('Starting resume processing:', {
+      // Resolve the job posting before spending storage on the upload
+      const jobRequirements = await dbQueries.getJobRequirements(companyId, jobId);
+      if (jobId && !jobRequirements) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No active job posting found with the provided ID'
+        });
+      }
+
+      logger.info('Queueing resume for processing:', {
         filename: file.originalname,
         size: file.size,
-        companyId
+        companyId,
+        jobId: jobRequirements?.id
       });
 
-      // Validate PDF
-      const pdfValidation = await pdfParser.validatePDF(file.buffer);
-      if (!pdfValidation.isValid) {
-        return res.status(400).json({
-          error: 'Invalid PDF',
-          message: pdfValidation.error
+      let queued;
+      try {
+        queued = await resumeProcessor.enqueue(companyId, file, jobRequirements, {
+          duplicatePolicy: duplicateDetector.policyFor(req.user.company),
+          actorId: req.user.id
+        });
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_TOKENS') {
+          return res.status(402).json({
+            error: 'Insufficient tokens',
+            message: 'No tokens remaining for resume processing'
+          });
+        }
+
+        if (error.duplicate) {
+          return res.status(409).json({
+            error: 'Duplicate resume',
+            message: 'An identical file has already been uploaded',
+            duplicateOf: error.duplicate.resumeId
+          });
+        }
+
+        if (error.retryable === false) {
+          return res.status(400).json({
+            error: 'Invalid document',
+            message: error.message
+          });
+        }
+        throw error;
+      }
+
+      const { resume: resumeData, linked } = queued;
+      resumeId = resumeData.id;
+
+      // Identical file already on record: hand back the existing resume instead of a new one
+      if (linked) {
+        return res.status(200).json({
+          success: true,
+          message: 'Identical file already uploaded; linked to the existing resume',
+          data: {
+            resumeId,
+            filename: resumeData.filename,
+            status: resumeData.status,
+            jobId: resumeData.job_id,
+            duplicate: true,
+            statusUrl: `${req.baseUrl}/${resumeId}/status`
+          }
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Resume queued for processing',
+        data: {
+          resumeId,
+          filename: resumeData.filename,
+          status: resumeData.status,
+          stage: resumeData.processing_stage,
+          jobId: resumeData.job_id,
+          statusUrl: `${req.baseUrl}/${resumeId}/status`
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req, { resumeId, companyId: req.params.companyId });
+
+      res.status(500).json({
+        error: 'Upload failed',
+        message: process.env.NODE_ENV === 'production' 
+          ? 'Failed to queue resume for processing' 
+          : error.message
+      });
+    }
+  }
+
+  // Store many resumes (or ZIP archives of resumes) and queue them for processing
+  async bulkUpload(req, res) {
+    try {
+      const { companyId } = req.params;
+      const { jobId } = req.body;
+      const { accepted, rejected } = req.bulkFiles;
+
+      if (req.user.company.id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot process resumes for different company'
         });
       }
 
-      // Upload to Supabase Storage
-      const fileName = `${companyId}/${uuidv4()}.pdf`;
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from('resumes')
-        .upload(fileName, file.buffer, {
-          contentType: 'application/pdf',
-          upsert: false
+      const jobRequirements = await dbQueries.getJobRequirements(companyId, jobId);
+      if (jobId && !jobRequirements) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No active job posting found with the provided ID'
         });
+      }
+
+      // Every accepted file costs a token, so reserve the whole set before storing anything
+      let reservation = null;
+      if (accepted.length > 0) {
+        try {
+          reservation = await tokenLedger.reserve(companyId, accepted.length, {
+            operation: 'resume_processing',
+            actorId: req.user.id
+          });
+        } catch (error) {
+          if (error.code !== 'INSUFFICIENT_TOKENS') throw error;
 
-      if (uploadError) {
-        throw new Error(`File upload failed: ${uploadError.message}`);
+          return res.status(402).json({
+            error: 'Insufficient tokens',
+            message: `Need ${accepted.length} tokens for the accepted files`
+          });
+        }
       }
 
-      // Create resume record in database
-      const { data: resumeData, error: dbError } = await supabase
-        .from('resumes')
-        .insert({
-          company_id: companyId,
-          filename: file.originalname,
-          file_path: uploadData.path,
-          file_size: file.size,
-          status: 'processing'
-        })
-        .select()
-        .single();
+      const duplicatePolicy = duplicateDetector.policyFor(req.user.company);
+      const results = rejected.map(({ filename, reason }) => ({
+        filename,
+        accepted: false,
+        reason
+      }));
+
+      for (const file of accepted) {
+        const filename = file.archivePath || file.originalname;
+
+        try {
+          const { resume, linked } = await resumeProcessor.enqueue(companyId, file, jobRequirements, {
+            duplicatePolicy,
+            reservation
+          });
 
-      if (dbError) {
-        throw new Error(`Database error: ${dbError.message}`);
+          if (linked) {
+            results.push({ filename, accepted: false, reason: 'Duplicate file', duplicateOf: resume.id });
+            continue;
+          }
+
+          results.push({
+            filename,
+            accepted: true,
+            resumeId: resume.id,
+            status: resume.status
+          });
+        } catch (error) {
+          if (error.duplicate) {
+            results.push({ filename, accepted: false, reason: 'Duplicate file', duplicateOf: error.duplicate.resumeId });
+            continue;
+          }
+
+          logger.error(`Bulk upload failed for file ${filename}:`, error);
+          results.push({
+            filename,
+            accepted: false,
+            reason: error.retryable === false ? error.message : 'Failed to store file'
+          });
+        }
       }
 
-      resumeId = resumeData.id;
+      const acceptedCount = results.filter(r => r.accepted).length;
 
-      // Extract text from PDF
-      const extractedData = await pdfParser.extractText(file.buffer, file.originalname);
-      const basicInfo = await pdfParser.extractBasicInfo(extractedData.text);
-
-      // Get job requirements for scoring
-      const jobRequirements = await dbQueries.getJobRequirements(companyId);
-
-      // Score resume with AI
-      const scoringResult = await aiScorer.scoreResume(
-        extractedData.text,
-        jobRequirements,
-        basicInfo
-      );
-
-      // Update resume with scoring results
-      const updatedResume = await dbQueries.updateResumeScore(resumeId, scoringResult);
-
-      // Deduct token and log usage
-      await dbQueries.decrementCompanyTokens(companyId);
-      await dbQueries.logTokenUsage(companyId, resumeId, 1, 'resume_processing');
-
-      // Log analytics event
-      await dbQueries.logAnalyticsEvent(companyId, 'resume_processed', {
-        resumeId,
-        score: scoringResult.overallScore,
-        processingTime: Date.now() - startTime,
-        tokensUsed: scoringResult.tokensUsed || 1
-      });
+      // Files that were not stored give their share of the reservation back
+      const unused = accepted.length - acceptedCount;
+      if (reservation && unused > 0) {
+        await tokenLedger.releaseQuietly(reservation.id, { amount: unused, reason: 'files_not_stored' });
+      }
 
-      const processingTime = Date.now() - startTime;
-      logger.logPerformance('resume_processing', processingTime, {
-        resumeId,
-        companyId,
-        score: scoringResult.overallScore
+      await dbQueries.logAnalyticsEvent(companyId, 'resumes_bulk_uploaded', {
+        total: results.length,
+        accepted: acceptedCount,
+        jobId: jobRequirements?.id || null
       });
 
-      res.status(200).json({
-        success: true,
-        message: 'Resume processed successfully',
+      res.status(202).json({
+        success: acceptedCount > 0,
+        message: `Queued ${acceptedCount} out of ${results.length} files for processing`,
         data: {
-          resumeId: updatedResume.id,
-          filename: updatedResume.filename,
-          score: updatedResume.score,
-          status: updatedResume.status,
-          candidateName: updatedResume.candidate_name,
-          summary: updatedResume.ai_summary,
-          processingTime: `${processingTime}ms`,
-          tokensRemaining: req.user.company.tokens_remaining - 1
+          results,
+          summary: {
+            total: results.length,
+            accepted: acceptedCount,
+            rejected: results.length - acceptedCount
+          }
         }
       });
 
     } catch (error) {
-      logger.logError(error, req, { resumeId, companyId: req.params.companyId });
+      logger.logError(error, req, { companyId: req.params.companyId });
+      res.status(500).json({
+        error: 'Bulk upload failed',
+        message: process.env.NODE_ENV === 'production'
+          ? 'Failed to queue resumes for processing'
+          : error.message
+      });
+    }
+  }
 
-      // Update resume status to failed if it was created
-      if (resumeId) {
-        try {
-          await dbQueries.updateResumeStatus(resumeId, 'failed', error.message);
-        } catch (updateError) {
-          logger.error('Failed to update resume status:', updateError);
-        }
+  // Get processing status for polling clients
+  async getResumeStatus(req, res) {
+    try {
+      const { resumeId } = req.params;
+      const companyId = req.user.company.id;
+
+      const resume = await dbQueries.getResumeById(resumeId);
+
+      if (!resume) {
+        return res.status(404).json({
+          error: 'Resume not found',
+          message: 'No resume found with the provided ID'
+        });
       }
 
+      if (resume.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access resume from different company'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          resumeId: resume.id,
+          status: resume.status,
+          stage: resume.processing_stage,
+          attempts: resume.attempts,
+          maxAttempts: resumeWorker.maxAttempts,
+          nextAttemptAt: resume.next_attempt_at,
+          // Set on a processed resume when its last re-score failed
+          error: resume.error_message || null,
+          duplicate: duplicateFlag(resume),
+          ...(resume.status === 'processed' && {
+            score: resume.score,
+            recommendation: resume.recommendation,
+            scoringMethod: resume.scoring_method,
+            candidateName: resume.candidate_name,
+            summary: resume.ai_summary,
+            jobId: resume.job_id,
+            jobVersion: resume.job_version,
+            scoreVersion: resume.score_version,
+            assessment: resume.assessment,
+            scoreOverride: resume.score_override,
+            processedAt: resume.processed_at
+          })
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
       res.status(500).json({
-        error: 'Processing failed',
-        message: process.env.NODE_ENV === 'production' 
-          ? 'Failed to process resume' 
-          : error.message
+        error: 'Failed to retrieve resume status',
+        message: error.message
       });
     }
   }
@@ -172,9 +380,14 @@ class ResumeController {
         });
       }
 
+      const notes = await dbQueries.getResumeNotes(resume.id, req.user.id);
+
       res.status(200).json({
         success: true,
-        data: resume
+        data: {
+          ...resume,
+          notes
+        }
       });
 
     } catch (error) {
@@ -186,28 +399,22 @@ class ResumeController {
     }
   }
 
-  // Get company resumes with pagination
+  // Get company resumes with filters, sorting and pagination
   async getCompanyResumes(req, res) {
     try {
       const companyId = req.user.company.id;
-      const page = parseInt(req.query.page) || 1;
-      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const { page, limit, ...filters } = req.query;
       const offset = (page - 1) * limit;
 
-      const resumes = await dbQueries.getResumesByCompany(companyId, limit, offset);
-
-      // Get total count for pagination
-      const { count: totalCount } = await supabase
-        .from('resumes')
-        .select('*', { count: 'exact', head: true })
-        .eq('company_id', companyId);
+      // Count is computed with the same filters so pagination matches the results
+      const { resumes, totalCount } = await dbQueries.getResumesByCompany(companyId, limit, offset, filters);
 
       const totalPages = Math.ceil(totalCount / limit);
 
       res.status(200).json({
         success: true,
         data: {
-          resumes,
+          resumes: resumes.map(resume => ({ ...resume, duplicate: duplicateFlag(resume) })),
           pagination: {
             currentPage: page,
             totalPages,
@@ -215,7 +422,8 @@ class ResumeController {
             itemsPerPage: limit,
             hasNextPage: page < totalPages,
             hasPrevPage: page > 1
-          }
+          },
+          filters
         }
       });
 
@@ -228,10 +436,39 @@ class ResumeController {
     }
   }
 
+  // Stream filtered company resumes as CSV or XLSX
+  async exportResumes(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      const { format, columns, ...filters } = req.query;
+
+      const rowCount = await resumeExporter.export(res, companyId, { format, columns, filters });
+
+      await dbQueries.logAnalyticsEvent(companyId, 'resumes_exported', {
+        format,
+        rowCount,
+        filters
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+
+      // Once streaming has started the only option is to abort the download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  }
+
   // Batch process resumes
   async batchProcess(req, res) {
     try {
-      const { resumeIds } = req.body;
+      const { resumeIds, jobId } = req.body;
       const companyId = req.user.company.id;
 
       if (!Array.isArray(resumeIds) || resumeIds.length === 0) {
@@ -248,104 +485,261 @@ class ResumeController {
         });
       }
 
-      // Check token availability
-      if (req.user.company.tokens_remaining < resumeIds.length) {
-        return res.status(402).json({
-          error: 'Insufficient tokens',
-          message: `Need ${resumeIds.length} tokens, but only ${req.user.company.tokens_remaining} available`
+      // No balance check here: uploaded resumes already hold a reserved token, and any that
+      // do not reserve one in resumeProcessor.process before any work starts
+
+      // Without a jobId each resume is scored against the job it was uploaded for
+      const jobRequirements = jobId ? await dbQueries.getJobRequirements(companyId, jobId) : null;
+      if (jobId && !jobRequirements) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No active job posting found with the provided ID'
         });
       }
 
-      const results = [];
-      const jobRequirements = await dbQueries.getJobRequirements(companyId);
+      const batch = await batchRunner.start(companyId, req.user.id, resumeIds, jobRequirements);
 
-      for (const resumeId of resumeIds) {
-        try {
-          const resume = await dbQueries.getResumeById(resumeId);
-          
-          if (!resume || resume.company_id !== companyId) {
-            results.push({
-              resumeId,
-              success: false,
-              error: 'Resume not found or access denied'
-            });
-            continue;
-          }
+      if (wantsEventStream(req)) {
+        return streamBatch(req, res, batch);
+      }
 
-          if (resume.status === 'processed') {
-            results.push({
-              resumeId,
-              success: true,
-              message: 'Already processed',
-              score: resume.score
-            });
-            continue;
-          }
+      const { results, summary } = await batch.done;
 
-          // Download and process resume
-          const { data: fileData } = await supabase.storage
-            .from('resumes')
-            .download(resume.file_path);
+      res.status(200).json({
+        success: true,
+        message: `Processed ${summary.successful} out of ${summary.total} resumes`,
+        data: {
+          batchId: batch.id,
+          results,
+          summary
+        }
+      });
 
-          const buffer = await fileData.arrayBuffer();
-          const extractedData = await pdfParser.extractText(Buffer.from(buffer), resume.filename);
-          const basicInfo = await pdfParser.extractBasicInfo(extractedData.text);
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Batch processing failed',
+        message: error.message
+      });
+    }
+  }
 
-          const scoringResult = await aiScorer.scoreResume(
-            extractedData.text,
-            jobRequirements,
-            basicInfo
-          );
+  // Progress stream for a batch, for clients reconnecting after a dropped connection
+  async streamBatchEvents(req, res) {
+    try {
+      const { batchId } = req.params;
+      const companyId = req.user.company.id;
 
-          await dbQueries.updateResumeScore(resumeId, scoringResult);
-          await dbQueries.decrementCompanyTokens(companyId);
+      const batch = batchRunner.get(batchId);
 
-          results.push({
-            resumeId,
-            success: true,
-            score: scoringResult.overallScore,
-            summary: scoringResult.summary
+      if (batch) {
+        if (batch.companyId !== companyId) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'Cannot access batch from different company'
           });
+        }
+        return streamBatch(req, res, batch);
+      }
 
-          // Small delay to avoid overwhelming the AI service
-          await new Promise(resolve => setTimeout(resolve, 1000));
+      // No longer in memory: replay the stored result as a single completion event
+      const stored = await dbQueries.getResumeBatch(batchId);
 
-        } catch (error) {
-          logger.error(`Batch processing failed for resume ${resumeId}:`, error);
-          results.push({
-            resumeId,
-            success: false,
-            error: error.message
+      if (!stored) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          message: 'No batch found with the provided ID'
+        });
+      }
+
+      if (stored.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access batch from different company'
+        });
+      }
+
+      if (stored.status !== 'completed') {
+        return res.status(409).json({
+          error: 'Batch unavailable',
+          message: 'The batch is not running on this server; its progress cannot be streamed'
+        });
+      }
+
+      streamBatch(req, res, {
+        status: 'completed',
+        events: [{
+          id: 1,
+          type: batchRunner.events.COMPLETED,
+          data: { batchId, results: stored.results, summary: stored.summary }
+        }]
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to stream batch progress',
+        message: error.message
+      });
+    }
+  }
+
+  // Current state of a batch, with its results once it has finished
+  async getBatch(req, res) {
+    try {
+      const { batchId } = req.params;
+      const companyId = req.user.company.id;
+
+      const running = batchRunner.get(batchId);
+      const stored = running ? null : await dbQueries.getResumeBatch(batchId);
+
+      if (!running && !stored) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          message: 'No batch found with the provided ID'
+        });
+      }
+
+      if ((running ? running.companyId : stored.company_id) !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access batch from different company'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: running
+          ? {
+            batchId,
+            status: running.status,
+            total: running.resumeIds.length,
+            completed: running.results.length,
+            results: running.results,
+            summary: running.summary,
+            startedAt: running.startedAt
+          }
+          : {
+            batchId,
+            status: stored.status,
+            total: stored.resume_ids.length,
+            completed: (stored.results || []).length,
+            results: stored.results || [],
+            summary: stored.summary,
+            startedAt: stored.created_at,
+            completedAt: stored.completed_at
+          }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve batch',
+        message: error.message
+      });
+    }
+  }
+
+  // Queue an already processed resume to be scored again by the worker, e.g. after its job requirements
+  // changed. The previous score is kept in the score history and stays current if re-scoring fails.
+  async rescoreResume(req, res) {
+    try {
+      const { resumeId } = req.params;
+      const { jobId } = req.body;
+      const companyId = req.user.company.id;
+
+      const resume = await dbQueries.getResumeById(resumeId);
+
+      if (!resume) {
+        return res.status(404).json({
+          error: 'Resume not found',
+          message: 'No resume found with the provided ID'
+        });
+      }
+
+      if (resume.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access resume from different company'
+        });
+      }
+
+      if (resume.status === 'uploaded' || resume.status === 'processing') {
+        return res.status(409).json({
+          error: 'Resume not ready',
+          message: 'Resume is still waiting to be processed'
+        });
+      }
+
+      // Without a jobId the resume is scored against the current version of its own job
+      const jobRequirements = jobId ? await dbQueries.getJobRequirements(companyId, jobId) : null;
+      if (jobId && !jobRequirements) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'No active job posting found with the provided ID'
+        });
+      }
+
+      // The token is held now so a short balance is reported here; the worker commits it once the new score is saved
+      let reservation;
+      try {
+        reservation = await tokenLedger.reserve(companyId, 1, {
+          operation: 'resume_rescore',
+          resumeId,
+          actorId: req.user.id
+        });
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_TOKENS') {
+          return res.status(402).json({
+            error: 'Insufficient tokens',
+            message: 'Re-scoring a resume requires 1 token'
           });
         }
+        throw error;
       }
 
-      const successCount = results.filter(r => r.success).length;
-      
-      res.status(200).json({
+      const queued = await dbQueries.queueRescore(resume, {
+        jobId: jobId || null,
+        requestedBy: req.user.id,
+        requestedAt: new Date().toISOString(),
+        previousStatus: resume.status,
+        previousStage: resume.processing_stage
+      }, reservation.id);
+
+      if (!queued) {
+        await tokenLedger.releaseQuietly(reservation.id, { amount: 1, reason: 'resume_busy', resumeId });
+        return res.status(409).json({
+          error: 'Resume busy',
+          message: 'Resume is already being processed'
+        });
+      }
+
+      res.status(202).json({
         success: true,
-        message: `Processed ${successCount} out of ${resumeIds.length} resumes`,
+        message: 'Resume queued for re-scoring',
         data: {
-          results,
-          summary: {
-            total: resumeIds.length,
-            successful: successCount,
-            failed: resumeIds.length - successCount
-          }
+          resumeId,
+          status: queued.status,
+          stage: queued.processing_stage,
+          previousScore: resume.score,
+          scoreVersion: resume.score_version,
+          jobId: jobId || resume.job_id,
+          statusUrl: `${req.baseUrl}/${resumeId}/status`
         }
       });
 
     } catch (error) {
       logger.logError(error, req);
       res.status(500).json({
-        error: 'Batch processing failed',
+        error: 'Re-scoring failed',
         message: error.message
       });
     }
   }
 
-  // Delete resume
-  async deleteResume(req, res) {
+  // Reviewer override of the overall score and/or breakdown dimensions. The AI values stay in the
+  // assessment; the next re-score replaces the override.
+  async overrideScore(req, res) {
     try {
       const { resumeId } = req.params;
       const companyId = req.user.company.id;
@@ -362,35 +756,125 @@ class ResumeController {
       if (resume.company_id !== companyId) {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'Cannot delete resume from different company'
+          message: 'Cannot access resume from different company'
         });
       }
 
-      // Delete file from storage
-      const { error: storageError } = await supabase.storage
-        .from('resumes')
-        .remove([resume.file_path]);
+      if (resume.status !== 'processed' || !resume.assessment) {
+        return res.status(409).json({
+          error: 'Resume not scored',
+          message: 'Only processed resumes with a score can be overridden'
+        });
+      }
+
+      const updated = await scoreCalibration.override(resume, req.body, req.user.id);
 
-      if (storageError) {
-        logger.warn('Failed to delete file from storage:', storageError);
+      if (!updated) {
+        return res.status(409).json({
+          error: 'Resume re-scored',
+          message: 'The resume was scored again while you were reviewing it; check the new score and try again'
+        });
       }
 
-      // Delete from database
-      const { error: dbError } = await supabase
-        .from('resumes')
-        .delete()
-        .eq('id', resumeId);
+      res.status(200).json({
+        success: true,
+        message: 'Score overridden',
+        data: {
+          resumeId,
+          score: updated.score,
+          breakdown: updated.score_breakdown,
+          recommendation: updated.recommendation,
+          aiScore: resume.assessment.overallScore,
+          aiBreakdown: resume.assessment.breakdown,
+          aiRecommendation: resume.assessment.recommendation,
+          override: updated.score_override
+        }
+      });
 
-      if (dbError) {
-        throw new Error(`Database deletion failed: ${dbError.message}`);
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to override score',
+        message: error.message
+      });
+    }
+  }
+
+  // Every scoring run for a resume, newest first
+  async getScoreHistory(req, res) {
+    try {
+      const { resumeId } = req.params;
+      const companyId = req.user.company.id;
+
+      const resume = await dbQueries.getResumeById(resumeId);
+
+      if (!resume) {
+        return res.status(404).json({
+          error: 'Resume not found',
+          message: 'No resume found with the provided ID'
+        });
       }
 
-      // Log analytics event
-      await dbQueries.logAnalyticsEvent(companyId, 'resume_deleted', {
-        resumeId,
-        filename: resume.filename
+      if (resume.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot access resume from different company'
+        });
+      }
+
+      const versions = await dbQueries.getScoreVersions(resumeId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          resumeId,
+          currentVersion: resume.score_version,
+          versions
+        }
       });
 
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve score history',
+        message: error.message
+      });
+    }
+  }
+
+  // Delete resume
+  async deleteResume(req, res) {
+    try {
+      const { resumeId } = req.params;
+      const companyId = req.user.company.id;
+
+      const resume = await dbQueries.getResumeById(resumeId);
+
+      if (!resume) {
+        return res.status(404).json({
+          error: 'Resume not found',
+          message: 'No resume found with the provided ID'
+        });
+      }
+
+      if (resume.company_id !== companyId) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Cannot delete resume from different company'
+        });
+      }
+
+      // The worker holds the resume's token reservation and would write the results back after the delete
+      if (resume.status === 'processing') {
+        return res.status(409).json({
+          error: 'Resume is being processed',
+          message: 'Resume cannot be deleted while it is being processed; retry once processing finishes'
+        });
+      }
+
+      // The file, notes and history go with it; analytics and token records lose the resume reference
+      await dataEraser.erase(companyId, [resume], { reason: 'resume_deleted', actorId: req.user.id });
+
       res.status(200).json({
         success: true,
         message: 'Resume deleted successfully'
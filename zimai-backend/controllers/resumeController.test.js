@@ -0,0 +1,94 @@
+jest.mock('../supabase/queries', () => ({
+  getResumeById: jest.fn(),
+  getJobRequirements: jest.fn(),
+  queueRescore: jest.fn()
+}));
+jest.mock('../services/tokenLedger', () => ({ reserve: jest.fn(), releaseQuietly: jest.fn() }));
+jest.mock('../services/resumeProcessor', () => ({ process: jest.fn(), rescore: jest.fn() }));
+jest.mock('../services/resumeWorker', () => ({ maxAttempts: 3 }));
+jest.mock('../services/resumeExporter', () => ({}));
+jest.mock('../services/duplicateDetector', () => ({}));
+jest.mock('../services/batchRunner', () => ({ events: {} }));
+jest.mock('../services/scoreCalibration', () => ({}));
+jest.mock('../services/dataEraser', () => ({}));
+
+const dbQueries = require('../supabase/queries');
+const tokenLedger = require('../services/tokenLedger');
+const resumeProcessor = require('../services/resumeProcessor');
+const resumeController = require('./resumeController');
+
+const RESUME = {
+  id: 'resume-a',
+  company_id: 'company-a',
+  status: 'processed',
+  processing_stage: 'completed',
+  attempts: 1,
+  score: 72,
+  score_version: 2,
+  job_id: 'job-a'
+};
+
+const manager = { id: 'user-a', role: 'manager', company: { id: 'company-a' } };
+
+const request = (body = {}) => ({ user: manager, params: { resumeId: 'resume-a' }, body, baseUrl: '/api/resumes' });
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('resumeController.rescoreResume', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbQueries.getResumeById.mockResolvedValue(RESUME);
+    dbQueries.getJobRequirements.mockResolvedValue({ id: 'job-b', version: 4 });
+    dbQueries.queueRescore.mockImplementation(async (resume) => ({ ...resume, status: 'uploaded', processing_stage: 'queued' }));
+    tokenLedger.reserve.mockResolvedValue({ id: 'reservation-1' });
+  });
+
+  it('queues the re-score for the worker and points at the status endpoint', async () => {
+    const res = response();
+
+    await resumeController.rescoreResume(request({ jobId: 'job-b' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      resumeId: 'resume-a',
+      status: 'uploaded',
+      stage: 'queued',
+      previousScore: 72,
+      jobId: 'job-b',
+      statusUrl: '/api/resumes/resume-a/status'
+    });
+    expect(dbQueries.queueRescore).toHaveBeenCalledWith(RESUME, expect.objectContaining({
+      jobId: 'job-b',
+      requestedBy: 'user-a',
+      previousStatus: 'processed',
+      previousStage: 'completed'
+    }), 'reservation-1');
+    expect(resumeProcessor.process).not.toHaveBeenCalled();
+    expect(resumeProcessor.rescore).not.toHaveBeenCalled();
+  });
+
+  it('reports a short balance before queueing', async () => {
+    tokenLedger.reserve.mockRejectedValue(Object.assign(new Error('Insufficient tokens'), { code: 'INSUFFICIENT_TOKENS' }));
+    const res = response();
+
+    await resumeController.rescoreResume(request(), res);
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(dbQueries.queueRescore).not.toHaveBeenCalled();
+  });
+
+  it('gives the token back when the resume started processing in the meantime', async () => {
+    dbQueries.queueRescore.mockResolvedValue(null);
+    const res = response();
+
+    await resumeController.rescoreResume(request(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(tokenLedger.releaseQuietly).toHaveBeenCalledWith('reservation-1', expect.objectContaining({ amount: 1 }));
+  });
+});
@@ -0,0 +1,111 @@
+const tokenLedger = require('../services/tokenLedger');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+class TokenController {
+  // Current balance, tokens held by in-flight work and low-balance thresholds
+  async getBalance(req, res) {
+    try {
+      const companyId = req.user.company.id;
+
+      const [company, reserved] = await Promise.all([
+        dbQueries.getCompanyById(companyId),
+        dbQueries.getReservedTokens(companyId)
+      ]);
+
+      const thresholds = company.low_balance_thresholds || [];
+
+      res.status(200).json({
+        success: true,
+        data: {
+          tokensRemaining: company.tokens_remaining,
+          tokensReserved: reserved,
+          lowBalanceThresholds: thresholds,
+          isLow: thresholds.some(threshold => company.tokens_remaining <= threshold)
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve token balance',
+        message: error.message
+      });
+    }
+  }
+
+  // Paginated token usage history
+  async getUsage(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      const { page, limit, ...filters } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { entries, totalCount } = await dbQueries.getTokenUsage(companyId, limit, offset, filters);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          usage: entries,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          },
+          filters
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve token usage',
+        message: error.message
+      });
+    }
+  }
+
+  // Add tokens to the company balance
+  async grantTokens(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      const { amount, reason } = req.body;
+
+      const result = await tokenLedger.grant(companyId, amount, {
+        reason,
+        actorId: req.user.id
+      });
+
+      logger.logSecurity('tokens_granted', {
+        companyId,
+        userId: req.user.id,
+        amount,
+        reason
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Granted ${amount} tokens`,
+        data: {
+          amount,
+          reason,
+          tokensRemaining: result.tokens_remaining
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to grant tokens',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TokenController();
@@ -0,0 +1,247 @@
+const webhookDispatcher = require('../services/webhookDispatcher');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// The signing secret is only shown once, when the webhook is created
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+// Look up a webhook and check it belongs to the caller's company; sends the error response otherwise
+const findWebhook = async (req, res) => {
+  const webhook = await dbQueries.getWebhookById(req.params.webhookId);
+
+  if (!webhook) {
+    res.status(404).json({
+      error: 'Webhook not found',
+      message: 'No webhook found with the provided ID'
+    });
+    return null;
+  }
+
+  if (webhook.company_id !== req.user.company.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Cannot access webhook from different company'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+class WebhookController {
+  async listWebhooks(req, res) {
+    try {
+      const webhooks = await dbQueries.getWebhooksByCompany(req.user.company.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          webhooks,
+          availableEvents: webhookDispatcher.events
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve webhooks',
+        message: error.message
+      });
+    }
+  }
+
+  async createWebhook(req, res) {
+    try {
+      const companyId = req.user.company.id;
+      await webhookDispatcher.checkUrl(req.body.url);
+
+      const secret = webhookDispatcher.generateSecret();
+
+      const webhook = await dbQueries.createWebhook(companyId, req.body, secret, req.user.id);
+
+      logger.logSecurity('webhook_created', {
+        companyId,
+        userId: req.user.id,
+        webhookId: webhook.id,
+        url: webhook.url
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Store the secret now; it will not be shown again.',
+        data: {
+          ...publicWebhook(webhook),
+          secret
+        }
+      });
+
+    } catch (error) {
+      if (webhookDispatcher.isRejection(error)) {
+        return res.status(400).json({
+          error: 'Invalid webhook URL',
+          message: error.message
+        });
+      }
+
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to create webhook',
+        message: error.message
+      });
+    }
+  }
+
+  async updateWebhook(req, res) {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+
+      if (req.body.url) {
+        await webhookDispatcher.checkUrl(req.body.url);
+      }
+
+      const updated = await dbQueries.updateWebhook(webhook.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: publicWebhook(updated)
+      });
+
+    } catch (error) {
+      if (webhookDispatcher.isRejection(error)) {
+        return res.status(400).json({
+          error: 'Invalid webhook URL',
+          message: error.message
+        });
+      }
+
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to update webhook',
+        message: error.message
+      });
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+
+      await dbQueries.deleteWebhook(webhook.id);
+
+      logger.logSecurity('webhook_deleted', {
+        companyId: webhook.company_id,
+        userId: req.user.id,
+        webhookId: webhook.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to delete webhook',
+        message: error.message
+      });
+    }
+  }
+
+  // Queue a ping event to check the receiver and its signature verification
+  async testWebhook(req, res) {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+
+      const delivery = await webhookDispatcher.ping(webhook);
+
+      res.status(202).json({
+        success: true,
+        message: 'Ping queued for delivery',
+        data: delivery
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to queue test delivery',
+        message: error.message
+      });
+    }
+  }
+
+  // Delivery log for a webhook, newest first
+  async getDeliveries(req, res) {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+
+      const { page, limit, ...filters } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { deliveries, totalCount } = await dbQueries.getWebhookDeliveries(webhook.id, limit, offset, filters);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          deliveries,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          },
+          filters
+        }
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to retrieve webhook deliveries',
+        message: error.message
+      });
+    }
+  }
+
+  async redeliver(req, res) {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+
+      const delivery = await dbQueries.getWebhookDelivery(req.params.deliveryId);
+
+      if (!delivery || delivery.webhook_id !== webhook.id) {
+        return res.status(404).json({
+          error: 'Delivery not found',
+          message: 'No delivery found with the provided ID for this webhook'
+        });
+      }
+
+      const redelivery = await webhookDispatcher.redeliver(delivery);
+
+      res.status(202).json({
+        success: true,
+        message: 'Delivery queued again',
+        data: redelivery
+      });
+
+    } catch (error) {
+      logger.logError(error, req);
+      res.status(500).json({
+        error: 'Failed to redeliver webhook',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,11 @@
+const auditLog = require('../services/auditLog');
+
+// Records every authenticated request in the audit log once its response is over, so the entry
+// carries the final status code. 'close' also fires when the client disconnects part way (an
+// interrupted export or event stream), which is recorded as aborted. Mounted after authMiddleware.
+const auditTrail = (req, res, next) => {
+  res.on('close', () => auditLog.record(req, res));
+  next();
+};
+
+module.exports = auditTrail;
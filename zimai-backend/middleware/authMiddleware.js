@@ -37,7 +37,10 @@ const authMiddleware = async (req, res, next) => {
             name,
             code,
             tokens_remaining,
-            is_active
+            is_active,
+            llm_provider,
+            scoring_mode,
+            duplicate_policy
           )
         `)
         .eq('user_id', user.id)
@@ -114,7 +117,8 @@ const requireRole = (requiredRoles) => {
   };
 };
 
-// Middleware to check if company has tokens
+// Middleware to check if company has tokens.
+// Quick rejection from the auth snapshot only; tokenLedger.reserve is what actually guards the balance.
 const requireTokens = (req, res, next) => {
   if (!req.user || !req.user.company) {
     return res.status(401).json({
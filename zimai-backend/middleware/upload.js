@@ -1,14 +1,30 @@
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const AdmZip = require('adm-zip');
 const logger = require('../utils/logger');
+const documentParser = require('../services/documentParser');
+const { readZipEntry } = require('../utils/zipEntry');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+const BULK_MAX_FILES = parseInt(process.env.BULK_MAX_FILES) || 100;
+const BULK_MAX_TOTAL_SIZE = parseInt(process.env.BULK_MAX_TOTAL_SIZE) || 100 * 1024 * 1024; // 100MB default
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+
+// Rejection reasons for archive entries that cannot be read
+const ZIP_ENTRY_REASONS = {
+  ZIP_ENTRY_TOO_LARGE: `File size must be less than ${MAX_FILE_SIZE / 1024 / 1024}MB`,
+  ZIP_ENTRY_UNSUPPORTED: 'Encrypted or unsupported ZIP entry',
+  ZIP_ENTRY_CORRUPTED: 'Corrupted ZIP entry'
+};
 
 // Configure multer for memory storage (files will be processed in memory)
 const storage = multer.memoryStorage();
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || ['application/pdf'];
+  const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || documentParser.supportedMimeTypes;
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -24,11 +40,78 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+    fileSize: MAX_FILE_SIZE,
     files: 1, // Only allow one file at a time
   },
 });
 
+// Bulk uploads accept resumes and ZIP archives; per-entry sizes are checked after expansion
+const bulkFileFilter = (req, file, cb) => {
+  if (ZIP_MIME_TYPES.includes(file.mimetype)) {
+    return cb(null, true);
+  }
+  fileFilter(req, file, cb);
+};
+
+// Bytes of bulk upload parts currently held in memory, per request
+const bufferedBytes = new WeakMap();
+
+// Buffers bulk parts in memory like memoryStorage, but stops as soon as a part is over its limit
+// (MAX_FILE_SIZE for resumes, the whole-upload limit for ZIP archives) or the parts buffered so far
+// would pass BULK_MAX_TOTAL_SIZE. The rest of that part is read and discarded, and validateBulkFiles
+// rejects it with the reason, so one oversized file does not fail the others.
+const bulkStorage = {
+  _handleFile(req, file, cb) {
+    const isZip = ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+    const chunks = [];
+    let size = 0;
+    let rejection = null;
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (rejection) return;
+
+      const buffered = bufferedBytes.get(req) || 0;
+      if (!isZip && size > MAX_FILE_SIZE) {
+        rejection = `File size must be less than ${MAX_FILE_SIZE / 1024 / 1024}MB`;
+      } else if (buffered + chunk.length > BULK_MAX_TOTAL_SIZE) {
+        rejection = `Upload exceeds the ${BULK_MAX_TOTAL_SIZE / 1024 / 1024}MB total size limit`;
+      }
+
+      if (rejection) {
+        bufferedBytes.set(req, buffered - (size - chunk.length));
+        chunks.length = 0;
+        return;
+      }
+
+      bufferedBytes.set(req, buffered + chunk.length);
+      chunks.push(chunk);
+    });
+
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      if (rejection) {
+        return cb(null, { size, rejection });
+      }
+      cb(null, { buffer: Buffer.concat(chunks, size), size });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+const bulkUpload = multer({
+  storage: bulkStorage,
+  fileFilter: bulkFileFilter,
+  limits: {
+    fileSize: BULK_MAX_TOTAL_SIZE,
+    files: BULK_MAX_FILES,
+  },
+});
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -38,7 +121,7 @@ const handleUploadError = (error, req, res, next) => {
       case 'LIMIT_FILE_SIZE':
         return res.status(400).json({
           error: 'File too large',
-          message: `File size must be less than ${(parseInt(process.env.MAX_FILE_SIZE) || 10485760) / 1024 / 1024}MB`
+          message: `File size must be less than ${MAX_FILE_SIZE / 1024 / 1024}MB`
         });
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({
@@ -68,45 +151,204 @@ const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
-// Middleware to validate uploaded file
-const validateFile = (req, res, next) => {
-  if (!req.file) {
-    return res.status(400).json({
-      error: 'No file uploaded',
-      message: 'Please upload a PDF file'
-    });
-  }
-
-  const file = req.file;
-  
-  // Additional validation
+// Check size, extension and magic bytes of a single file.
+// Returns null when the file is acceptable, otherwise the error response body.
+const inspectFile = (file) => {
   if (file.size === 0) {
-    return res.status(400).json({
+    return {
       error: 'Empty file',
       message: 'Uploaded file is empty'
-    });
+    };
   }
 
   // Check file extension as well as MIME type
   const fileExtension = path.extname(file.originalname).toLowerCase();
-  const allowedExtensions = ['.pdf'];
+  const allowedExtensions = documentParser.supportedExtensions;
   
   if (!allowedExtensions.includes(fileExtension)) {
-    return res.status(400).json({
+    return {
       error: 'Invalid file extension',
       message: `File must have one of these extensions: ${allowedExtensions.join(', ')}`
+    };
+  }
+
+  // Check magic bytes so a renamed file cannot pass as a supported format
+  const formatType = documentParser.detectFormat(file.buffer);
+  const format = documentParser.getFormat(formatType);
+
+  if (!format || !format.extensions.includes(fileExtension)) {
+    logger.logSecurity('file_content_mismatch', {
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      detectedFormat: formatType
     });
+    return {
+      error: 'Invalid file content',
+      message: `File content does not match the ${fileExtension} extension`
+    };
   }
 
+  file.format = formatType;
+  file.contentType = format.contentType;
+
   // Generate unique filename for storage
-  const uniqueFilename = `${uuidv4()}${fileExtension}`;
-  file.uniqueFilename = uniqueFilename;
+  file.uniqueFilename = `${uuidv4()}${fileExtension}`;
+
+  return null;
+};
+
+// Middleware to validate uploaded file
+const validateFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file uploaded',
+      message: 'Please upload a resume file (PDF, DOCX, ODT, RTF or TXT)'
+    });
+  }
+
+  const file = req.file;
+  const rejection = inspectFile(file);
+
+  if (rejection) {
+    return res.status(400).json(rejection);
+  }
 
   logger.info('File upload validated successfully:', {
     originalName: file.originalname,
-    uniqueFilename: uniqueFilename,
+    uniqueFilename: file.uniqueFilename,
     size: file.size,
-    mimetype: file.mimetype
+    mimetype: file.mimetype,
+    format: file.format
+  });
+
+  next();
+};
+
+const isZipArchive = (file) =>
+  path.extname(file.originalname).toLowerCase() === '.zip' &&
+  file.buffer.slice(0, 4).equals(ZIP_SIGNATURE);
+
+// Per-file and whole-upload limits shared by plain files and archive entries
+const checkBulkLimits = (size, budget) => {
+  if (budget.files >= BULK_MAX_FILES) {
+    return `Upload exceeds the ${BULK_MAX_FILES} file limit`;
+  }
+  if (size > MAX_FILE_SIZE) {
+    return `File size must be less than ${MAX_FILE_SIZE / 1024 / 1024}MB`;
+  }
+  if (budget.bytes + size > BULK_MAX_TOTAL_SIZE) {
+    return `Upload exceeds the ${BULK_MAX_TOTAL_SIZE / 1024 / 1024}MB total size limit`;
+  }
+  return null;
+};
+
+// Expand ZIP archives into entries, checking declared sizes before inflating anything
+const expandArchive = (archive, budget, rejected) => {
+  const entries = [];
+  let zip;
+
+  try {
+    zip = new AdmZip(archive.buffer);
+  } catch (error) {
+    rejected.push({ filename: archive.originalname, reason: 'Corrupted ZIP archive' });
+    return entries;
+  }
+
+  for (const entry of zip.getEntries()) {
+    const name = entry.entryName;
+    const basename = path.basename(name);
+
+    // Skip folders and OS metadata such as __MACOSX/ and .DS_Store
+    if (entry.isDirectory || name.startsWith('__MACOSX/') || basename.startsWith('.')) {
+      continue;
+    }
+
+    const filename = `${archive.originalname}/${name}`;
+    const declaredSize = entry.header.size;
+
+    const limitError = checkBulkLimits(declaredSize, budget);
+    if (limitError) {
+      rejected.push({ filename, reason: limitError });
+      continue;
+    }
+
+    // Inflates at most MAX_FILE_SIZE bytes whatever the header declares, and only returns data of the
+    // declared length, so the bytes counted against the upload below are the real ones
+    let buffer;
+    try {
+      buffer = readZipEntry(entry, MAX_FILE_SIZE);
+    } catch (error) {
+      rejected.push({ filename, reason: ZIP_ENTRY_REASONS[error.code] || 'Corrupted ZIP entry' });
+      continue;
+    }
+
+    budget.files += 1;
+    budget.bytes += buffer.length;
+    entries.push({
+      fieldname: archive.fieldname,
+      originalname: basename,
+      archivePath: filename,
+      mimetype: 'application/octet-stream',
+      buffer,
+      size: buffer.length
+    });
+  }
+
+  return entries;
+};
+
+// Middleware to expand and validate a bulk upload into req.bulkFiles
+const validateBulkFiles = (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      error: 'No files uploaded',
+      message: 'Please upload resume files or a ZIP archive'
+    });
+  }
+
+  const accepted = [];
+  const rejected = [];
+  const budget = { files: 0, bytes: 0 };
+
+  for (const upload of req.files) {
+    let candidates;
+
+    if (upload.rejection) {
+      rejected.push({ filename: upload.originalname, reason: upload.rejection });
+      continue;
+    }
+
+    if (isZipArchive(upload)) {
+      candidates = expandArchive(upload, budget, rejected);
+    } else {
+      const limitError = checkBulkLimits(upload.size, budget);
+      if (limitError) {
+        rejected.push({ filename: upload.originalname, reason: limitError });
+        continue;
+      }
+      budget.files += 1;
+      budget.bytes += upload.size;
+      candidates = [upload];
+    }
+
+    for (const file of candidates) {
+      const rejection = inspectFile(file);
+      if (rejection) {
+        rejected.push({ filename: file.archivePath || file.originalname, reason: rejection.message });
+        continue;
+      }
+
+      accepted.push(file);
+    }
+  }
+
+  req.bulkFiles = { accepted, rejected };
+
+  logger.info('Bulk upload validated:', {
+    uploaded: req.files.length,
+    accepted: accepted.length,
+    rejected: rejected.length,
+    totalBytes: budget.bytes
   });
 
   next();
@@ -114,6 +356,7 @@ const validateFile = (req, res, next) => {
 
 // Single file upload middleware
 const uploadSingle = upload.single('resume');
+const uploadMany = bulkUpload.array('resumes', BULK_MAX_FILES);
 
 // Wrapper function to handle upload with error handling
 const handleFileUpload = (req, res, next) => {
@@ -125,8 +368,41 @@ const handleFileUpload = (req, res, next) => {
   });
 };
 
+// Wrapper for bulk uploads; multer limits here apply to the whole request
+const handleBulkUpload = (req, res, next) => {
+  uploadMany(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      logger.warn('Bulk upload error:', { error: error.message, code: error.code });
+
+      switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+          return res.status(400).json({
+            error: 'File too large',
+            message: `Each uploaded file or archive must be less than ${BULK_MAX_TOTAL_SIZE / 1024 / 1024}MB`
+          });
+        case 'LIMIT_FILE_COUNT':
+          return res.status(400).json({
+            error: 'Too many files',
+            message: `Maximum ${BULK_MAX_FILES} files allowed per bulk upload`
+          });
+        case 'LIMIT_UNEXPECTED_FILE':
+          return res.status(400).json({
+            error: 'Unexpected file field',
+            message: 'File field name must be "resumes"'
+          });
+      }
+    }
+    if (error) {
+      return handleUploadError(error, req, res, next);
+    }
+    validateBulkFiles(req, res, next);
+  });
+};
+
 module.exports = {
   handleFileUpload,
+  handleBulkUpload,
   handleUploadError,
-  validateFile
+  validateFile,
+  validateBulkFiles
 };
\ No newline at end of file
@@ -0,0 +1,183 @@
+process.env.MAX_FILE_SIZE = '2000';
+process.env.BULK_MAX_FILES = '5';
+process.env.BULK_MAX_TOTAL_SIZE = '10000';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+const { handleBulkUpload } = require('./upload');
+
+const app = express();
+app.post('/bulk', handleBulkUpload, (req, res) => res.json({
+  accepted: req.bulkFiles.accepted.map(file => ({
+    originalname: file.originalname,
+    archivePath: file.archivePath || null,
+    format: file.format
+  })),
+  rejected: req.bulkFiles.rejected,
+  buffered: req.files.filter(file => file.buffer).map(file => file.originalname)
+}));
+
+const zipOf = (entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+};
+
+const LOCAL_HEADER = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const CENTRAL_HEADER = Buffer.from([0x50, 0x4B, 0x01, 0x02]);
+
+// Rewrites the uncompressed size of the archive's only entry to 0 in both of its headers
+const declaringSizeZero = (archive) => {
+  archive.writeUInt32LE(0, archive.indexOf(LOCAL_HEADER) + 22);
+  archive.writeUInt32LE(0, archive.indexOf(CENTRAL_HEADER) + 24);
+  return archive;
+};
+
+const RESUME = 'Tendai Moyo\nSoftware Engineer';
+
+const upload = (files) => {
+  const req = request(app).post('/bulk');
+  for (const [filename, content, contentType = 'text/plain'] of files) {
+    req.attach('resumes', Buffer.from(content), { filename, contentType });
+  }
+  return req;
+};
+
+describe('bulk uploads', () => {
+  it('expands ZIP archives next to plain files, skipping folders and OS metadata', async () => {
+    const archive = zipOf({
+      'cvs/': '',
+      'cvs/a.txt': RESUME,
+      'cvs/b.rtf': '{\\rtf1 Rudo Ncube}',
+      '__MACOSX/cvs/._a.txt': 'metadata',
+      'cvs/.DS_Store': 'metadata'
+    });
+
+    const res = await upload([
+      ['c.txt', RESUME],
+      ['batch.zip', archive, 'application/zip']
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.accepted).toEqual([
+      { originalname: 'c.txt', archivePath: null, format: 'txt' },
+      { originalname: 'a.txt', archivePath: 'batch.zip/cvs/a.txt', format: 'txt' },
+      { originalname: 'b.rtf', archivePath: 'batch.zip/cvs/b.rtf', format: 'rtf' }
+    ]);
+    expect(res.body.rejected).toEqual([]);
+  });
+
+  it('rejects archive entries one by one', async () => {
+    const archive = zipOf({
+      'ok.txt': RESUME,
+      'big.txt': 'a'.repeat(3000),
+      'fake.pdf': RESUME,
+      'setup.exe': RESUME
+    });
+
+    const res = await upload([['batch.zip', archive, 'application/zip']]);
+
+    expect(res.body.accepted.map(file => file.archivePath)).toEqual(['batch.zip/ok.txt']);
+    expect(res.body.rejected).toEqual([
+      { filename: 'batch.zip/big.txt', reason: expect.stringContaining('File size must be less than') },
+      { filename: 'batch.zip/fake.pdf', reason: 'File content does not match the .pdf extension' },
+      { filename: 'batch.zip/setup.exe', reason: expect.stringContaining('File must have one of these extensions') }
+    ]);
+  });
+
+  it.each([
+    ['inflates past the size limit', 'a'.repeat(200000), expect.stringContaining('File size must be less than')],
+    ['inflates to more than it declares', RESUME, 'Corrupted ZIP entry']
+  ])('rejects an entry declaring size 0 that %s', async (_, content, reason) => {
+    const archive = declaringSizeZero(zipOf({ 'bomb.txt': content }));
+
+    const res = await upload([
+      ['bomb.zip', archive, 'application/zip'],
+      ['c.txt', RESUME]
+    ]);
+
+    expect(res.body.accepted.map(file => file.originalname)).toEqual(['c.txt']);
+    expect(res.body.rejected).toEqual([{ filename: 'bomb.zip/bomb.txt', reason }]);
+  });
+
+  it('rejects entries that fail their checksum', async () => {
+    const archive = zipOf({ 'cv.txt': RESUME });
+    const crcOffset = archive.indexOf(CENTRAL_HEADER) + 16;
+    archive.writeUInt32LE((archive.readUInt32LE(crcOffset) ^ 1) >>> 0, crcOffset);
+
+    const res = await upload([['batch.zip', archive, 'application/zip']]);
+
+    expect(res.body.rejected).toEqual([{ filename: 'batch.zip/cv.txt', reason: 'Corrupted ZIP entry' }]);
+  });
+
+  it('counts archive entries against the file limit', async () => {
+    const entries = {};
+    for (let i = 1; i <= 7; i++) entries[`cv${i}.txt`] = RESUME;
+
+    const res = await upload([['batch.zip', zipOf(entries), 'application/zip']]);
+
+    expect(res.body.accepted).toHaveLength(5);
+    expect(res.body.rejected).toEqual([
+      { filename: 'batch.zip/cv6.txt', reason: 'Upload exceeds the 5 file limit' },
+      { filename: 'batch.zip/cv7.txt', reason: 'Upload exceeds the 5 file limit' }
+    ]);
+  });
+
+  it('rejects corrupted archives', async () => {
+    const corrupted = Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), Buffer.alloc(64, 0x01)]);
+
+    const res = await upload([
+      ['broken.zip', corrupted, 'application/zip'],
+      ['c.txt', RESUME]
+    ]);
+
+    expect(res.body.accepted.map(file => file.originalname)).toEqual(['c.txt']);
+    expect(res.body.rejected).toEqual([{ filename: 'broken.zip', reason: 'Corrupted ZIP archive' }]);
+  });
+
+  it('stops buffering a file once it is over the size limit without failing the others', async () => {
+    const res = await upload([
+      ['huge.txt', 'a'.repeat(5000)],
+      ['c.txt', RESUME]
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.accepted.map(file => file.originalname)).toEqual(['c.txt']);
+    expect(res.body.rejected).toEqual([
+      { filename: 'huge.txt', reason: expect.stringContaining('File size must be less than') }
+    ]);
+    expect(res.body.buffered).toEqual(['c.txt']);
+  });
+
+  it('stops buffering parts once the upload is over the total size limit', async () => {
+    const archive = () => zipOf({ 'cv.txt': RESUME, 'padding.bin': crypto.randomBytes(6000) });
+
+    const res = await upload([
+      ['first.zip', archive(), 'application/zip'],
+      ['second.zip', archive(), 'application/zip']
+    ]);
+
+    expect(res.body.buffered).toEqual(['first.zip']);
+    expect(res.body.rejected).toEqual(expect.arrayContaining([
+      { filename: 'second.zip', reason: expect.stringContaining('total size limit') }
+    ]));
+  });
+
+  it('refuses more parts than the file limit', async () => {
+    const res = await upload(Array.from({ length: 6 }, (_, i) => [`cv${i}.txt`, RESUME]));
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Too many files', message: 'Maximum 5 files allowed per bulk upload' });
+  });
+
+  it('requires at least one file', async () => {
+    const res = await request(app).post('/bulk').field('jobId', 'x');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No files uploaded');
+  });
+});
@@ -0,0 +1,24 @@
+// Joi validation middleware shared by the route modules.
+// `source` picks the part of the request to validate ('body', 'query' or 'params').
+// When omitted, the body is validated for batch requests and the query string otherwise.
+const validate = (schema, source) => {
+  return (req, res, next) => {
+    const target = source || (req.body && req.body.resumeIds ? 'body' : 'query');
+    const { error, value } = schema.validate(req[target] || {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.details[0].message,
+        details: error.details
+      });
+    }
+
+    // Merge validated values back
+    req[target] = { ...req[target], ...value };
+
+    next();
+  };
+};
+
+module.exports = validate;
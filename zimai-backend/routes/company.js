@@ -0,0 +1,711 @@
+const express = require('express');
+const router = express.Router();
+const companyController = require('../controllers/companyController');
+const tokenController = require('../controllers/tokenController');
+const webhookController = require('../controllers/webhookController');
+const insightsController = require('../controllers/insightsController');
+const auditController = require('../controllers/auditController');
+const erasureController = require('../controllers/erasureController');
+const { requireRole } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const { availableProviders } = require('../services/providers');
+const duplicateDetector = require('../services/duplicateDetector');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const insightsService = require('../services/insightsService');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+// Validation schemas
+// Audit log filters shared by the query and export endpoints
+const auditFilters = {
+  actorId: Joi.string().uuid(),
+  action: Joi.string().max(200),
+  targetType: Joi.string().valid('company', 'resume', 'note', 'job', 'webhook', 'webhook_delivery', 'batch', 'erasure_request'),
+  targetId: Joi.string().uuid(),
+  resumeId: Joi.string().uuid(),
+  outcome: Joi.string().valid('success', 'denied', 'failure', 'aborted'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from', { adjust: value => value ?? new Date(0) }))
+};
+
+const schemas = {
+  updateSettings: Joi.object({
+    scoring_mode: Joi.string().valid('ai', 'rules'),
+    llm_provider: Joi.string().valid(...availableProviders).allow(null),
+    duplicate_policy: Joi.string().valid(...duplicateDetector.policies),
+    blind_screening: Joi.boolean(),
+    low_balance_thresholds: Joi.array().items(Joi.number().integer().min(0)).unique().max(5),
+    retention_months: Joi.number().integer().min(1).max(120).allow(null)
+  }).min(1),
+
+  tokenUsage: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    operation: Joi.string().pattern(/^[a-z_]+$/).max(50),
+    resumeId: Joi.string().uuid(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from', { adjust: value => value ?? new Date(0) }))
+  }),
+
+  grantTokens: Joi.object({
+    amount: Joi.number().integer().min(1).max(100000).required(),
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  insights: Joi.object({
+    timeframe: Joi.string().valid(...insightsService.timeframes).default('30d'),
+    from: Joi.date().iso().when('timeframe', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+    to: Joi.date().iso().min(Joi.ref('from')).max('now')
+      .when('timeframe', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+    jobId: Joi.string().uuid(),
+    refresh: Joi.boolean().default(false)
+  }),
+
+  webhookParams: Joi.object({
+    webhookId: Joi.string().uuid().required()
+  }),
+
+  deliveryParams: Joi.object({
+    webhookId: Joi.string().uuid().required(),
+    deliveryId: Joi.string().uuid().required()
+  }),
+
+  createWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+    events: Joi.array().items(Joi.string().valid(...webhookDispatcher.events)).unique().min(1).required(),
+    description: Joi.string().trim().allow('').max(500)
+  }),
+
+  updateWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+    events: Joi.array().items(Joi.string().valid(...webhookDispatcher.events)).unique().min(1),
+    description: Joi.string().trim().allow('').max(500),
+    is_active: Joi.boolean()
+  }).min(1),
+
+  webhookDeliveries: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    status: Joi.string().valid('pending', 'delivering', 'delivered', 'failed'),
+    eventType: Joi.string().max(50)
+  }),
+
+  auditLog: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    ...auditFilters
+  }),
+
+  auditExport: Joi.object(auditFilters),
+
+  createErasure: Joi.object({
+    email: Joi.string().trim().email().max(320),
+    phone: Joi.string().trim().max(50)
+  }).or('email', 'phone'),
+
+  erasureRequests: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  erasureParams: Joi.object({
+    requestId: Joi.string().uuid().required()
+  })
+};
+
+// Routes
+
+/**
+ * @swagger
+ * /api/company/settings:
+ *   get:
+ *     summary: Get company screening settings
+ */
+router.get('/settings', companyController.getSettings);
+
+/**
+ * @swagger
+ * /api/company/settings:
+ *   patch:
+ *     summary: Update company screening settings
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scoring_mode:
+ *                 type: string
+ *                 enum: [ai, rules]
+ *                 description: "rules" scores resumes without calling an AI provider
+ *               llm_provider:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Overrides the LLM_PROVIDER environment default for this company
+ *               duplicate_policy:
+ *                 type: string
+ *                 enum: [reject, link, reprocess]
+ *                 description: What happens to an upload matching an existing file or candidate for the same job (default link). Applications to different jobs are never duplicates.
+ *               blind_screening:
+ *                 type: boolean
+ *                 description: Redact names, contact details, age, gender markers, photos and addresses before scoring. Jobs can override this.
+ *               low_balance_thresholds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: A token_balance_low analytics event fires when the balance drops to or below each threshold
+ *               retention_months:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 120
+ *                 nullable: true
+ *                 description: Resumes uploaded more than this many months ago are erased, leaving only anonymous totals per job and month. Null keeps them until deleted.
+ */
+router.patch('/settings',
+  requireRole('admin'),
+  validate(schemas.updateSettings, 'body'),
+  companyController.updateSettings
+);
+
+/**
+ * @swagger
+ * /api/company/tokens:
+ *   get:
+ *     summary: Get token balance
+ *     description: tokensRemaining is available to spend; tokensReserved is held by uploads and requests still in progress
+ */
+router.get('/tokens', tokenController.getBalance);
+
+/**
+ * @swagger
+ * /api/company/tokens/usage:
+ *   get:
+ *     summary: Token usage history
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: operation
+ *         description: e.g. resume_processing, job_analysis
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resumeId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ */
+router.get('/tokens/usage',
+  validate(schemas.tokenUsage, 'query'),
+  tokenController.getUsage
+);
+
+/**
+ * @swagger
+ * /api/company/tokens/grant:
+ *   post:
+ *     summary: Top up the token balance
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, reason]
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *                 description: Recorded on the ledger entry, e.g. an invoice or support ticket reference
+ */
+router.post('/tokens/grant',
+  requireRole('admin'),
+  validate(schemas.grantTokens, 'body'),
+  tokenController.grantTokens
+);
+
+/**
+ * @swagger
+ * /api/company/insights:
+ *   get:
+ *     summary: AI hiring insights for a timeframe
+ *     description: |
+ *       Built from aggregate screening statistics (no candidate details), compared with the preceding period of the same length.
+ *       Results are cached per company, timeframe and job; a cache miss or refresh=true costs 1 token.
+ *       Periods with no scored resumes return without charging.
+ *     parameters:
+ *       - in: query
+ *         name: timeframe
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, custom]
+ *           default: 30d
+ *       - in: query
+ *         name: from
+ *         description: Required for the custom timeframe
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Required for the custom timeframe
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: refresh
+ *         description: Ignore the cache and generate new insights
+ *         schema:
+ *           type: boolean
+ *           default: false
+ */
+router.get('/insights',
+  validate(schemas.insights, 'query'),
+  insightsController.getInsights
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks:
+ *   get:
+ *     summary: List webhook endpoints and the event types they can subscribe to
+ */
+router.get('/webhooks',
+  requireRole('admin'),
+  webhookController.listWebhooks
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: |
+ *       Each delivery is a JSON POST of { id, type, createdAt, companyId, data } with headers
+ *       X-ZimAI-Event, X-ZimAI-Delivery, X-ZimAI-Timestamp and X-ZimAI-Signature.
+ *       The signature is "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook secret,
+ *       which is returned only in this response. Non-2xx responses are retried with exponential backoff.
+ *       The URL's host must resolve only to public addresses; it is checked here and again before every delivery.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [resume.processed, resume.rescored, resume.failed, resume.deleted]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook created, with its secret
+ *       400:
+ *         description: Invalid body, or the URL's host does not resolve or resolves to a private, loopback or link-local address
+ */
+router.post('/webhooks',
+  requireRole('admin'),
+  validate(schemas.createWebhook, 'body'),
+  webhookController.createWebhook
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks/{webhookId}:
+ *   patch:
+ *     summary: Change a webhook's URL, events or description, or disable it
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *                 description: Disabled webhooks receive no new events; queued deliveries to them are marked failed
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       400:
+ *         description: Invalid body, or the new URL's host does not resolve or resolves to a private, loopback or link-local address
+ */
+router.patch('/webhooks/:webhookId',
+  requireRole('admin'),
+  validate(schemas.webhookParams, 'params'),
+  validate(schemas.updateWebhook, 'body'),
+  webhookController.updateWebhook
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/webhooks/:webhookId',
+  requireRole('admin'),
+  validate(schemas.webhookParams, 'params'),
+  webhookController.deleteWebhook
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Send a ping event to the webhook
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/webhooks/:webhookId/test',
+  requireRole('admin'),
+  validate(schemas.webhookParams, 'params'),
+  webhookController.testWebhook
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Delivery log with response status, error and attempt count per delivery
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivering, delivered, failed]
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ */
+router.get('/webhooks/:webhookId/deliveries',
+  requireRole('admin'),
+  validate(schemas.webhookParams, 'params'),
+  validate(schemas.webhookDeliveries, 'query'),
+  webhookController.getDeliveries
+);
+
+/**
+ * @swagger
+ * /api/company/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: Queues a new delivery of the same event (same event id) and leaves the original entry in the log
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver',
+  requireRole('admin'),
+  validate(schemas.deliveryParams, 'params'),
+  webhookController.redeliver
+);
+
+/**
+ * @swagger
+ * /api/company/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: Every authenticated API request with actor, role, action, target, IP, status and time, newest first. Entries are hash-chained per company.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: action
+ *         description: e.g. resume.view, resume.export, resume.override_score, resume.delete
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [company, resume, note, job, webhook, webhook_delivery, batch, erasure_request]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: resumeId
+ *         description: Entries that touched this resume, including bulk actions
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, denied, failure, aborted]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/audit',
+  requireRole('admin'),
+  validate(schemas.auditLog, 'query'),
+  auditController.listEntries
+);
+
+/**
+ * @swagger
+ * /api/company/audit/export:
+ *   get:
+ *     summary: Download the audit log as CSV
+ *     description: Matching entries oldest first, with each entry's hash and previous hash
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: action
+ *         description: e.g. resume.view, resume.export, resume.override_score, resume.delete
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [company, resume, note, job, webhook, webhook_delivery, batch, erasure_request]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: resumeId
+ *         description: Entries that touched this resume, including bulk actions
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, denied, failure, aborted]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/audit/export',
+  requireRole('admin'),
+  validate(schemas.auditExport, 'query'),
+  auditController.exportEntries
+);
+
+/**
+ * @swagger
+ * /api/company/audit/verify:
+ *   get:
+ *     summary: Check the audit log hash chain
+ *     description: Recomputes every entry's hash in order. Reports the first entry that was changed, removed or reordered, if any.
+ */
+router.get('/audit/verify',
+  requireRole('admin'),
+  auditController.verifyChain
+);
+
+/**
+ * @swagger
+ * /api/company/erasure-requests:
+ *   post:
+ *     summary: Erase all data held about a candidate
+ *     description: >
+ *       Finds every resume whose extracted email or phone matches, deletes the resumes, their files, notes,
+ *       stage and score history, overrides and queued webhook deliveries, and strips the resume from analytics
+ *       and token records. Returns an erasure certificate that identifies the candidate only by keyed hashes
+ *       (ERASURE_SUBJECT_SECRET; left out when unset). Matching uses the contact details extracted during
+ *       processing: the request is refused with 409 while resumes are still waiting to be processed, and
+ *       resumes whose processing failed before extraction are listed under unchecked on the certificate.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *             description: At least one of email or phone
+ */
+router.post('/erasure-requests',
+  requireRole('admin'),
+  validate(schemas.createErasure, 'body'),
+  erasureController.createRequest
+);
+
+/**
+ * @swagger
+ * /api/company/erasure-requests:
+ *   get:
+ *     summary: List erasure requests
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get('/erasure-requests',
+  requireRole('admin'),
+  validate(schemas.erasureRequests, 'query'),
+  erasureController.listRequests
+);
+
+/**
+ * @swagger
+ * /api/company/erasure-requests/{requestId}:
+ *   get:
+ *     summary: Get an erasure certificate
+ *     description: verified is false if the stored certificate no longer matches the hash recorded when it was issued
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/erasure-requests/:requestId',
+  requireRole('admin'),
+  validate(schemas.erasureParams, 'params'),
+  erasureController.getCertificate
+);
+
+// Error handling middleware for routes
+router.use((error, req, res, next) => {
+  logger.logError(error, req);
+
+  res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'production'
+      ? 'An unexpected error occurred'
+      : error.message
+  });
+});
+
+module.exports = router;
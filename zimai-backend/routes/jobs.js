@@ -0,0 +1,455 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const pipelineController = require('../controllers/pipelineController');
+const { requireTokens, requireRole } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const candidateRanker = require('../services/candidateRanker');
+const scoringPolicy = require('../services/scoringPolicy');
+const pipelineService = require('../services/pipelineService');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+// Validation schemas
+const stageKey = Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50);
+
+const jobFields = {
+  title: Joi.string().trim().max(200),
+  description: Joi.string().allow('').max(20000),
+  required_skills: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  preferred_skills: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  experience_level: Joi.string().allow('').max(100),
+  education_requirements: Joi.string().allow('').max(500),
+  keywords: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  responsibilities: Joi.array().items(Joi.string().trim().max(500)).max(30),
+  location: Joi.string().allow('').max(200),
+  // null follows the company's blind screening setting
+  blind_screening: Joi.boolean().allow(null),
+  // Relative weights on any scale (normalized when scoring); null uses the default weights
+  scoring_weights: Joi.object(
+    Object.fromEntries(scoringPolicy.dimensions.map(dimension => [dimension, Joi.number().min(0).max(100).required()]))
+  )
+    .custom((weights, helpers) => (Object.values(weights).some(weight => weight > 0)
+      ? weights
+      : helpers.message('scoring_weights must have at least one weight above 0')))
+    .allow(null),
+  score_thresholds: Joi.object({
+    pass: Joi.number().min(0).max(100).required(),
+    review: Joi.number().min(0).less(Joi.ref('pass')).required()
+  }).allow(null),
+  // Hiring stages in order (candidates start in the first) and the moves allowed from each; null uses the default pipeline
+  pipeline: Joi.object({
+    stages: Joi.array()
+      .items(Joi.object({
+        key: stageKey.required(),
+        name: Joi.string().trim().max(100).required()
+      }))
+      .min(2)
+      .max(20)
+      .unique('key')
+      .required(),
+    transitions: Joi.object().pattern(stageKey, Joi.array().items(stageKey).unique()).required()
+  })
+    .custom((pipeline, helpers) => {
+      const problem = pipelineService.validate(pipeline);
+      return problem ? helpers.message(`pipeline ${problem}`) : pipeline;
+    })
+    .allow(null)
+};
+
+const schemas = {
+  jobParams: Joi.object({
+    jobId: Joi.string().uuid().required()
+  }),
+
+  listJobs: Joi.object({
+    includeArchived: Joi.boolean().default(false)
+  }),
+
+  createJob: Joi.object({
+    ...jobFields,
+    title: jobFields.title.required()
+  }),
+
+  updateJob: Joi.object(jobFields).min(1),
+
+  calibration: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from', { adjust: value => value ?? new Date(0) }))
+  }),
+
+  moveCandidates: Joi.object({
+    resumeIds: Joi.array().items(Joi.string().uuid()).min(1).max(100).unique().required(),
+    toStage: stageKey.required(),
+    reason: Joi.string().trim().max(1000).allow('', null)
+  }),
+
+  shortlist: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(20),
+    minScore: Joi.number().min(0).max(100).allow(null).default(null),
+    mustHave: Joi.array().items(Joi.string().trim().max(100)).single().max(20).default([]),
+    tieBreakers: Joi.array()
+      .items(Joi.string().valid(...candidateRanker.tieBreakers))
+      .single()
+      .unique()
+      .default(['fitScore', 'keywordMatches', 'experienceYears'])
+  }),
+
+  analyzeDescription: Joi.object({
+    description: Joi.string().trim().min(50).max(20000).required()
+  })
+};
+
+// Routes
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   post:
+ *     summary: Create a job posting
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               required_skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               preferred_skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               experience_level:
+ *                 type: string
+ *               education_requirements:
+ *                 type: string
+ *               keywords:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               blind_screening:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Redact candidate PII before scoring for this job; null follows the company setting
+ *               scoring_weights:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Relative weight of each dimension in the overall score, normalized to sum to 1. The overall score is computed from the breakdown with these weights. Defaults to skills 35, experience 30, education 15, relevance 20.
+ *                 properties:
+ *                   skills:
+ *                     type: number
+ *                   experience:
+ *                     type: number
+ *                   education:
+ *                     type: number
+ *                   relevance:
+ *                     type: number
+ *               score_thresholds:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Minimum overall score for the pass and review bands; lower scores are reject. Defaults to pass 75, review 50.
+ *                 properties:
+ *                   pass:
+ *                     type: number
+ *                   review:
+ *                     type: number
+ *               pipeline:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Hiring stages and allowed moves between them. Candidates start in the first stage. Defaults to new, shortlisted, phone_screen, interview, offer, hired, rejected.
+ *                 properties:
+ *                   stages:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                   transitions:
+ *                     type: object
+ *                     description: Stage key to the stage keys a candidate can move to from it
+ *                     additionalProperties:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ */
+router.post('/',
+  requireRole(['admin', 'manager']),
+  validate(schemas.createJob, 'body'),
+  jobController.createJob
+);
+
+/**
+ * @swagger
+ * /api/jobs/analyze:
+ *   post:
+ *     summary: Extract a draft job posting from a pasted job description
+ *     description: Uses AI to structure the description. Costs one token; the draft is not saved.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [description]
+ *             properties:
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft requirements ready for review
+ *       402:
+ *         description: Insufficient tokens
+ */
+router.post('/analyze',
+  requireTokens,
+  requireRole(['admin', 'manager']),
+  validate(schemas.analyzeDescription, 'body'),
+  jobController.analyzeDescription
+);
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List company job postings
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ */
+router.get('/',
+  validate(schemas.listJobs, 'query'),
+  jobController.listJobs
+);
+
+/**
+ * @swagger
+ * /api/jobs/pipeline/counts:
+ *   get:
+ *     summary: Candidates per pipeline stage for every active job
+ */
+router.get('/pipeline/counts',
+  pipelineController.getCompanyCounts
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   get:
+ *     summary: Get job posting details
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:jobId',
+  validate(schemas.jobParams, 'params'),
+  jobController.getJob
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   patch:
+ *     summary: Update job posting requirements (creates a new version)
+ *     description: Changing scoring_weights or score_thresholds re-applies them to the resumes already scored against the job. Their overall scores are recomputed from the stored breakdowns (an overall score set by a reviewer is kept) and their recommendation bands follow, without re-running the AI.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job updated
+ *       409:
+ *         description: Job archived, pipeline stages still in use, or the job was changed concurrently
+ */
+router.patch('/:jobId',
+  requireRole(['admin', 'manager']),
+  validate(schemas.jobParams, 'params'),
+  validate(schemas.updateJob, 'body'),
+  jobController.updateJob
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/shortlist:
+ *   get:
+ *     summary: Top candidates for a job
+ *     description: Processed resumes for the job ordered by overall score, then by the tie-breakers in order. Rank and percentile are relative to every processed resume for the job; minScore and mustHave only filter the returned list.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: mustHave
+ *         description: Keyword the candidate must have matched (repeat for several)
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: tieBreakers
+ *         description: Repeat to set order
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [fitScore, keywordMatches, experienceYears, processedAt]
+ */
+router.get('/:jobId/shortlist',
+  validate(schemas.jobParams, 'params'),
+  validate(schemas.shortlist, 'query'),
+  jobController.getShortlist
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/calibration:
+ *   get:
+ *     summary: How reviewers' score overrides compare with the model for a job
+ *     description: Override rate and the mean, absolute and largest differences between human and AI scores, overall and per dimension, using the latest override of each resume. needsTuning is set, with the reasons in signals, once there are enough overrides and they disagree with the model beyond the configured limits.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/:jobId/calibration',
+  validate(schemas.jobParams, 'params'),
+  validate(schemas.calibration, 'query'),
+  jobController.getCalibration
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/pipeline:
+ *   get:
+ *     summary: Pipeline stages, allowed transitions and candidates per stage for a job
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:jobId/pipeline',
+  validate(schemas.jobParams, 'params'),
+  pipelineController.getPipeline
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/pipeline/moves:
+ *   post:
+ *     summary: Move one or more candidates to a pipeline stage
+ *     description: Each move must be allowed from the candidate's current stage. Candidates are moved independently and the result for each is returned.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [resumeIds, toStage]
+ *             properties:
+ *               resumeIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               toStage:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Why the candidates were moved; kept in the stage history
+ */
+router.post('/:jobId/pipeline/moves',
+  requireRole(['admin', 'manager']),
+  validate(schemas.jobParams, 'params'),
+  validate(schemas.moveCandidates, 'body'),
+  pipelineController.moveCandidates
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/archive:
+ *   post:
+ *     summary: Archive a job posting
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:jobId/archive',
+  requireRole(['admin', 'manager']),
+  validate(schemas.jobParams, 'params'),
+  jobController.archiveJob
+);
+
+// Error handling middleware for routes
+router.use((error, req, res, next) => {
+  logger.logError(error, req);
+
+  res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'production'
+      ? 'An unexpected error occurred'
+      : error.message
+  });
+});
+
+module.exports = router;
@@ -1,11 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const resumeController = require('../controllers/resumeController');
-const { handleFileUpload } = require('../middleware/upload');
+const pipelineController = require('../controllers/pipelineController');
+const notesController = require('../controllers/notesController');
+const { handleFileUpload, handleBulkUpload } = require('../middleware/upload');
 const { requireTokens, requireRole } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const resumeExporter = require('../services/resumeExporter');
+const scoringPolicy = require('../services/scoringPolicy');
+const { EDUCATION_LEVELS } = require('../utils/sanitizeText');
 const Joi = require('joi');
 const logger = require('../utils/logger');
 
+// Filters shared by the resume list and export endpoints
+const listFilters = {
+  status: Joi.string().valid('uploaded', 'processing', 'processed', 'failed', 'duplicate'),
+  jobId: Joi.string().uuid(),
+  minScore: Joi.number().min(0).max(100),
+  maxScore: Joi.number().min(Joi.ref('minScore', { adjust: value => value ?? 0 })).max(100),
+  processedFrom: Joi.date().iso(),
+  processedTo: Joi.date().iso().min(Joi.ref('processedFrom', { adjust: value => value ?? new Date(0) })),
+  search: Joi.string().trim().min(2).max(100),
+  keywords: Joi.array().items(Joi.string().trim().max(100)).single().max(20),
+  minExperience: Joi.number().min(0).max(60),
+  maxExperience: Joi.number().min(Joi.ref('minExperience', { adjust: value => value ?? 0 })).max(60),
+  skills: Joi.array().items(Joi.string().trim().max(40)).single().max(20),
+  educationLevel: Joi.string().valid(...EDUCATION_LEVELS.map(({ level }) => level)),
+  duplicates: Joi.string().valid('only', 'exclude'),
+  recommendation: Joi.string().valid(...scoringPolicy.bands),
+  sortBy: Joi.string()
+    .valid('created_at', 'processed_at', 'score', 'candidate_name', 'candidate_email', 'experience_years', 'keywords_matched', 'status')
+    .default('created_at'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+};
+
 // Validation schemas
 const schemas = {
   batchProcess: Joi.object({
@@ -13,13 +41,78 @@ const schemas = {
       .items(Joi.string().uuid())
       .min(1)
       .max(10)
-      .required()
+      .required(),
+    jobId: Joi.string().uuid()
   }),
-  
-  pagination: Joi.object({
+
+  batchParams: Joi.object({
+    batchId: Joi.string().uuid().required()
+  }),
+
+  rescore: Joi.object({
+    jobId: Joi.string().uuid()
+  }),
+
+  overrideScore: Joi.object({
+    overallScore: Joi.number().min(0).max(100),
+    breakdown: Joi.object(
+      Object.fromEntries(scoringPolicy.dimensions.map(dimension => [dimension, Joi.number().min(0).max(100)]))
+    ).min(1),
+    justification: Joi.string().trim().min(10).max(2000).required()
+  }).or('overallScore', 'breakdown'),
+
+  noteParams: Joi.object({
+    resumeId: Joi.string().uuid().required(),
+    noteId: Joi.string().uuid().required()
+  }),
+
+  createNote: Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required(),
+    // Replies take the visibility of the note they answer
+    visibility: Joi.string().valid('private', 'team').when('parentId', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.any().default('team')
+    }),
+    parentId: Joi.string().uuid(),
+    mentions: Joi.array().items(Joi.string().uuid()).max(20).unique().default([])
+  }),
+
+  updateNote: Joi.object({
+    body: Joi.string().trim().min(1).max(5000),
+    mentions: Joi.array().items(Joi.string().uuid()).max(20).unique()
+  }).min(1),
+
+  mentions: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20)
   }),
+
+  moveStage: Joi.object({
+    toStage: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+    reason: Joi.string().trim().max(1000).allow('', null)
+  }),
+
+  uploadResume: Joi.object({
+    jobId: Joi.string().uuid()
+  }),
+  
+  listResumes: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    ...listFilters
+  }),
+
+  exportResumes: Joi.object({
+    format: Joi.string().valid(...resumeExporter.formats).default('csv'),
+    columns: Joi.array()
+      .items(Joi.string().valid(...resumeExporter.columns))
+      .single()
+      .unique()
+      .min(1)
+      .default(resumeExporter.columns),
+    ...listFilters
+  }),
   
   dateRange: Joi.object({
     startDate: Joi.date().iso(),
@@ -27,38 +120,14 @@ const schemas = {
   })
 };
 
-// Validation middleware
-const validate = (schema) => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req.body.resumeIds ? req.body : req.query);
-    
-    if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.details[0].message,
-        details: error.details
-      });
-    }
-    
-    // Merge validated values back
-    if (req.body.resumeIds) {
-      req.body = { ...req.body, ...value };
-    } else {
-      req.query = { ...req.query, ...value };
-    }
-    
-    next();
-  };
-};
-
 // Routes
 
 /**
  * @swagger
  * /api/resumes/company/{companyId}/upload:
  *   post:
- *     summary: Upload and process a resume
- *     description: Upload a PDF resume and process it with AI scoring
+ *     summary: Upload a resume for processing
+ *     description: Upload a resume (PDF, DOCX, ODT, RTF or TXT). It is stored and queued for AI scoring by the worker; poll the status endpoint for the result.
  *     parameters:
  *       - in: path
  *         name: companyId
@@ -75,27 +144,77 @@ const validate = (schema) => {
  *               resume:
  *                 type: string
  *                 format: binary
+ *               jobId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Job posting to score against (defaults to the newest active posting)
  *     responses:
- *       200:
- *         description: Resume processed successfully
+ *       202:
+ *         description: Resume stored and queued for processing
  *       400:
  *         description: Invalid file or validation error
  *       402:
  *         description: Insufficient tokens
+ *       404:
+ *         description: Job posting not found
  *       500:
- *         description: Processing failed
+ *         description: Upload failed
  */
 router.post('/company/:companyId/upload', 
   requireTokens,
   handleFileUpload,
+  validate(schemas.uploadResume, 'body'),
   resumeController.processResume
 );
 
+/**
+ * @swagger
+ * /api/resumes/company/{companyId}/bulk-upload:
+ *   post:
+ *     summary: Upload many resumes at once
+ *     description: Accepts multiple resume files and/or ZIP archives of resumes. Each entry is validated on its own and accepted entries are queued for processing.
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resumes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               jobId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       202:
+ *         description: Per-file results listing accepted and rejected entries
+ *       400:
+ *         description: No files or upload limits exceeded
+ *       402:
+ *         description: Not enough tokens for every accepted file
+ */
+router.post('/company/:companyId/bulk-upload',
+  requireTokens,
+  handleBulkUpload,
+  validate(schemas.uploadResume, 'body'),
+  resumeController.bulkUpload
+);
+
 /**
  * @swagger
  * /api/resumes/{resumeId}:
  *   get:
  *     summary: Get resume details
+ *     description: Includes candidate_profile, the structured contact, skills, work history, education, certifications and projects parsed from the resume; assessment, the full result of the latest scoring run; and notes, the note threads visible to the caller
  *     parameters:
  *       - in: path
  *         name: resumeId
@@ -106,11 +225,319 @@ router.post('/company/:companyId/upload',
  */
 router.get('/:resumeId', resumeController.getResume);
 
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/status:
+ *   get:
+ *     summary: Poll resume processing status
+ *     description: Returns status (uploaded/processing/processed/failed), current stage and retry attempts
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:resumeId/status', resumeController.getResumeStatus);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/rescore:
+ *   post:
+ *     summary: Queue a processed resume to be scored again
+ *     description: Queues the resume for the worker to re-run scoring against the current version of its job, or against jobId when given, and responds 202 with a statusUrl to poll. Costs 1 token, reserved when the re-score is queued; the previous score stays in the score history, and stays current with the status error set if re-scoring fails. Re-scoring against a different job takes the candidate out of the old job's pipeline (recorded in the stage history) and starts them at the new job's first stage.
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               jobId:
+ *                 type: string
+ *                 format: uuid
+ */
+router.post('/:resumeId/rescore',
+  requireRole(['admin', 'manager']),
+  validate(schemas.rescore, 'body'),
+  resumeController.rescoreResume
+);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/override:
+ *   post:
+ *     summary: Override the AI score of a processed resume
+ *     description: Overridden breakdown dimensions replace the AI values and the overall score is recomputed with the job's weights, unless overallScore is also given. Each override starts from the AI values and replaces any earlier override. The recommendation band follows the new score. The AI values are kept in the assessment and every override is logged for the job's calibration report. Re-scoring the resume replaces the override.
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [justification]
+ *             properties:
+ *               overallScore:
+ *                 type: number
+ *               breakdown:
+ *                 type: object
+ *                 properties:
+ *                   skills:
+ *                     type: number
+ *                   experience:
+ *                     type: number
+ *                   education:
+ *                     type: number
+ *                   relevance:
+ *                     type: number
+ *               justification:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Score overridden
+ *       409:
+ *         description: Resume is not scored, or was re-scored during review
+ */
+router.post('/:resumeId/override',
+  requireRole(['admin', 'manager']),
+  validate(schemas.overrideScore, 'body'),
+  resumeController.overrideScore
+);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/scores:
+ *   get:
+ *     summary: Get the score history of a resume
+ *     description: One entry per scoring run, newest first, with the full assessment, model, prompt version and a snapshot of the job requirements it was scored against
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:resumeId/scores', resumeController.getScoreHistory);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/stage:
+ *   post:
+ *     summary: Move a candidate to another stage of its job's pipeline
+ *     description: The move must be allowed from the candidate's current stage. Who moved the candidate and the reason are kept in the stage history.
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [toStage]
+ *             properties:
+ *               toStage:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Candidate moved
+ *       400:
+ *         description: Unknown stage
+ *       409:
+ *         description: Move not allowed from the current stage, candidate not in a pipeline, or moved concurrently
+ */
+router.post('/:resumeId/stage',
+  requireRole(['admin', 'manager']),
+  validate(schemas.moveStage, 'body'),
+  pipelineController.moveCandidate
+);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/stages:
+ *   get:
+ *     summary: Get the pipeline stage history of a candidate
+ *     description: Every stage change, newest first, with who made it and why
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:resumeId/stages', pipelineController.getStageHistory);
+
+/**
+ * @swagger
+ * /api/resumes/notes/mentions:
+ *   get:
+ *     summary: Team notes that mention the current user, newest first
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get('/notes/mentions',
+  validate(schemas.mentions, 'query'),
+  notesController.getMentions
+);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/notes:
+ *   get:
+ *     summary: Get the notes on a resume
+ *     description: Team notes and the caller's own private notes, grouped into threads with their replies, oldest first
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:resumeId/notes', notesController.listNotes);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/notes:
+ *   post:
+ *     summary: Add a note or a reply to a resume
+ *     description: Private notes are only visible to their author and cannot mention anyone. A reply (parentId) answers the first note of a thread and takes its visibility.
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, team]
+ *                 default: team
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *               mentions:
+ *                 type: array
+ *                 description: IDs of users in your company to mention
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ */
+router.post('/:resumeId/notes',
+  validate(schemas.createNote, 'body'),
+  notesController.createNote
+);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/notes/{noteId}:
+ *   patch:
+ *     summary: Edit a note (author only)
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               mentions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ */
+router.patch('/:resumeId/notes/:noteId',
+  validate(schemas.noteParams, 'params'),
+  validate(schemas.updateNote, 'body'),
+  notesController.updateNote
+);
+
+/**
+ * @swagger
+ * /api/resumes/{resumeId}/notes/{noteId}:
+ *   delete:
+ *     summary: Delete a note and its replies (author or admin)
+ *     parameters:
+ *       - in: path
+ *         name: resumeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:resumeId/notes/:noteId',
+  validate(schemas.noteParams, 'params'),
+  notesController.deleteNote
+);
+
 /**
  * @swagger
  * /api/resumes/{resumeId}:
  *   delete:
  *     summary: Delete a resume
+ *     description: Removes the resume, its file, notes and history. A resume the worker is processing cannot be deleted until processing finishes.
  *     parameters:
  *       - in: path
  *         name: resumeId
@@ -118,6 +545,11 @@ router.get('/:resumeId', resumeController.getResume);
  *         schema:
  *           type: string
  *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Resume deleted
+ *       409:
+ *         description: Resume is being processed
  */
 router.delete('/:resumeId', 
   requireRole(['admin', 'manager']),
@@ -128,7 +560,8 @@ router.delete('/:resumeId',
  * @swagger
  * /api/resumes/company/list:
  *   get:
- *     summary: Get company resumes with pagination
+ *     summary: Search and filter company resumes with pagination
+ *     description: Pagination totals reflect the applied filters.
  *     parameters:
  *       - in: query
  *         name: page
@@ -143,17 +576,135 @@ router.delete('/:resumeId',
  *           minimum: 1
  *           maximum: 100
  *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [uploaded, processing, processed, failed, duplicate]
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: processedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: processedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: search
+ *         description: Substring of candidate name or email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: keywords
+ *         description: Matched keyword the resume must contain (exact match; repeat for several)
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: minExperience
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxExperience
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: skills
+ *         description: Skill from the parsed candidate profile the resume must list (case-insensitive; repeat for several)
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: educationLevel
+ *         description: Minimum highest qualification from the parsed candidate profile
+ *         schema:
+ *           type: string
+ *           enum: [diploma, bachelors, masters, doctorate]
+ *       - in: query
+ *         name: duplicates
+ *         description: Show only resumes flagged as duplicates, or leave them out. Each resume carries a "duplicate" flag either way.
+ *         schema:
+ *           type: string
+ *           enum: [only, exclude]
+ *       - in: query
+ *         name: recommendation
+ *         description: Recommendation band from the job's score thresholds
+ *         schema:
+ *           type: string
+ *           enum: [pass, review, reject]
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [created_at, processed_at, score, candidate_name, candidate_email, experience_years, keywords_matched, status]
+ *           default: created_at
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
  */
 router.get('/company/list',
-  validate(schemas.pagination),
+  validate(schemas.listResumes, 'query'),
   resumeController.getCompanyResumes
 );
 
+/**
+ * @swagger
+ * /api/resumes/company/export:
+ *   get:
+ *     summary: Export company resumes as CSV or XLSX
+ *     description: Accepts the same filters and sorting as /company/list (without pagination). Rows are streamed as they are read.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         description: Columns to include, in order (repeat the parameter). Defaults to all columns.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [candidateName, email, phone, filename, status, score, recommendation, fitScore, skillsScore, experienceScore, educationScore, relevanceScore, keywordMatches, experienceYears, skills, educationLevel, summary, scoringMethod, jobId, processedAt, createdAt, resumeId]
+ */
+router.get('/company/export',
+  validate(schemas.exportResumes, 'query'),
+  resumeController.exportResumes
+);
+
 /**
  * @swagger
  * /api/resumes/batch/process:
  *   post:
  *     summary: Batch process multiple resumes
+ *     description: |
+ *       Uploaded resumes already hold a reserved token; older resumes without one reserve a token each before processing.
+ *       With "Accept: text/event-stream" the response is a Server-Sent Events stream of batch_started, resume_started,
+ *       resume_succeeded / resume_failed (with tokensRemaining) and batch_completed events. The batch keeps running if the
+ *       client disconnects; reconnect with GET /api/resumes/batch/{batchId}/events. Otherwise the response is sent once
+ *       all resumes are done.
  *     requestBody:
  *       required: true
  *       content:
@@ -168,14 +719,57 @@ router.get('/company/list',
  *                   format: uuid
  *                 minItems: 1
  *                 maxItems: 10
+ *               jobId:
+ *                 type: string
+ *                 format: uuid
  */
 router.post('/batch/process',
-  requireTokens,
   requireRole(['admin', 'manager']),
   validate(schemas.batchProcess),
   resumeController.batchProcess
 );
 
+/**
+ * @swagger
+ * /api/resumes/batch/{batchId}/events:
+ *   get:
+ *     summary: Reconnect to a batch's progress stream
+ *     description: Server-Sent Events. Events after the Last-Event-ID header (or lastEventId query parameter) are replayed, then new ones follow until batch_completed. Finished batches send only batch_completed.
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ */
+router.get('/batch/:batchId/events',
+  validate(schemas.batchParams, 'params'),
+  resumeController.streamBatchEvents
+);
+
+/**
+ * @swagger
+ * /api/resumes/batch/{batchId}:
+ *   get:
+ *     summary: Get a batch's status and results
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/batch/:batchId',
+  validate(schemas.batchParams, 'params'),
+  resumeController.getBatch
+);
+
 /**
  * @swagger
  * /api/resumes/analytics:
@@ -222,7 +816,7 @@ router.use((error, req, res, next) => {
   if (error.code === 'INVALID_FILE_TYPE') {
     return res.status(400).json({
       error: 'Invalid file type',
-      message: 'Only PDF files are supported'
+      message: 'Only PDF, DOCX, ODT, RTF and TXT files are supported'
     });
   }
   
@@ -1,55 +1,90 @@
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
 const dbQueries = require('../supabase/queries');
+const { resolveProvider } = require('./providers');
+const ruleScorer = require('./ruleScorer');
+const scoringPolicy = require('./scoringPolicy');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// How a score was produced; stored with the resume
+const SCORING_METHODS = {
+  AI: 'ai',
+  RULES: 'rules',
+  RULES_FALLBACK: 'rules_fallback'
+};
+
+// Bump whenever the scoring prompt changes so stored scores can be traced to the prompt that produced them
+const PROMPT_VERSION = 'resume-scoring-v1';
 
 class AIScorer {
   constructor() {
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
     this.maxTokens = 2000;
+    this.fallbackToRules = process.env.AI_FALLBACK_TO_RULES !== 'false';
   }
 
-  async scoreResume(resumeText, jobRequirements, basicInfo) {
+  // `company` selects the LLM provider, and companies in "rules" scoring mode skip the AI entirely.
+  // Whichever scorer runs, the job's scoring policy sets the overall score and recommendation band.
+  async scoreResume(resumeText, jobRequirements, basicInfo, company = null) {
+    if (company?.scoring_mode === SCORING_METHODS.RULES) {
+      const result = await ruleScorer.scoreResume(resumeText, jobRequirements, basicInfo);
+      return scoringPolicy.apply({ ...result, scoringMethod: SCORING_METHODS.RULES }, jobRequirements);
+    }
+
+    try {
+      const result = await this.scoreWithAI(resumeText, jobRequirements, basicInfo, company);
+      return scoringPolicy.apply(result, jobRequirements);
+    } catch (error) {
+      if (!this.fallbackToRules) {
+        throw error;
+      }
+
+      logger.warn('AI scoring unavailable, falling back to rule-based scoring:', {
+        error: error.message,
+        companyId: company?.id
+      });
+
+      const result = await ruleScorer.scoreResume(resumeText, jobRequirements, basicInfo);
+      return scoringPolicy.apply({
+        ...result,
+        scoringMethod: SCORING_METHODS.RULES_FALLBACK,
+        fallbackReason: error.message
+      }, jobRequirements);
+    }
+  }
+
+  async scoreWithAI(resumeText, jobRequirements, basicInfo, company = null) {
     try {
       logger.info('Starting AI resume scoring');
 
+      const provider = resolveProvider(company);
       const prompt = this.buildScoringPrompt(resumeText, jobRequirements, basicInfo);
       
-      const completion = await openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert HR professional and resume reviewer. Analyze resumes objectively and provide detailed, actionable feedback.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
-        temperature: 0.3, // Lower temperature for more consistent scoring
-        response_format: { type: 'json_object' }
+      const completion = await provider.completeJSON({
+        task: 'resume_scoring',
+        system: 'You are an expert HR professional and resume reviewer. Analyze resumes objectively and provide detailed, actionable feedback.',
+        prompt,
+        input: { resumeText, jobRequirements, basicInfo },
+        maxTokens: this.maxTokens,
+        temperature: 0.3 // Lower temperature for more consistent scoring
       });
 
-      const responseText = completion.choices[0].message.content;
-      const aiResponse = JSON.parse(responseText);
-
       // Validate and structure the response
-      const scoringResult = this.processAIResponse(aiResponse, basicInfo);
+      const scoringResult = this.processAIResponse(completion.data, basicInfo);
 
       logger.info('AI resume scoring completed:', {
         overallScore: scoringResult.overallScore,
-        tokensUsed: completion.usage.total_tokens
+        provider: completion.provider,
+        model: completion.model,
+        tokensUsed: completion.usage.totalTokens
       });
 
       return {
         ...scoringResult,
-        tokensUsed: completion.usage.total_tokens
+        // The model's own overall figure is kept for reference; scoreResume recomputes it from the breakdown
+        modelScore: scoringResult.overallScore,
+        tokensUsed: completion.usage.totalTokens,
+        provider: completion.provider,
+        model: completion.model,
+        promptVersion: PROMPT_VERSION,
+        scoringMethod: SCORING_METHODS.AI
       };
 
     } catch (error) {
@@ -63,12 +98,27 @@ class AIScorer {
 JOB REQUIREMENTS:
 Title: ${jobRequirements.title || 'Not specified'}
 Required Skills: ${jobRequirements.required_skills || 'Not specified'}
+Preferred Skills: ${jobRequirements.preferred_skills || 'Not specified'}
 Experience Level: ${jobRequirements.experience_level || 'Not specified'}
 Education: ${jobRequirements.education_requirements || 'Not specified'}
 Keywords: ${jobRequirements.keywords || 'Not specified'}
 Description: ${jobRequirements.description || 'Not specified'}
 ` : 'No specific job requirements provided - evaluate generally.';
 
+    // Blind screening passes no basic info, so the block is left out entirely
+    const basicInfoText = Object.values(basicInfo).some(Boolean) ? `
+CANDIDATE BASIC INFO:
+Name: ${basicInfo.candidateName || 'Not extracted'}
+Email: ${basicInfo.email || 'Not found'}
+Phone: ${basicInfo.phone || 'Not found'}
+Location: ${basicInfo.location || 'Not found'}
+` : '';
+
+    const weights = scoringPolicy.weightsFor(jobRequirements);
+    const weightsText = Object.entries(weights)
+      .map(([dimension, weight]) => `${dimension} ${Math.round(weight * 100)}%`)
+      .join(', ');
+
     return `
 Please analyze this resume and provide a comprehensive scoring based on the job requirements.
 
@@ -76,13 +126,7 @@ ${jobReqText}
 
 RESUME TEXT:
 ${resumeText}
-
-CANDIDATE BASIC INFO:
-Name: ${basicInfo.candidateName || 'Not extracted'}
-Email: ${basicInfo.email || 'Not found'}
-Phone: ${basicInfo.phone || 'Not found'}
-Location: ${basicInfo.location || 'Not found'}
-
+${basicInfoText}
 Please provide your analysis in the following JSON format:
 {
   "overallScore": 85,
@@ -116,7 +160,7 @@ Please provide your analysis in the following JSON format:
 }
 
 SCORING CRITERIA:
-- Overall Score: 0-100 (weighted average of all factors)
+- Overall Score: 0-100 (weighted average: ${weightsText})
 - Skills: How well candidate's skills match job requirements (0-100)
 - Experience: Relevance and depth of work experience (0-100)
 - Education: Educational background relevance (0-100)
@@ -155,27 +199,13 @@ Be objective, fair, and provide actionable insights for hiring decisions.
       return processed;
 
     } catch (error) {
+      // Malformed responses are handled by the rule-based fallback in scoreResume
       logger.error('Error processing AI response:', error);
-      
-      // Return fallback response
-      return {
-        overallScore: 50,
-        breakdown: { skills: 50, experience: 50, education: 50, relevance: 50 },
-        strengths: ['Resume processed'],
-        weaknesses: ['Unable to complete full analysis'],
-        keywordMatches: [],
-        experienceYears: 0,
-        summary: 'Basic analysis completed with limited AI processing.',
-        recommendations: ['Manual review recommended'],
-        redFlags: [],
-        fitScore: 50,
-        candidateName: basicInfo.candidateName,
-        keywordsMatched: 0
-      };
+      throw new Error(`Invalid AI response: ${error.message}`);
     }
   }
 
-  async batchScoreResumes(resumes, jobRequirements) {
+  async batchScoreResumes(resumes, jobRequirements, company = null) {
     const results = [];
     
     for (const resume of resumes) {
@@ -183,7 +213,8 @@ Be objective, fair, and provide actionable insights for hiring decisions.
         const result = await this.scoreResume(
           resume.extractedText, 
           jobRequirements, 
-          resume.basicInfo
+          resume.basicInfo,
+          company
         );
         
         results.push({
@@ -210,7 +241,7 @@ Be objective, fair, and provide actionable insights for hiring decisions.
     return results;
   }
 
-  async analyzeJobDescription(jobDescription) {
+  async analyzeJobDescription(jobDescription, company = null) {
     try {
       logger.info('Analyzing job description with AI');
 
@@ -238,30 +269,24 @@ Please provide analysis in this JSON format:
 Extract only what's clearly stated in the job description. Use "Not specified" for missing information.
 `;
 
-      const completion = await openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert at analyzing job descriptions and extracting structured requirements.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.2,
-        response_format: { type: 'json_object' }
+      const completion = await resolveProvider(company).completeJSON({
+        task: 'job_analysis',
+        system: 'You are an expert at analyzing job descriptions and extracting structured requirements.',
+        prompt,
+        input: { jobDescription },
+        maxTokens: 1000,
+        temperature: 0.2
       });
 
-      const analysis = JSON.parse(completion.choices[0].message.content);
+      const analysis = completion.data;
       
       logger.info('Job description analysis completed');
       
       return {
         ...analysis,
-        tokensUsed: completion.usage.total_tokens
+        tokensUsed: completion.usage.totalTokens,
+        provider: completion.provider,
+        model: completion.model
       };
 
     } catch (error) {
@@ -270,28 +295,17 @@ Extract only what's clearly stated in the job description. Use "Not specified" f
     }
   }
 
-  async generateInsights(companyId, timeframe = '30d') {
+  // `stats` are the aggregates built by insightsService for the requested period. Throws on failure
+  // so the caller can release the reserved token instead of caching a placeholder.
+  async generateInsights(companyId, stats) {
     try {
-      // Get recent scoring data from database
-      const analyticsData = await dbQueries.getCompanyAnalytics(
-        companyId,
-        new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
-        new Date()
-      );
-
-      if (!analyticsData || analyticsData.length === 0) {
-        return {
-          insights: ['No recent data available for analysis'],
-          trends: [],
-          recommendations: ['Upload more resumes to generate insights']
-        };
-      }
-
       const prompt = `
 Analyze this resume screening data and provide insights:
 
-ANALYTICS DATA:
-${JSON.stringify(analyticsData, null, 2)}
+SCREENING STATISTICS (${stats.period.from} to ${stats.period.to}${stats.job ? `, job: ${stats.job.title}` : ', all jobs'}):
+${JSON.stringify(stats, null, 2)}
+
+previousPeriod covers the same length of time immediately before this one; use it to describe trends.
 
 Please provide insights in this JSON format:
 {
@@ -312,38 +326,31 @@ Please provide insights in this JSON format:
 Focus on actionable insights for hiring decisions.
 `;
 
-      const completion = await openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert HR analyst providing actionable recruiting insights.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 800,
-        temperature: 0.4,
-        response_format: { type: 'json_object' }
+      const company = await dbQueries.getCompanyById(companyId);
+      const completion = await resolveProvider(company).completeJSON({
+        task: 'insights',
+        system: 'You are an expert HR analyst providing actionable recruiting insights.',
+        prompt,
+        input: { stats },
+        maxTokens: 800,
+        temperature: 0.4
       });
 
-      const insights = JSON.parse(completion.choices[0].message.content);
-      
+      const insights = completion.data || {};
+
       return {
-        ...insights,
+        insights: Array.isArray(insights.insights) ? insights.insights.slice(0, 10) : [],
+        trends: Array.isArray(insights.trends) ? insights.trends.slice(0, 10) : [],
+        recommendations: Array.isArray(insights.recommendations) ? insights.recommendations.slice(0, 10) : [],
         generatedAt: new Date().toISOString(),
-        timeframe: timeframe
+        tokensUsed: completion.usage.totalTokens,
+        provider: completion.provider,
+        model: completion.model
       };
 
     } catch (error) {
       logger.error('Insights generation failed:', error);
-      return {
-        insights: ['Unable to generate insights at this time'],
-        trends: [],
-        recommendations: ['Please try again later']
-      };
+      throw new Error(`Insights generation failed: ${error.message}`);
     }
   }
 }
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const resumeExporter = require('./resumeExporter');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+const canonical = require('../utils/canonicalJson');
+
+// Names for audited routes, keyed by method and route pattern; other routes are recorded by pattern
+const ACTIONS = {
+  'POST /api/resumes/company/:companyId/upload': 'resume.upload',
+  'POST /api/resumes/company/:companyId/bulk-upload': 'resume.bulk_upload',
+  'GET /api/resumes/company/list': 'resume.list',
+  'GET /api/resumes/company/export': 'resume.export',
+  'GET /api/resumes/:resumeId': 'resume.view',
+  'GET /api/resumes/:resumeId/status': 'resume.view_status',
+  'GET /api/resumes/:resumeId/scores': 'resume.view_scores',
+  'POST /api/resumes/:resumeId/rescore': 'resume.rescore',
+  'POST /api/resumes/:resumeId/override': 'resume.override_score',
+  'POST /api/resumes/:resumeId/stage': 'resume.move_stage',
+  'GET /api/resumes/:resumeId/stages': 'resume.view_stages',
+  'DELETE /api/resumes/:resumeId': 'resume.delete',
+  'GET /api/resumes/:resumeId/notes': 'note.list',
+  'POST /api/resumes/:resumeId/notes': 'note.create',
+  'PATCH /api/resumes/:resumeId/notes/:noteId': 'note.update',
+  'DELETE /api/resumes/:resumeId/notes/:noteId': 'note.delete',
+  'GET /api/resumes/notes/mentions': 'note.list_mentions',
+  'POST /api/resumes/batch/process': 'resume.batch_process',
+  'GET /api/resumes/batch/:batchId': 'batch.view',
+  'GET /api/resumes/batch/:batchId/events': 'batch.view_events',
+  'GET /api/resumes/analytics': 'analytics.view',
+  'POST /api/jobs': 'job.create',
+  'POST /api/jobs/analyze': 'job.analyze',
+  'GET /api/jobs': 'job.list',
+  'GET /api/jobs/:jobId': 'job.view',
+  'PATCH /api/jobs/:jobId': 'job.update',
+  'POST /api/jobs/:jobId/archive': 'job.archive',
+  'GET /api/jobs/:jobId/shortlist': 'job.view_shortlist',
+  'GET /api/jobs/:jobId/calibration': 'job.view_calibration',
+  'GET /api/jobs/:jobId/pipeline': 'job.view_pipeline',
+  'POST /api/jobs/:jobId/pipeline/moves': 'resume.move_stage',
+  'GET /api/jobs/pipeline/counts': 'job.view_pipeline_counts',
+  'GET /api/company/settings': 'company.view_settings',
+  'PATCH /api/company/settings': 'company.update_settings',
+  'GET /api/company/tokens': 'tokens.view',
+  'GET /api/company/tokens/usage': 'tokens.view_usage',
+  'POST /api/company/tokens/grant': 'tokens.grant',
+  'GET /api/company/insights': 'insights.view',
+  'GET /api/company/webhooks': 'webhook.list',
+  'POST /api/company/webhooks': 'webhook.create',
+  'PATCH /api/company/webhooks/:webhookId': 'webhook.update',
+  'DELETE /api/company/webhooks/:webhookId': 'webhook.delete',
+  'POST /api/company/webhooks/:webhookId/test': 'webhook.test',
+  'GET /api/company/webhooks/:webhookId/deliveries': 'webhook.list_deliveries',
+  'POST /api/company/webhooks/:webhookId/deliveries/:deliveryId/redeliver': 'webhook.redeliver',
+  'POST /api/company/erasure-requests': 'candidate.erase',
+  'GET /api/company/erasure-requests': 'erasure.list',
+  'GET /api/company/erasure-requests/:requestId': 'erasure.view_certificate',
+  'GET /api/company/audit': 'audit.query',
+  'GET /api/company/audit/export': 'audit.export',
+  'GET /api/company/audit/verify': 'audit.verify'
+};
+
+// Route parameters that identify what an action was done to, most specific first
+const TARGET_PARAMS = [
+  ['noteId', 'note'],
+  ['deliveryId', 'webhook_delivery'],
+  ['resumeId', 'resume'],
+  ['webhookId', 'webhook'],
+  ['batchId', 'batch'],
+  ['requestId', 'erasure_request'],
+  ['jobId', 'job']
+];
+
+// prev_hash of the first entry in a company's chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Columns covered by each entry's hash, in hashing order
+const HASHED_FIELDS = [
+  'company_id', 'sequence', 'created_at', 'actor_id', 'actor_email', 'actor_role', 'action', 'method', 'path',
+  'target_type', 'target_id', 'resume_ids', 'status_code', 'outcome', 'ip', 'user_agent', 'details', 'prev_hash'
+];
+
+const EXPORT_COLUMNS = [
+  { header: 'Sequence', value: entry => entry.sequence },
+  { header: 'Time', value: entry => entry.created_at },
+  { header: 'Actor ID', value: entry => entry.actor_id },
+  { header: 'Actor Email', value: entry => entry.actor_email },
+  { header: 'Role', value: entry => entry.actor_role },
+  { header: 'Action', value: entry => entry.action },
+  { header: 'Method', value: entry => entry.method },
+  { header: 'Path', value: entry => entry.path },
+  { header: 'Target Type', value: entry => entry.target_type },
+  { header: 'Target ID', value: entry => entry.target_id },
+  { header: 'Resume IDs', value: entry => (entry.resume_ids || []).join('; ') },
+  { header: 'Status', value: entry => entry.status_code },
+  { header: 'Outcome', value: entry => entry.outcome },
+  { header: 'IP', value: entry => entry.ip },
+  { header: 'User Agent', value: entry => entry.user_agent },
+  { header: 'Details', value: entry => JSON.stringify(entry.details || {}) },
+  { header: 'Previous Hash', value: entry => entry.prev_hash },
+  { header: 'Hash', value: entry => entry.hash }
+];
+
+// Query parameters whose values are recorded. Free-text ones (search, keywords, skills, mustHave) can hold
+// candidate names or contact details, and the log cannot be edited later, so only their names are kept.
+const RECORDED_QUERY_VALUES = new Set([
+  'page', 'limit', 'status', 'jobId', 'resumeId', 'minScore', 'maxScore', 'processedFrom', 'processedTo',
+  'minExperience', 'maxExperience', 'educationLevel', 'duplicates', 'recommendation', 'sortBy', 'sortOrder',
+  'format', 'columns', 'includeArchived', 'tieBreakers', 'timeframe', 'from', 'to', 'refresh', 'operation',
+  'eventType', 'actorId', 'action', 'targetType', 'targetId', 'outcome'
+]);
+
+const PAGE_SIZE = 1000;
+const UNIQUE_VIOLATION = '23505';
+
+// A response the client closed before it was fully sent is 'aborted', whatever its status code
+const outcomeOf = (res) => {
+  const statusCode = res.statusCode;
+  if (!res.writableFinished) return 'aborted';
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return 'failure';
+};
+
+// Append-only trail of every authenticated API request: who did what to which record, from where, and
+// how it ended. Entries form a hash chain per company (each hash covers the entry and the previous
+// hash) with gapless sequence numbers, so an edited, removed or reordered entry breaks verification.
+class AuditLog {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.AUDIT_APPEND_ATTEMPTS) || 5;
+    this.exportLimit = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 100000;
+    // Appends for a company are serialized within this process; across processes the unique
+    // (company_id, sequence) constraint makes the loser retry on the new tail
+    this.tails = new Map();
+  }
+
+  actionFor(routeKey) {
+    return ACTIONS[routeKey] || routeKey;
+  }
+
+  hash(entry) {
+    const fields = HASHED_FIELDS.map(field => (field === 'created_at'
+      ? new Date(entry.created_at).toISOString()
+      : entry[field]));
+    return crypto.createHash('sha256').update(canonical(fields)).digest('hex');
+  }
+
+  // Builds the entry for a finished request. Request bodies and free-text query values are not copied,
+  // only their names, so note text and candidate data stay out of the trail.
+  entryFor(req, res) {
+    const path = req.originalUrl.split('?')[0];
+    const routeKey = req.route ? `${req.method} ${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` : null;
+    const params = req.params || {};
+    const [param, targetType] = TARGET_PARAMS.find(([name]) => params[name]) || [null, 'company'];
+
+    const resumeIds = [
+      ...(params.resumeId ? [params.resumeId] : []),
+      ...(Array.isArray(req.body?.resumeIds) ? req.body.resumeIds.filter(id => typeof id === 'string') : [])
+    ];
+
+    const details = {};
+    const queryNames = Object.keys(req.query || {});
+    const recorded = queryNames.filter(name => RECORDED_QUERY_VALUES.has(name));
+    if (recorded.length > 0) details.query = Object.fromEntries(recorded.map(name => [name, req.query[name]]));
+    if (recorded.length < queryNames.length) details.redactedQuery = queryNames.filter(name => !RECORDED_QUERY_VALUES.has(name));
+    if (req.method !== 'GET' && Object.keys(req.body || {}).length > 0) details.fields = Object.keys(req.body);
+    const otherParams = Object.fromEntries(Object.entries(params).filter(([name]) => name !== param));
+    if (Object.keys(otherParams).length > 0) details.params = otherParams;
+
+    return {
+      company_id: req.user.company.id,
+      created_at: new Date().toISOString(),
+      actor_id: req.user.id,
+      actor_email: req.user.email || null,
+      actor_role: req.user.role,
+      action: routeKey ? this.actionFor(routeKey) : 'unknown_route',
+      method: req.method,
+      path,
+      target_type: targetType,
+      target_id: param ? params[param] : req.user.company.id,
+      resume_ids: [...new Set(resumeIds)],
+      status_code: res.statusCode,
+      outcome: outcomeOf(res),
+      ip: req.ip || null,
+      user_agent: (req.get('User-Agent') || '').slice(0, 500) || null,
+      // Through JSON so the hashed value is exactly what is stored (validated query dates become strings)
+      details: JSON.parse(JSON.stringify(details))
+    };
+  }
+
+  // Never throws: the response has already been sent, so a failed write is logged instead
+  record(req, res) {
+    if (!req.user?.company) return Promise.resolve(null);
+
+    let entry;
+    try {
+      entry = this.entryFor(req, res);
+    } catch (error) {
+      logger.error('Failed to build audit entry:', { path: req.originalUrl, error: error.message });
+      return Promise.resolve(null);
+    }
+
+    const companyId = entry.company_id;
+    const next = (this.tails.get(companyId) || Promise.resolve())
+      .then(() => this.append(entry))
+      .catch(error => {
+        logger.error('Failed to write audit entry:', { companyId, action: entry.action, error: error.message });
+        return null;
+      });
+
+    this.tails.set(companyId, next);
+    next.then(() => {
+      if (this.tails.get(companyId) === next) this.tails.delete(companyId);
+    });
+
+    return next;
+  }
+
+  async append(entry) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const tail = await dbQueries.getLatestAuditEntry(entry.company_id);
+      const chained = {
+        ...entry,
+        sequence: (tail?.sequence || 0) + 1,
+        prev_hash: tail?.hash || GENESIS_HASH
+      };
+      chained.hash = this.hash(chained);
+
+      try {
+        return await dbQueries.insertAuditEntry(chained);
+      } catch (error) {
+        // Another process took this sequence number first; chain onto its entry instead
+        if (error.code !== UNIQUE_VIOLATION || attempt === this.maxAttempts) throw error;
+      }
+    }
+  }
+
+  // Walks a company's chain from the start and reports the first entry that does not check out
+  async verify(companyId) {
+    let previous = null;
+    let checked = 0;
+
+    for (;;) {
+      const page = await dbQueries.getAuditChain(companyId, previous?.sequence || 0, PAGE_SIZE);
+
+      for (const entry of page) {
+        const expectedSequence = (previous?.sequence || 0) + 1;
+        const problem = (entry.sequence !== expectedSequence && `Expected sequence ${expectedSequence}; entries are missing`)
+          || (entry.prev_hash !== (previous?.hash || GENESIS_HASH) && 'Previous hash does not match the preceding entry')
+          || (entry.hash !== this.hash(entry) && 'Entry contents do not match its hash');
+
+        if (problem) {
+          return {
+            valid: false,
+            checked,
+            brokenAt: { sequence: entry.sequence, id: entry.id, reason: problem }
+          };
+        }
+
+        previous = entry;
+        checked++;
+      }
+
+      if (page.length < PAGE_SIZE) break;
+    }
+
+    return {
+      valid: true,
+      checked,
+      lastSequence: previous?.sequence || 0,
+      lastHash: previous?.hash || null
+    };
+  }
+
+  async *rows(companyId, filters) {
+    for (let offset = 0; offset < this.exportLimit; offset += PAGE_SIZE) {
+      const { entries } = await dbQueries.getAuditEntries(companyId, Math.min(PAGE_SIZE, this.exportLimit - offset), offset, filters);
+      yield* entries;
+      if (entries.length < PAGE_SIZE) return;
+    }
+  }
+
+  // Streams matching entries as CSV, oldest first, with their hashes so the export can be checked offline
+  async export(res, companyId, filters) {
+    const exportFilters = { ...filters, order: 'asc' };
+
+    // Fail before any headers go out if the query itself is broken
+    await dbQueries.getAuditEntries(companyId, 1, 0, exportFilters);
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    const count = await resumeExporter.writeCSV(res, EXPORT_COLUMNS, this.rows(companyId, exportFilters));
+
+    logger.info('Audit log export completed:', { companyId, rows: count, aborted: !res.writableEnded });
+    return count;
+  }
+}
+
+module.exports = new AuditLog();
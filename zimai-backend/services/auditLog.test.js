@@ -0,0 +1,249 @@
+jest.mock('../supabase/queries', () => ({
+  getLatestAuditEntry: jest.fn(),
+  insertAuditEntry: jest.fn(),
+  getAuditChain: jest.fn(),
+  getAuditEntries: jest.fn()
+}));
+
+const dbQueries = require('../supabase/queries');
+const auditLog = require('./auditLog');
+
+const COMPANY_ID = 'company-1';
+const GENESIS_HASH = '0'.repeat(64);
+
+// In-memory audit_log table with the unique (company_id, sequence) constraint
+let table;
+
+const useTable = () => {
+  table = [];
+  dbQueries.getLatestAuditEntry.mockImplementation(async (companyId) => {
+    const entries = table.filter(entry => entry.company_id === companyId);
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+  });
+  dbQueries.insertAuditEntry.mockImplementation(async (entry) => {
+    if (table.some(row => row.company_id === entry.company_id && row.sequence === entry.sequence)) {
+      throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+    }
+    const row = { id: `entry-${table.length + 1}`, ...entry };
+    table.push(row);
+    return row;
+  });
+  dbQueries.getAuditChain.mockImplementation(async (companyId, afterSequence, limit) => table
+    .filter(entry => entry.company_id === companyId && entry.sequence > afterSequence)
+    .slice(0, limit)
+    .map(entry => ({ ...entry })));
+};
+
+const entry = (fields = {}) => ({
+  company_id: COMPANY_ID,
+  created_at: '2026-10-19T08:00:00.000Z',
+  actor_id: 'user-1',
+  actor_email: 'hr@example.com',
+  actor_role: 'admin',
+  action: 'resume.view',
+  method: 'GET',
+  path: '/api/resumes/resume-1',
+  target_type: 'resume',
+  target_id: 'resume-1',
+  resume_ids: ['resume-1'],
+  status_code: 200,
+  outcome: 'success',
+  ip: '10.0.0.1',
+  user_agent: 'jest',
+  details: {},
+  ...fields
+});
+
+const appendAll = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await auditLog.append(entry({ target_id: `resume-${i + 1}` }));
+  }
+};
+
+describe('auditLog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useTable();
+  });
+
+  describe('hash', () => {
+    const chained = entry({ sequence: 1, prev_hash: GENESIS_HASH });
+
+    it('covers the entry contents', () => {
+      const hash = auditLog.hash(chained);
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(auditLog.hash({ ...chained, status_code: 500 })).not.toBe(hash);
+      expect(auditLog.hash({ ...chained, details: { query: { page: '2' } } })).not.toBe(hash);
+      expect(auditLog.hash({ ...chained, prev_hash: 'f'.repeat(64) })).not.toBe(hash);
+    });
+
+    it('is stable across the way the database returns values', () => {
+      const stored = {
+        ...chained,
+        id: 'entry-1',
+        hash: 'ignored',
+        created_at: '2026-10-19T08:00:00+00:00',
+        details: { query: { page: '1', limit: '20' } }
+      };
+      const original = { ...chained, details: { query: { limit: '20', page: '1' } } };
+
+      expect(auditLog.hash(stored)).toBe(auditLog.hash(original));
+    });
+  });
+
+  describe('append', () => {
+    it('chains each entry onto the previous one', async () => {
+      await appendAll(2);
+
+      expect(table.map(({ sequence, prev_hash }) => ({ sequence, prev_hash }))).toEqual([
+        { sequence: 1, prev_hash: GENESIS_HASH },
+        { sequence: 2, prev_hash: table[0].hash }
+      ]);
+      expect(table[1].hash).toBe(auditLog.hash(table[1]));
+    });
+
+    it('chains onto the new tail when another process takes the sequence number first', async () => {
+      await appendAll(1);
+      const insert = dbQueries.insertAuditEntry.getMockImplementation();
+      dbQueries.insertAuditEntry.mockImplementationOnce(async (chained) => {
+        const other = entry({ target_id: 'other-process', sequence: 2, prev_hash: table[0].hash });
+        await insert({ ...other, hash: auditLog.hash(other) });
+        return insert(chained);
+      });
+
+      await auditLog.append(entry({ target_id: 'resume-2' }));
+
+      expect(dbQueries.insertAuditEntry).toHaveBeenCalledTimes(3);
+      expect(table.map(row => [row.sequence, row.target_id])).toEqual([
+        [1, 'resume-1'],
+        [2, 'other-process'],
+        [3, 'resume-2']
+      ]);
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toMatchObject({ valid: true, checked: 3 });
+    });
+
+    it('gives up after the configured number of attempts', async () => {
+      const conflict = Object.assign(new Error('duplicate key value'), { code: '23505' });
+      dbQueries.insertAuditEntry.mockRejectedValue(conflict);
+
+      await expect(auditLog.append(entry())).rejects.toBe(conflict);
+      expect(dbQueries.insertAuditEntry).toHaveBeenCalledTimes(auditLog.maxAttempts);
+    });
+
+    it('does not retry other errors', async () => {
+      dbQueries.insertAuditEntry.mockRejectedValue(new Error('connection refused'));
+
+      await expect(auditLog.append(entry())).rejects.toThrow('connection refused');
+      expect(dbQueries.insertAuditEntry).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('record', () => {
+    const request = (query = {}) => ({
+      method: 'GET',
+      originalUrl: '/api/resumes/company/list?page=1',
+      baseUrl: '/api/resumes',
+      route: { path: '/company/list' },
+      params: {},
+      query,
+      body: {},
+      ip: '10.0.0.1',
+      get: () => 'jest',
+      user: { id: 'user-1', email: 'hr@example.com', role: 'admin', company: { id: COMPANY_ID } }
+    });
+    const response = { statusCode: 200, writableFinished: true };
+
+    it('serializes concurrent appends for a company into one chain', async () => {
+      await Promise.all([
+        auditLog.record(request(), response),
+        auditLog.record(request(), response),
+        auditLog.record(request(), response)
+      ]);
+
+      expect(table.map(row => row.sequence)).toEqual([1, 2, 3]);
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toMatchObject({ valid: true, checked: 3 });
+    });
+
+    it('keeps only the names of free-text query parameters', async () => {
+      await auditLog.record(request({ page: '1', search: 'Tendai Moyo', mustHave: 'tendai@example.com' }), response);
+
+      expect(table[0]).toMatchObject({
+        action: 'resume.list',
+        target_type: 'company',
+        details: { query: { page: '1' }, redactedQuery: ['search', 'mustHave'] }
+      });
+      expect(JSON.stringify(table[0])).not.toContain('Tendai');
+    });
+
+    it('logs a failed write instead of throwing', async () => {
+      dbQueries.insertAuditEntry.mockRejectedValue(new Error('connection refused'));
+
+      await expect(auditLog.record(request(), response)).resolves.toBeNull();
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts an intact chain', async () => {
+      await appendAll(3);
+
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toEqual({
+        valid: true,
+        checked: 3,
+        lastSequence: 3,
+        lastHash: table[2].hash
+      });
+    });
+
+    it('accepts an empty chain', async () => {
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toEqual({
+        valid: true,
+        checked: 0,
+        lastSequence: 0,
+        lastHash: null
+      });
+    });
+
+    it('detects an edited entry', async () => {
+      await appendAll(3);
+      table[1].actor_email = 'someone-else@example.com';
+
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toEqual({
+        valid: false,
+        checked: 1,
+        brokenAt: { sequence: 2, id: 'entry-2', reason: 'Entry contents do not match its hash' }
+      });
+    });
+
+    it('detects a removed entry', async () => {
+      await appendAll(3);
+      table.splice(1, 1);
+
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toMatchObject({
+        valid: false,
+        brokenAt: { sequence: 3, reason: 'Expected sequence 2; entries are missing' }
+      });
+    });
+
+    it('detects an entry rewritten with a fresh hash', async () => {
+      await appendAll(3);
+      table[1].outcome = 'denied';
+      table[1].hash = auditLog.hash(table[1]);
+
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toMatchObject({
+        valid: false,
+        brokenAt: { sequence: 3, reason: 'Previous hash does not match the preceding entry' }
+      });
+    });
+
+    it('follows the chain across pages', async () => {
+      await appendAll(1001);
+
+      await expect(auditLog.verify(COMPANY_ID)).resolves.toMatchObject({ valid: true, checked: 1001, lastSequence: 1001 });
+      expect(dbQueries.getAuditChain.mock.calls).toEqual([
+        [COMPANY_ID, 0, 1000],
+        [COMPANY_ID, 1000, 1000]
+      ]);
+    });
+  });
+});
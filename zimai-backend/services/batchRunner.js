@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const resumeProcessor = require('./resumeProcessor');
+const webhookDispatcher = require('./webhookDispatcher');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Progress events, in the order a client receives them
+const EVENTS = {
+  STARTED: 'batch_started',
+  RESUME_STARTED: 'resume_started',
+  RESUME_SUCCEEDED: 'resume_succeeded',
+  RESUME_FAILED: 'resume_failed',
+  COMPLETED: 'batch_completed'
+};
+
+// Runs a batch of resumes in the background of the API process. Each batch keeps its progress
+// events in memory, numbered so a reconnecting client can resume from the last one it saw, and
+// its final result is stored so it can still be fetched after the batch leaves memory.
+class BatchRunner {
+  constructor() {
+    this.itemDelay = parseInt(process.env.BATCH_ITEM_DELAY_MS) || 1000;
+    this.retention = parseInt(process.env.BATCH_RETENTION_MS) || 30 * 60 * 1000;
+    this.batches = new Map();
+  }
+
+  get events() {
+    return EVENTS;
+  }
+
+  get(batchId) {
+    return this.batches.get(batchId) || null;
+  }
+
+  async start(companyId, actorId, resumeIds, jobRequirements = null) {
+    const batch = {
+      id: crypto.randomUUID(),
+      companyId,
+      actorId,
+      jobId: jobRequirements?.id || null,
+      resumeIds,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      events: [],
+      results: [],
+      summary: null,
+      emitter: new EventEmitter()
+    };
+
+    await dbQueries.createResumeBatch(batch);
+    this.batches.set(batch.id, batch);
+
+    this.publish(batch, EVENTS.STARTED, {
+      batchId: batch.id,
+      total: resumeIds.length,
+      resumeIds,
+      jobId: batch.jobId
+    });
+
+    // Not tied to any request: the batch finishes even if every client disconnects.
+    // Nobody awaits a streamed batch, so failures are logged here rather than left unhandled.
+    batch.done = this.run(batch, jobRequirements);
+    batch.done.catch(error => logger.error('Batch run failed:', { batchId: batch.id, error: error.message }));
+    return batch;
+  }
+
+  publish(batch, type, data) {
+    const event = { id: batch.events.length + 1, type, data };
+    batch.events.push(event);
+    batch.emitter.emit('event', event);
+  }
+
+  async run(batch, jobRequirements) {
+    const total = batch.resumeIds.length;
+
+    for (const [index, resumeId] of batch.resumeIds.entries()) {
+      this.publish(batch, EVENTS.RESUME_STARTED, { resumeId, index: index + 1, total });
+
+      const result = await this.processOne(batch, resumeId, jobRequirements);
+      batch.results.push(result);
+
+      this.publish(batch, result.success ? EVENTS.RESUME_SUCCEEDED : EVENTS.RESUME_FAILED, {
+        ...result,
+        completed: index + 1,
+        remaining: total - index - 1,
+        tokensRemaining: await this.tokensRemaining(batch.companyId)
+      });
+
+      // Small delay to avoid overwhelming the AI service; only scored resumes carry a scoringMethod
+      if (result.scoringMethod && index < total - 1) {
+        await new Promise(resolve => setTimeout(resolve, this.itemDelay));
+      }
+    }
+
+    const successful = batch.results.filter(result => result.success).length;
+    batch.summary = {
+      total,
+      successful,
+      failed: total - successful
+    };
+    batch.status = 'completed';
+
+    try {
+      await dbQueries.completeResumeBatch(batch.id, batch.results, batch.summary);
+    } catch (error) {
+      logger.error('Failed to store batch result:', { batchId: batch.id, error: error.message });
+    }
+
+    this.publish(batch, EVENTS.COMPLETED, {
+      batchId: batch.id,
+      results: batch.results,
+      summary: batch.summary,
+      tokensRemaining: await this.tokensRemaining(batch.companyId)
+    });
+
+    // Late reconnects fall back to the stored result once the batch is dropped from memory
+    setTimeout(() => this.batches.delete(batch.id), this.retention).unref();
+
+    return { results: batch.results, summary: batch.summary };
+  }
+
+  async processOne(batch, resumeId, jobRequirements) {
+    try {
+      const resume = await dbQueries.getResumeById(resumeId);
+
+      if (!resume || resume.company_id !== batch.companyId) {
+        return {
+          resumeId,
+          success: false,
+          error: 'Resume not found or access denied'
+        };
+      }
+
+      if (resume.status === 'processed') {
+        return {
+          resumeId,
+          success: true,
+          message: 'Already processed; use the rescore endpoint to score it again',
+          score: resume.score,
+          recommendation: resume.recommendation
+        };
+      }
+
+      if (resume.status === 'processing' || resume.rescore_request) {
+        return {
+          resumeId,
+          success: false,
+          error: 'Resume is already being processed'
+        };
+      }
+
+      // Claim it so the background worker does not process it at the same time
+      const claimed = await dbQueries.claimResume(resume);
+      if (!claimed) {
+        return {
+          resumeId,
+          success: false,
+          error: 'Resume is already being processed'
+        };
+      }
+
+      let processed;
+      try {
+        processed = await resumeProcessor.process(claimed, jobRequirements, { actorId: batch.actorId });
+      } catch (error) {
+        await dbQueries.updateResumeStatus(resumeId, 'failed', error.message);
+        await resumeProcessor.releaseToken(claimed, error.message);
+        await webhookDispatcher.emit(batch.companyId, 'resume.failed', {
+          resumeId,
+          filename: claimed.filename,
+          jobId: claimed.job_id,
+          attempts: claimed.attempts,
+          error: error.message
+        });
+        throw error;
+      }
+
+      if (processed.duplicate) {
+        return {
+          resumeId,
+          success: false,
+          error: 'Duplicate candidate',
+          duplicateOf: processed.duplicate.resumeId,
+          status: processed.resume.status
+        };
+      }
+
+      return {
+        resumeId,
+        success: true,
+        score: processed.scoringResult.overallScore,
+        recommendation: processed.scoringResult.recommendation,
+        scoringMethod: processed.scoringResult.scoringMethod,
+        summary: processed.scoringResult.summary,
+        jobId: processed.resume.job_id,
+        jobVersion: processed.resume.job_version
+      };
+
+    } catch (error) {
+      logger.error(`Batch processing failed for resume ${resumeId}:`, error);
+      return {
+        resumeId,
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Balance after each resume; progress reporting carries on without it if the lookup fails
+  async tokensRemaining(companyId) {
+    try {
+      const company = await dbQueries.getCompanyById(companyId);
+      return company ? company.tokens_remaining : null;
+    } catch (error) {
+      logger.error('Failed to read token balance for batch progress:', { companyId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new BatchRunner();
@@ -0,0 +1,219 @@
+const pdfParser = require('./pdfParser');
+const logger = require('../utils/logger');
+const { extractKeywords, extractSections, detectEducationLevel, uniqueTerms } = require('../utils/sanitizeText');
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|to|until)\\s*(${DATE}|present|current|now|to date)`, 'i');
+const SINGLE_DATE = new RegExp(`(${DATE})`, 'i');
+const ONGOING = /^(present|current|now|to date)$/i;
+
+const BULLET = /^[•*▪◦·-]\s*/;
+const HEADER_SEPARATOR = /\s+(?:\||at|@|–|-)\s+|\s*,\s*/;
+const INSTITUTION = /(university|college|institute|school|academy|polytechnic)/i;
+const LINK = /\b(?:https?:\/\/|www\.)[^\s,;]+|\b(?:linkedin\.com|github\.com)\/[^\s,;]+/gi;
+
+// Upper bounds keep a garbled extraction from bloating the stored profile
+const LIMITS = {
+  skills: 50,
+  workHistory: 15,
+  education: 10,
+  certifications: 20,
+  projects: 15,
+  text: 1000
+};
+
+const truncate = (text, max = LIMITS.text) => (text && text.length > max ? `${text.slice(0, max)}…` : text || null);
+
+// Split a section into entries: blank lines separate entries, and so does a second dated heading
+const entryBlocks = (section) => {
+  if (!section) return [];
+
+  const blocks = [];
+  let current = [];
+
+  for (const raw of section.split('\n')) {
+    const line = raw.trim();
+    const startsEntry = line && !BULLET.test(line) && DATE_RANGE.test(line) &&
+      current.some(previous => !BULLET.test(previous) && DATE_RANGE.test(previous));
+
+    if (!line || startsEntry) {
+      if (current.length > 0) blocks.push(current);
+      current = line ? [line] : [];
+      continue;
+    }
+
+    current.push(line);
+  }
+
+  if (current.length > 0) blocks.push(current);
+  return blocks;
+};
+
+// Pull the date (or date range) out of an entry's heading lines
+const entryDates = (lines) => {
+  for (const line of lines) {
+    const range = line.match(DATE_RANGE);
+    if (range) {
+      const current = ONGOING.test(range[2]);
+      return { startDate: range[1], endDate: current ? null : range[2], current, source: range[0] };
+    }
+  }
+
+  for (const line of lines) {
+    const single = line.match(SINGLE_DATE);
+    if (single) {
+      return { startDate: null, endDate: single[1], current: false, source: single[0] };
+    }
+  }
+
+  return { startDate: null, endDate: null, current: false, source: null };
+};
+
+// Heading lines are the non-bullet lines at the top of an entry; the rest is description
+const splitEntry = (lines) => {
+  const headings = [];
+  const details = [];
+
+  for (const line of lines) {
+    if (details.length === 0 && headings.length < 2 && !BULLET.test(line)) {
+      headings.push(line);
+    } else {
+      details.push(line.replace(BULLET, ''));
+    }
+  }
+
+  const dates = entryDates(headings);
+  const parts = headings
+    .map(line => (dates.source ? line.replace(dates.source, '') : line))
+    .flatMap(line => line.split(HEADER_SEPARATOR))
+    .map(part => part.replace(/[()|,–-]+$/g, '').replace(/^[()|,–-]+/g, '').trim())
+    .filter(Boolean);
+
+  return { parts, dates, details };
+};
+
+// Builds a normalized candidate profile from the parsed resume sections so recruiters
+// can view and filter on it without re-parsing the original document
+class CandidateProfileBuilder {
+  async build(text, basicInfo = {}) {
+    try {
+      const sections = extractSections(text);
+      const detectedSkills = await pdfParser.extractSkills(text);
+
+      const education = this.parseEducation(sections.education);
+      const highest = education
+        .map(entry => detectEducationLevel(`${entry.qualification || ''} ${entry.institution || ''}`))
+        .concat(detectEducationLevel(sections.education))
+        .filter(Boolean)
+        .sort((a, b) => b.rank - a.rank)[0];
+
+      return {
+        contact: this.parseContact(text, basicInfo),
+        summary: truncate(sections.summary),
+        skills: this.parseSkills(sections.skills, detectedSkills),
+        workHistory: this.parseWorkHistory(sections.experience),
+        education,
+        educationLevel: highest ? highest.level : null,
+        certifications: this.parseCertifications(sections.certifications),
+        projects: this.parseProjects(sections.projects)
+      };
+    } catch (error) {
+      logger.error('Error building candidate profile:', error);
+      return null;
+    }
+  }
+
+  parseContact(text, basicInfo) {
+    const links = uniqueTerms((text.match(LINK) || []).map(link => link.replace(/[.)]+$/, '')));
+
+    return {
+      name: basicInfo.candidateName || null,
+      email: basicInfo.email || null,
+      phone: basicInfo.phone || null,
+      location: basicInfo.location || null,
+      links: links.slice(0, 5)
+    };
+  }
+
+  // Listed skills first, then common skills detected anywhere in the text
+  parseSkills(section, detectedSkills) {
+    const listed = (section || '')
+      .split(/[,;•|\n]/)
+      .map(item => item.replace(BULLET, '').replace(/^[^:]{1,30}:\s*/, '').trim())
+      .filter(item => item.length > 1 && item.length <= 40);
+
+    return uniqueTerms([...listed, ...detectedSkills]).slice(0, LIMITS.skills);
+  }
+
+  parseWorkHistory(section) {
+    return entryBlocks(section)
+      .map(lines => {
+        const { parts, dates, details } = splitEntry(lines);
+        return {
+          title: parts[0] || null,
+          company: parts[1] || null,
+          startDate: dates.startDate,
+          endDate: dates.endDate,
+          current: dates.current,
+          description: truncate(details.join('\n'))
+        };
+      })
+      .filter(entry => entry.title || entry.company)
+      .slice(0, LIMITS.workHistory);
+  }
+
+  parseEducation(section) {
+    return entryBlocks(section)
+      .map(lines => {
+        const { parts, dates, details } = splitEntry(lines);
+        const institution = parts.find(part => INSTITUTION.test(part)) || null;
+        const qualification = parts.find(part => part !== institution) || null;
+        const level = detectEducationLevel(lines.join(' '));
+
+        return {
+          qualification,
+          institution,
+          level: level ? level.level : null,
+          startDate: dates.startDate,
+          endDate: dates.endDate,
+          details: truncate(details.join('\n'))
+        };
+      })
+      .filter(entry => entry.qualification || entry.institution)
+      .slice(0, LIMITS.education);
+  }
+
+  // One certification per line: "AWS Solutions Architect - Amazon (2022)"
+  parseCertifications(section) {
+    return (section || '')
+      .split('\n')
+      .map(line => line.replace(BULLET, '').trim())
+      .filter(Boolean)
+      .map(line => {
+        const date = line.match(SINGLE_DATE);
+        const [name, issuer] = (date ? line.replace(date[0], '') : line)
+          .split(/\s+(?:-|–|\||by)\s+|\s*,\s*/)
+          .map(part => part.replace(/[()]/g, '').trim())
+          .filter(Boolean);
+
+        return { name: name || line, issuer: issuer || null, date: date ? date[1] : null };
+      })
+      .slice(0, LIMITS.certifications);
+  }
+
+  parseProjects(section) {
+    return entryBlocks(section)
+      .map(lines => {
+        const [heading, ...rest] = lines.map(line => line.replace(BULLET, ''));
+        return {
+          name: heading,
+          description: truncate(rest.join('\n')),
+          technologies: extractKeywords(lines.join(' '))
+        };
+      })
+      .slice(0, LIMITS.projects);
+  }
+}
+
+module.exports = new CandidateProfileBuilder();
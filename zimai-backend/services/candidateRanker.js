@@ -0,0 +1,94 @@
+// Orders a job's processed resumes for shortlisting
+
+// Tie-breakers map to resume columns; all rank higher values first except processedAt
+const TIE_BREAKERS = {
+  fitScore: { column: 'fit_score', direction: -1 },
+  keywordMatches: { column: 'keywords_matched', direction: -1 },
+  experienceYears: { column: 'experience_years', direction: -1 },
+  processedAt: { column: 'processed_at', direction: 1 }
+};
+
+const DEFAULT_TIE_BREAKERS = ['fitScore', 'keywordMatches', 'experienceYears'];
+
+// direction 1 sorts ascending, -1 descending; missing values always sort last
+const compareValues = (a, b, direction) => {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  if (a === b) return 0;
+  return (a < b ? -1 : 1) * direction;
+};
+
+class CandidateRanker {
+  get tieBreakers() {
+    return Object.keys(TIE_BREAKERS);
+  }
+
+  // Rank and percentile are computed over the whole pool; cutoffs and keyword filters only narrow the output
+  rank(resumes, { tieBreakers = DEFAULT_TIE_BREAKERS, minScore = null, mustHave = [], limit = null } = {}) {
+    const criteria = [
+      { column: 'score', direction: -1 },
+      ...tieBreakers.map(name => TIE_BREAKERS[name])
+    ];
+
+    const compare = (a, b) => {
+      for (const { column, direction } of criteria) {
+        const result = compareValues(a[column], b[column], direction);
+        if (result !== 0) return result;
+      }
+      return 0;
+    };
+
+    const sorted = [...resumes].sort(compare);
+    const poolSize = sorted.length;
+
+    // Competition ranking: candidates equal on every criterion share a rank (1, 2, 2, 4)
+    const ranked = sorted.map((resume, index) => ({ resume, rank: index + 1 }));
+    for (let i = 1; i < ranked.length; i++) {
+      if (compare(ranked[i - 1].resume, ranked[i].resume) === 0) {
+        ranked[i].rank = ranked[i - 1].rank;
+      }
+    }
+
+    // Number of candidates sharing or above each rank, for percentiles
+    const atOrAbove = {};
+    ranked.forEach(({ rank }, index) => {
+      atOrAbove[rank] = index + 1;
+    });
+
+    const required = mustHave.map(keyword => keyword.toLowerCase());
+
+    const candidates = ranked
+      .map(({ resume, rank }) => {
+        const rankedBelow = poolSize - atOrAbove[rank];
+        return {
+          rank,
+          percentile: poolSize > 1 ? Math.round((rankedBelow / (poolSize - 1)) * 100) : 100,
+          resumeId: resume.id,
+          candidateName: resume.candidate_name,
+          filename: resume.filename,
+          score: resume.score,
+          recommendation: resume.recommendation,
+          fitScore: resume.fit_score,
+          keywordsMatched: resume.keywords_matched,
+          keywordMatches: resume.keyword_matches || [],
+          experienceYears: resume.experience_years,
+          scoringMethod: resume.scoring_method,
+          summary: resume.ai_summary,
+          processedAt: resume.processed_at
+        };
+      })
+      .filter(candidate => minScore === null || (candidate.score ?? 0) >= minScore)
+      .filter(candidate => {
+        const matched = candidate.keywordMatches.map(keyword => keyword.toLowerCase());
+        return required.every(keyword => matched.includes(keyword));
+      });
+
+    return {
+      poolSize,
+      matchingCount: candidates.length,
+      candidates: limit ? candidates.slice(0, limit) : candidates
+    };
+  }
+}
+
+module.exports = new CandidateRanker();
@@ -0,0 +1,82 @@
+const candidateRanker = require('./candidateRanker');
+
+const resume = (id, fields = {}) => ({
+  id,
+  candidate_name: `Candidate ${id}`,
+  filename: `${id}.pdf`,
+  score: null,
+  fit_score: null,
+  keywords_matched: null,
+  keyword_matches: [],
+  experience_years: null,
+  processed_at: '2026-10-01T00:00:00Z',
+  ...fields
+});
+
+const POOL = [
+  resume('d', { score: 80, fit_score: 60, keyword_matches: ['Python'] }),
+  resume('e'),
+  resume('b', { score: 80, fit_score: 70, keyword_matches: ['Python', 'SQL'] }),
+  resume('a', { score: 90, fit_score: 50, keyword_matches: ['SQL'] }),
+  resume('c', { score: 80, fit_score: 70, keyword_matches: ['python'] })
+];
+
+const summary = (result) => result.candidates.map(({ resumeId, rank, percentile }) => [resumeId, rank, percentile]);
+
+describe('candidateRanker', () => {
+  it('ranks by score, then by the tie-breakers, with unscored resumes last', () => {
+    const result = candidateRanker.rank(POOL);
+
+    expect(result.poolSize).toBe(5);
+    expect(result.matchingCount).toBe(5);
+    expect(summary(result)).toEqual([
+      ['a', 1, 100],
+      ['b', 2, 50],
+      ['c', 2, 50],
+      ['d', 4, 25],
+      ['e', 5, 0]
+    ]);
+  });
+
+  it('applies the tie-breakers in the order given', () => {
+    const pool = [
+      resume('old', { score: 70, experience_years: 9, processed_at: '2026-09-01T00:00:00Z' }),
+      resume('new', { score: 70, experience_years: 2, processed_at: '2026-10-01T00:00:00Z' })
+    ];
+
+    const byExperience = candidateRanker.rank(pool, { tieBreakers: ['experienceYears'] });
+    const byProcessedAt = candidateRanker.rank([...pool].reverse(), { tieBreakers: ['processedAt'] });
+
+    expect(byExperience.candidates.map(c => c.resumeId)).toEqual(['old', 'new']);
+    expect(byProcessedAt.candidates.map(c => c.resumeId)).toEqual(['old', 'new']);
+  });
+
+  it('keeps ranks over the whole pool when filtering by score and keywords', () => {
+    const result = candidateRanker.rank(POOL, { minScore: 80, mustHave: ['PYTHON'] });
+
+    expect(result.poolSize).toBe(5);
+    expect(result.matchingCount).toBe(3);
+    expect(summary(result)).toEqual([
+      ['b', 2, 50],
+      ['c', 2, 50],
+      ['d', 4, 25]
+    ]);
+  });
+
+  it('limits the output without changing the matching count', () => {
+    const result = candidateRanker.rank(POOL, { limit: 2 });
+
+    expect(result.matchingCount).toBe(5);
+    expect(result.candidates.map(c => c.resumeId)).toEqual(['a', 'b']);
+  });
+
+  it('puts a single candidate at the 100th percentile', () => {
+    const result = candidateRanker.rank([resume('only', { score: 10 })]);
+
+    expect(summary(result)).toEqual([['only', 1, 100]]);
+  });
+
+  it('handles an empty pool', () => {
+    expect(candidateRanker.rank([])).toEqual({ poolSize: 0, matchingCount: 0, candidates: [] });
+  });
+});
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const supabase = require('../supabase/client');
+const dbQueries = require('../supabase/queries');
+const resumeProcessor = require('./resumeProcessor');
+const webhookDispatcher = require('./webhookDispatcher');
+const logger = require('../utils/logger');
+const canonical = require('../utils/canonicalJson');
+
+// Keys that tie an analytics event, webhook payload or batch result to a candidate or their file
+const IDENTIFYING_KEYS = ['resumeId', 'resumeIds', 'filename', 'duplicateOf', 'summary', 'candidateName', 'email', 'phone'];
+
+// Records that outlive an erasure, and why; listed on every certificate
+const RETAINED = [
+  {
+    record: 'audit_log',
+    reason: 'Append-only, hash-chained access log. Entries name resumes by ID only and never copy request bodies or free-text search values.'
+  },
+  {
+    record: 'analytics_events, token_usage',
+    reason: `Kept for company totals with ${IDENTIFYING_KEYS.join(', ')} and resume IDs removed`
+  }
+];
+
+// IDs per request, to keep `.in()` filters within URL limits
+const CHUNK_SIZE = 100;
+
+// Resumes still waiting for text extraction; they would be processed with the candidate's data after the erasure
+const PENDING_STATUSES = ['uploaded', 'processing'];
+
+const erasureError = (message, code, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+// Removes candidates' resumes and everything recorded about them: the stored file, notes, stage and score
+// history, overrides and queued webhook deliveries are deleted, and the records kept for totals (analytics
+// events, token usage) lose their reference to the resume. Used by resume deletion, retention and erasure requests.
+class DataEraser {
+  constructor() {
+    this.subjectSecret = process.env.ERASURE_SUBJECT_SECRET || null;
+  }
+
+  get retained() {
+    return RETAINED;
+  }
+
+  isRejection(error) {
+    return error.code === 'RESUMES_PENDING';
+  }
+
+  // Erases the resumes and returns how many records of each kind were removed or anonymized.
+  // `reason` is resume_deleted, retention_expired or erasure_request. With `aggregate`, each chunk's
+  // rows are summarized by it and the summary is saved in the same transaction that deletes them.
+  async erase(companyId, resumes, { reason, actorId = null, aggregate = null }) {
+    const counts = {
+      resumes: 0,
+      files: 0,
+      notes: 0,
+      stageHistory: 0,
+      scoreVersions: 0,
+      scoreOverrides: 0,
+      analyticsEvents: 0,
+      tokenRecords: 0,
+      webhookDeliveries: 0,
+      batchResults: 0,
+      duplicateLinks: 0
+    };
+
+    for (let start = 0; start < resumes.length; start += CHUNK_SIZE) {
+      await this.eraseChunk(companyId, resumes.slice(start, start + CHUNK_SIZE), { reason, aggregate }, counts);
+    }
+
+    if (counts.resumes > 0) {
+      await dbQueries.logAnalyticsEvent(companyId, 'resume_deleted', {
+        count: counts.resumes,
+        reason,
+        deletedBy: actorId
+      });
+
+      for (const resume of resumes) {
+        await webhookDispatcher.emit(companyId, 'resume.deleted', {
+          resumeId: resume.id,
+          jobId: resume.job_id,
+          reason,
+          deletedBy: actorId
+        });
+      }
+    }
+
+    return counts;
+  }
+
+  // The rows go last, so a failure part way leaves them in place to be erased again
+  async eraseChunk(companyId, resumes, { reason, aggregate }, counts) {
+    const resumeIds = resumes.map(resume => resume.id);
+
+    // Resumes erased before processing give back the tokens they were holding
+    for (const resume of resumes) {
+      await resumeProcessor.releaseToken(resume, reason);
+    }
+
+    const paths = resumes.map(resume => resume.file_path).filter(Boolean);
+    if (paths.length > 0) {
+      const { data: removed, error: storageError } = await supabase.storage
+        .from('resumes')
+        .remove(paths);
+
+      if (storageError) {
+        throw new Error(`File deletion failed: ${storageError.message}`);
+      }
+      counts.files += (removed || []).length;
+    }
+
+    const deleted = await dbQueries.deleteResumeRecords(resumeIds);
+    counts.notes += deleted.resume_notes;
+    counts.stageHistory += deleted.resume_stage_history;
+    counts.scoreVersions += deleted.resume_score_versions;
+    counts.scoreOverrides += deleted.score_overrides;
+
+    const scrubbed = await dbQueries.scrubResumeReferences(companyId, resumeIds, IDENTIFYING_KEYS);
+    counts.analyticsEvents += scrubbed.analytics_events || 0;
+    counts.tokenRecords += (scrubbed.token_usage || 0) + (scrubbed.token_reservations || 0) + (scrubbed.token_ledger || 0);
+    counts.webhookDeliveries += scrubbed.webhook_deliveries || 0;
+    counts.batchResults += scrubbed.resume_batches || 0;
+
+    counts.duplicateLinks += await dbQueries.clearDuplicateLinks(resumeIds);
+    counts.resumes += aggregate
+      ? await dbQueries.purgeResumes(companyId, resumeIds, aggregate(resumes))
+      : await dbQueries.deleteResumes(resumeIds);
+  }
+
+  // Keyed with a server-side secret, so the certificate cannot be brute-forced back to the contact details
+  // (a phone is only 9 digits). Without ERASURE_SUBJECT_SECRET the subject is left off the certificate.
+  subjectHash(value) {
+    if (!value || !this.subjectSecret) return null;
+    return crypto.createHmac('sha256', this.subjectSecret).update(value).digest('hex');
+  }
+
+  digest(certificate) {
+    return crypto.createHash('sha256').update(canonical(certificate)).digest('hex');
+  }
+
+  // Finds every resume matching the normalized email or phone, erases it and records the certificate.
+  // A request that matches nothing still gets one, stating that no data was held. Matching relies on the
+  // contact details extracted during processing, so the request is refused while resumes are still waiting
+  // to be processed, and resumes that were never extracted otherwise are listed as unchecked.
+  async fulfil(companyId, actorId, { email = null, phone = null }) {
+    const unextracted = await dbQueries.getUnextractedResumes(companyId);
+    const pending = unextracted.filter(resume => PENDING_STATUSES.includes(resume.status));
+
+    if (pending.length > 0) {
+      throw erasureError(
+        `${pending.length} resume${pending.length === 1 ? ' is' : 's are'} still waiting to be processed and cannot be checked for this candidate yet; retry once processing finishes`,
+        'RESUMES_PENDING',
+        { pending: pending.length }
+      );
+    }
+
+    const requestId = crypto.randomUUID();
+    const subject = {
+      email: this.subjectHash(email),
+      phone: this.subjectHash(phone)
+    };
+
+    const request = await dbQueries.createErasureRequest({
+      id: requestId,
+      company_id: companyId,
+      requested_by: actorId,
+      subject,
+      status: 'processing',
+      created_at: new Date().toISOString()
+    });
+
+    let resumes;
+    let counts;
+    try {
+      resumes = await dbQueries.findResumesByIdentity(companyId, { email, phone });
+      counts = await this.erase(companyId, resumes, { reason: 'erasure_request', actorId });
+    } catch (error) {
+      await dbQueries.updateErasureRequest(requestId, {
+        status: 'failed',
+        error_message: error.message
+      });
+      throw error;
+    }
+
+    const erasedIds = new Set(resumes.map(resume => resume.id));
+    const unchecked = unextracted.filter(resume => !erasedIds.has(resume.id));
+
+    const certificate = {
+      certificateId: requestId,
+      companyId,
+      requestedBy: actorId,
+      requestedAt: request.created_at,
+      completedAt: new Date().toISOString(),
+      subject: {
+        ...subject,
+        hashing: this.subjectSecret ? 'HMAC-SHA256 of the normalized value with the server-side erasure key' : 'not recorded'
+      },
+      resumeIds: resumes.map(resume => resume.id),
+      records: counts,
+      unchecked: {
+        count: unchecked.length,
+        resumeIds: unchecked.map(resume => resume.id),
+        reason: unchecked.length > 0
+          ? 'Contact details were never extracted from these resumes (processing failed first, or they predate contact matching), so they could not be matched. Review or delete them and submit a new request.'
+          : null
+      },
+      retained: RETAINED
+    };
+
+    const completed = await dbQueries.updateErasureRequest(requestId, {
+      status: 'completed',
+      resumes_erased: counts.resumes,
+      certificate,
+      certificate_hash: this.digest(certificate),
+      completed_at: certificate.completedAt
+    });
+
+    logger.logSecurity('candidate_data_erased', {
+      companyId,
+      userId: actorId,
+      requestId,
+      resumesErased: counts.resumes,
+      unchecked: unchecked.length
+    });
+
+    return completed;
+  }
+}
+
+module.exports = new DataEraser();
@@ -0,0 +1,132 @@
+const AdmZip = require('adm-zip');
+const logger = require('../utils/logger');
+const pdfParser = require('./pdfParser');
+const docxParser = require('./docxParser');
+const odtParser = require('./odtParser');
+const rtfParser = require('./rtfParser');
+const textParser = require('./textParser');
+const { readZipEntry } = require('../utils/zipEntry');
+
+// Supported resume formats. Each parser follows the PDFParser extractText contract:
+// { text, rawText, metadata: { pages, info, version, wordCount, charCount } }
+const FORMATS = {
+  pdf: {
+    extensions: ['.pdf'],
+    contentType: 'application/pdf',
+    mimeTypes: ['application/pdf'],
+    parser: pdfParser,
+    validate: buffer => pdfParser.validatePDF(buffer)
+  },
+  docx: {
+    extensions: ['.docx'],
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    parser: docxParser,
+    validate: buffer => docxParser.validate(buffer)
+  },
+  odt: {
+    extensions: ['.odt'],
+    contentType: odtParser.ODT_MIMETYPE,
+    mimeTypes: [odtParser.ODT_MIMETYPE],
+    parser: odtParser,
+    validate: buffer => odtParser.validate(buffer)
+  },
+  rtf: {
+    extensions: ['.rtf'],
+    contentType: 'application/rtf',
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    parser: rtfParser,
+    validate: buffer => rtfParser.validate(buffer)
+  },
+  txt: {
+    extensions: ['.txt'],
+    contentType: 'text/plain',
+    mimeTypes: ['text/plain'],
+    parser: textParser,
+    validate: buffer => textParser.validate(buffer)
+  }
+};
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const MIMETYPE_MAX_SIZE = 256;
+
+class DocumentParser {
+  get supportedExtensions() {
+    return Object.values(FORMATS).flatMap(format => format.extensions);
+  }
+
+  get supportedMimeTypes() {
+    return Object.values(FORMATS).flatMap(format => format.mimeTypes);
+  }
+
+  getFormat(type) {
+    return FORMATS[type] || null;
+  }
+
+  // Identify the format from the file's magic bytes; the extension is never trusted on its own
+  detectFormat(buffer) {
+    if (!buffer || buffer.length < 4) {
+      return null;
+    }
+
+    if (buffer.slice(0, 4).toString('latin1') === '%PDF') {
+      return 'pdf';
+    }
+
+    if (buffer.slice(0, 5).toString('latin1') === '{\\rtf') {
+      return 'rtf';
+    }
+
+    if (buffer.slice(0, 4).equals(ZIP_SIGNATURE)) {
+      return this.detectZipFormat(buffer);
+    }
+
+    return textParser.isPlainText(buffer) ? 'txt' : null;
+  }
+
+  detectZipFormat(buffer) {
+    try {
+      const zip = new AdmZip(buffer);
+
+      if (zip.getEntry('word/document.xml')) {
+        return 'docx';
+      }
+
+      // The mimetype entry is a few dozen bytes; read no more than that whatever its header claims
+      const mimetypeEntry = zip.getEntry('mimetype');
+      if (mimetypeEntry && readZipEntry(mimetypeEntry, MIMETYPE_MAX_SIZE).toString('utf8').trim() === odtParser.ODT_MIMETYPE) {
+        return 'odt';
+      }
+
+      return null;
+    } catch (error) {
+      logger.warn('Failed to inspect ZIP-based document:', { error: error.message });
+      return null;
+    }
+  }
+
+  async validate(buffer, type = this.detectFormat(buffer)) {
+    const format = this.getFormat(type);
+
+    if (!format) {
+      return { isValid: false, error: 'Unsupported or unrecognized document format' };
+    }
+
+    return format.validate(buffer);
+  }
+
+  async extractText(buffer, filename, type = this.detectFormat(buffer)) {
+    const format = this.getFormat(type);
+
+    if (!format) {
+      throw new Error('Unsupported or unrecognized document format');
+    }
+
+    const extractedData = await format.parser.extractText(buffer, filename);
+    extractedData.metadata.format = type;
+
+    return extractedData;
+  }
+}
+
+module.exports = new DocumentParser();
@@ -0,0 +1,143 @@
+const AdmZip = require('adm-zip');
+const documentParser = require('./documentParser');
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+const zipOf = (entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+};
+
+const odt = (paragraphs, extra = {}) => zipOf({
+  mimetype: ODT_MIMETYPE,
+  'content.xml': `<office:document-content><office:body><office:text>${
+    paragraphs.map(p => `<text:p>${p}</text:p>`).join('')
+  }</office:text></office:body></office:document-content>`,
+  ...extra
+});
+
+const docx = (extra = {}) => zipOf({ 'word/document.xml': '<w:document/>', ...extra });
+
+// Rewrites the uncompressed size of the archive's first entry to 0 in both of its headers
+const declaringSizeZero = (archive) => {
+  archive.writeUInt32LE(0, archive.indexOf(Buffer.from([0x50, 0x4B, 0x03, 0x04])) + 22);
+  archive.writeUInt32LE(0, archive.indexOf(Buffer.from([0x50, 0x4B, 0x01, 0x02])) + 24);
+  return archive;
+};
+
+describe('documentParser', () => {
+  describe('detectFormat', () => {
+    it.each([
+      ['pdf', Buffer.from('%PDF-1.7\n...')],
+      ['rtf', Buffer.from('{\\rtf1\\ansi Hello}')],
+      ['docx', docx()],
+      ['odt', odt(['Hello'])],
+      ['txt', Buffer.from('Tendai Moyo\nSoftware Engineer')],
+      ['txt', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Résumé', 'utf16le')])]
+    ])('recognises %s from its content', (format, buffer) => {
+      expect(documentParser.detectFormat(buffer)).toBe(format);
+    });
+
+    it.each([
+      ['empty buffers', Buffer.alloc(0)],
+      ['buffers too short to identify', Buffer.from('ab')],
+      ['binary data', Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00, 0x1A, 0x00, 0x00])],
+      ['archives that are not documents', zipOf({ 'notes.txt': 'hello' })],
+      ['corrupted archives', Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), Buffer.alloc(32)])]
+    ])('rejects %s', (_, buffer) => {
+      expect(documentParser.detectFormat(buffer)).toBeNull();
+    });
+
+    it('does not inflate a mimetype entry past its expected size', () => {
+      const padded = zipOf({ mimetype: ODT_MIMETYPE + ' '.repeat(100000), 'content.xml': '<office:document-content/>' });
+
+      expect(documentParser.detectFormat(declaringSizeZero(padded))).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('rejects content in an unsupported format', async () => {
+      await expect(documentParser.validate(Buffer.from([0x00, 0x01, 0x02, 0x03])))
+        .resolves.toEqual({ isValid: false, error: 'Unsupported or unrecognized document format' });
+    });
+
+    it('accepts readable documents', async () => {
+      await expect(documentParser.validate(Buffer.from('Plain resume text'))).resolves.toEqual({ isValid: true });
+      await expect(documentParser.validate(odt(['Hello']))).resolves.toEqual({ isValid: true });
+    });
+
+    it('rejects encrypted documents', async () => {
+      const encrypted = docx({ EncryptedPackage: 'secret' });
+      const encryptedOdt = odt(['Hello'], { 'META-INF/manifest.xml': '<manifest:encryption-data/>' });
+
+      await expect(documentParser.validate(encrypted))
+        .resolves.toEqual({ isValid: false, error: 'Document is password protected or encrypted' });
+      await expect(documentParser.validate(encryptedOdt))
+        .resolves.toEqual({ isValid: false, error: 'Document is password protected or encrypted' });
+    });
+
+    it('rejects documents whose parts expand past the size limit', async () => {
+      const bomb = docx({ 'word/media/padding.bin': Buffer.alloc(51 * 1024 * 1024) });
+
+      await expect(documentParser.validate(bomb))
+        .resolves.toEqual({ isValid: false, error: 'Document expands to more than 50MB' });
+    });
+
+    it('rejects documents with parts that do not match their headers', async () => {
+      const lying = declaringSizeZero(docx({ 'word/styles.xml': '<w:styles/>' }));
+
+      await expect(documentParser.validate(lying))
+        .resolves.toEqual({ isValid: false, error: 'DOCX validation failed: ZIP entry does not match its header' });
+    });
+
+    it('validates against the format it is given', async () => {
+      const result = await documentParser.validate(Buffer.from('Plain resume text'), 'docx');
+
+      expect(result.isValid).toBe(false);
+    });
+  });
+
+  describe('extractText', () => {
+    it('extracts plain text', async () => {
+      const result = await documentParser.extractText(Buffer.from('Tendai Moyo\nSoftware Engineer'), 'cv.txt');
+
+      expect(result.text).toContain('Software Engineer');
+      expect(result.metadata).toMatchObject({ format: 'txt', pages: null, wordCount: 4 });
+    });
+
+    it('extracts the visible text of RTF documents', async () => {
+      const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}\\f0 Tendai Moyo\\par Caf\\\'e9 owner\\par}';
+
+      const result = await documentParser.extractText(Buffer.from(rtf), 'cv.rtf');
+
+      expect(result.rawText).toBe('Tendai Moyo\nCafé owner\n');
+      expect(result.rawText).not.toContain('Arial');
+      expect(result.metadata.format).toBe('rtf');
+    });
+
+    it('extracts paragraphs and entities from ODT documents', async () => {
+      const result = await documentParser.extractText(odt(['Tendai Moyo', 'R&amp;D<text:tab/>Lead']), 'cv.odt');
+
+      expect(result.rawText).toBe('Tendai Moyo\nR&D\tLead\n');
+      expect(result.metadata.format).toBe('odt');
+    });
+
+    it('reports documents without text', async () => {
+      await expect(documentParser.extractText(odt(['   ']), 'empty.odt'))
+        .rejects.toThrow('Document contains no readable text content');
+    });
+
+    it('refuses unrecognized content', async () => {
+      await expect(documentParser.extractText(Buffer.from([0x00, 0x01, 0x02, 0x03]), 'cv.bin'))
+        .rejects.toThrow('Unsupported or unrecognized document format');
+    });
+  });
+
+  it('lists the supported extensions and MIME types', () => {
+    expect(documentParser.supportedExtensions).toEqual(['.pdf', '.docx', '.odt', '.rtf', '.txt']);
+    expect(documentParser.supportedMimeTypes).toEqual(expect.arrayContaining(['application/rtf', 'text/rtf', ODT_MIMETYPE]));
+  });
+});
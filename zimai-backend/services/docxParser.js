@@ -0,0 +1,88 @@
+const mammoth = require('mammoth');
+const AdmZip = require('adm-zip');
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitizeText');
+const { checkZipEntries, MAX_DOCUMENT_EXPANDED_SIZE } = require('../utils/zipEntry');
+
+class DOCXParser {
+  async extractText(buffer, filename) {
+    try {
+      logger.info('Starting DOCX text extraction:', { filename });
+
+      const result = await mammoth.extractRawText({ buffer });
+      const rawText = result.value;
+
+      if (!rawText || rawText.trim().length === 0) {
+        throw new Error('No text content found in DOCX');
+      }
+
+      const cleanText = sanitizeText(rawText);
+
+      const extractedData = {
+        text: cleanText,
+        rawText: rawText,
+        metadata: {
+          pages: null, // Word documents have no fixed pagination
+          info: {},
+          version: null,
+          wordCount: cleanText.split(/\s+/).length,
+          charCount: cleanText.length,
+          warnings: result.messages.map(message => message.message)
+        }
+      };
+
+      logger.info('DOCX text extraction completed:', {
+        filename,
+        wordCount: extractedData.metadata.wordCount,
+        charCount: extractedData.metadata.charCount
+      });
+
+      return extractedData;
+
+    } catch (error) {
+      logger.error('DOCX text extraction failed:', {
+        filename,
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (error.message.includes('No text content')) {
+        throw new Error('Document contains no readable text content');
+      } else if (error.message.includes('zip') || error.message.includes('central directory')) {
+        throw new Error('Invalid or corrupted DOCX file');
+      } else {
+        throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+      }
+    }
+  }
+
+  async validate(buffer) {
+    try {
+      const zip = new AdmZip(buffer);
+
+      if (!zip.getEntry('word/document.xml')) {
+        return { isValid: false, error: 'DOCX archive is missing its document body' };
+      }
+
+      if (zip.getEntry('EncryptedPackage')) {
+        return { isValid: false, error: 'Document is password protected or encrypted' };
+      }
+
+      // mammoth inflates parts without a size limit, so check what they expand to before it sees them
+      checkZipEntries(zip, MAX_DOCUMENT_EXPANDED_SIZE);
+
+      return { isValid: true };
+
+    } catch (error) {
+      if (error.code === 'ZIP_ENTRY_TOO_LARGE') {
+        return { isValid: false, error: `Document expands to more than ${MAX_DOCUMENT_EXPANDED_SIZE / 1024 / 1024}MB` };
+      }
+      return {
+        isValid: false,
+        error: `DOCX validation failed: ${error.message}`
+      };
+    }
+  }
+}
+
+module.exports = new DOCXParser();
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// What happens to an upload that matches an existing resume:
+// reject - refuse it, link - point it at the existing record without scoring, reprocess - score it anyway
+const POLICIES = ['reject', 'link', 'reprocess'];
+const DEFAULT_POLICY = 'link';
+
+// MinHash signature length and match thresholds for the fuzzy name + text check
+const SIGNATURE_SIZE = 64;
+const SHINGLE_SIZE = 3;
+const NAME_THRESHOLD = 0.85;
+const TEXT_THRESHOLD = 0.7;
+
+// Fixed seeds so signatures stay comparable across processes and deployments
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9E3779B1));
+
+const fnv1a = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash;
+};
+
+// murmur3 finalizer; spreads the seeded hashes so each slot behaves as an independent hash
+const mix = (hash) => {
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+  return hash ^ (hash >>> 16);
+};
+
+// Character bigrams for the Dice coefficient
+const bigrams = (text) => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+class DuplicateDetector {
+  get policies() {
+    return POLICIES;
+  }
+
+  policyFor(company) {
+    return POLICIES.includes(company?.duplicate_policy) ? company.duplicate_policy : DEFAULT_POLICY;
+  }
+
+  contentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  // Lowercase and drop "+tag" sub-addressing: Jane+jobs@Example.com -> jane@example.com
+  normalizeEmail(email) {
+    if (!email) return null;
+    const [local, domain] = email.trim().toLowerCase().split('@');
+    return domain ? `${local.split('+')[0]}@${domain}` : null;
+  }
+
+  // Digits only, compared on the subscriber number so +263 77... and 077... match
+  normalizePhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    if (digits.length < 7) return null;
+    return digits.slice(-9);
+  }
+
+  // Accent-free lowercase tokens in sorted order so "Doe, Jane" matches "Jane Doe"
+  normalizeName(name) {
+    if (!name) return null;
+    const tokens = name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+    return tokens.length > 0 ? tokens.sort().join(' ') : null;
+  }
+
+  nameSimilarity(a, b) {
+    const left = this.normalizeName(a);
+    const right = this.normalizeName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    const remaining = [...rightPairs];
+    let overlap = 0;
+
+    for (const pair of leftPairs) {
+      const index = remaining.indexOf(pair);
+      if (index !== -1) {
+        overlap++;
+        remaining.splice(index, 1);
+      }
+    }
+
+    return (2 * overlap) / (leftPairs.length + rightPairs.length);
+  }
+
+  // MinHash signature over word shingles; the share of equal slots estimates Jaccard similarity
+  fingerprint(text) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    if (words.length < SHINGLE_SIZE) return null;
+
+    const signature = new Array(SIGNATURE_SIZE).fill(null);
+
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      const base = fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' '));
+      for (let slot = 0; slot < SIGNATURE_SIZE; slot++) {
+        const value = mix(base ^ SEEDS[slot]);
+        if (signature[slot] === null || value < signature[slot]) {
+          signature[slot] = value;
+        }
+      }
+    }
+
+    return signature;
+  }
+
+  textSimilarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+    return a.filter((value, slot) => value === b[slot]).length / a.length;
+  }
+
+  // Identity fields stored on the resume so later uploads can be matched against it
+  identify(text, basicInfo = {}) {
+    return {
+      normalizedEmail: this.normalizeEmail(basicInfo.email),
+      normalizedPhone: this.normalizePhone(basicInfo.phone),
+      candidateName: basicInfo.candidateName || null,
+      fingerprint: this.fingerprint(text)
+    };
+  }
+
+  // Exact copy of a file already uploaded by the company for the same job
+  async findFileDuplicate(companyId, jobId, contentHash) {
+    const existing = await dbQueries.findResumeByContentHash(companyId, jobId, contentHash);
+    if (!existing) return null;
+
+    return {
+      resumeId: existing.id,
+      type: 'file',
+      reasons: ['content_hash'],
+      similarity: 1,
+      existing
+    };
+  }
+
+  // Same person applying to the same job again: matching contact details, or a near-identical name and resume text
+  async findCandidateDuplicate(resume, identity) {
+    const nameTerm = (this.normalizeName(identity.candidateName) || '')
+      .split(' ')
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!identity.normalizedEmail && !identity.normalizedPhone && !nameTerm) {
+      return null;
+    }
+
+    const candidates = await dbQueries.findPossibleDuplicates(resume.company_id, resume.job_id || null, resume.id, {
+      email: identity.normalizedEmail,
+      phone: identity.normalizedPhone,
+      nameTerm
+    });
+
+    let best = null;
+
+    for (const candidate of candidates) {
+      const reasons = [];
+      const textScore = this.textSimilarity(identity.fingerprint, candidate.text_fingerprint);
+
+      if (identity.normalizedEmail && candidate.normalized_email === identity.normalizedEmail) {
+        reasons.push('email');
+      }
+      if (identity.normalizedPhone && candidate.normalized_phone === identity.normalizedPhone) {
+        reasons.push('phone');
+      }
+      if (this.nameSimilarity(identity.candidateName, candidate.candidate_name) >= NAME_THRESHOLD &&
+          textScore >= TEXT_THRESHOLD) {
+        reasons.push('name_and_text');
+      }
+
+      if (reasons.length === 0) continue;
+
+      // Prefer the candidate with the most independent signals, then the closest text
+      if (!best || reasons.length > best.reasons.length ||
+          (reasons.length === best.reasons.length && textScore > best.similarity)) {
+        best = {
+          resumeId: candidate.id,
+          type: 'candidate',
+          reasons,
+          similarity: Math.round(textScore * 100) / 100
+        };
+      }
+    }
+
+    if (best) {
+      logger.info('Possible duplicate candidate found:', {
+        resumeId: resume.id,
+        duplicateOf: best.resumeId,
+        reasons: best.reasons
+      });
+    }
+
+    return best;
+  }
+}
+
+module.exports = new DuplicateDetector();
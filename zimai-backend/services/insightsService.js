@@ -0,0 +1,216 @@
+const aiScorer = require('./aiScorer');
+const tokenLedger = require('./tokenLedger');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Preset timeframes in days; 'custom' takes explicit from/to dates
+const TIMEFRAMES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const MAX_RESUMES = 10000;
+const TOP_TERMS = 15;
+
+const average = (values) => (values.length > 0
+  ? Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 10) / 10
+  : null);
+
+const countBy = (values) => values.reduce((counts, value) => {
+  counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+// Most frequent terms across several lists, case-insensitive
+const topTerms = (lists) => Object.entries(countBy(lists.flat().filter(Boolean).map(term => term.toLowerCase())))
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, TOP_TERMS)
+  .map(([term, count]) => ({ term, count }));
+
+// AI hiring insights over a period of screening results. Generated insights are cached per company,
+// timeframe and job so repeated dashboard loads do not spend tokens; each generation costs 1 token.
+class InsightsService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.INSIGHTS_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+    // Concurrent requests for the same insights share one generation (and one charge)
+    this.pending = new Map();
+  }
+
+  get timeframes() {
+    return [...Object.keys(TIMEFRAMES), 'custom'];
+  }
+
+  resolvePeriod(timeframe, { from, to } = {}) {
+    if (timeframe === 'custom') {
+      return { from: new Date(from), to: new Date(to) };
+    }
+
+    const end = new Date();
+    return { from: new Date(end.getTime() - TIMEFRAMES[timeframe] * DAY), to: end };
+  }
+
+  // Preset timeframes roll forward, so they share one cache entry until it expires
+  cacheKey(timeframe, period, jobId) {
+    const range = timeframe === 'custom'
+      ? `${period.from.toISOString()}_${period.to.toISOString()}`
+      : timeframe;
+    return `${range}:${jobId || 'all'}`;
+  }
+
+  async collect(companyId, from, to, jobId) {
+    const rows = [];
+
+    while (rows.length < MAX_RESUMES) {
+      const page = await dbQueries.getScoredResumes(companyId, from, to, { jobId, limit: PAGE_SIZE, offset: rows.length });
+      rows.push(...page);
+      if (page.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+  }
+
+  summarize(rows) {
+    const scores = rows.map(row => row.score).filter(score => typeof score === 'number');
+    const breakdowns = rows.map(row => row.score_breakdown).filter(Boolean);
+
+    return {
+      resumesProcessed: rows.length,
+      averageScore: average(scores),
+      recommendations: countBy(rows.map(row => row.recommendation || 'unbanded')),
+      averageBreakdown: Object.fromEntries(
+        ['skills', 'experience', 'education', 'relevance'].map(dimension => [
+          dimension,
+          average(breakdowns.map(breakdown => breakdown[dimension]).filter(value => typeof value === 'number'))
+        ])
+      ),
+      averageExperienceYears: average(rows.map(row => row.experience_years).filter(years => typeof years === 'number')),
+      educationLevels: countBy(rows.map(row => row.education_level || 'unknown')),
+      topSkills: topTerms(rows.map(row => row.candidate_skills || [])),
+      topKeywordMatches: topTerms(rows.map(row => row.keyword_matches || [])),
+      scoringMethods: countBy(rows.map(row => row.scoring_method || 'ai')),
+      truncated: rows.length >= MAX_RESUMES
+    };
+  }
+
+  // Aggregates only: candidate names and contact details never reach the model
+  async buildStats(companyId, period, job = null) {
+    const length = period.to.getTime() - period.from.getTime();
+    const previousFrom = new Date(period.from.getTime() - length);
+
+    const [current, previous] = await Promise.all([
+      this.collect(companyId, period.from, period.to, job?.id),
+      this.collect(companyId, previousFrom, period.from, job?.id)
+    ]);
+
+    const previousScores = previous.map(row => row.score).filter(score => typeof score === 'number');
+
+    return {
+      period: { from: period.from.toISOString(), to: period.to.toISOString() },
+      job: job ? { id: job.id, title: job.title, version: job.version } : null,
+      ...this.summarize(current),
+      previousPeriod: {
+        from: previousFrom.toISOString(),
+        to: period.from.toISOString(),
+        resumesProcessed: previous.length,
+        averageScore: average(previousScores)
+      }
+    };
+  }
+
+  async getInsights(companyId, { timeframe = '30d', from, to, job = null, refresh = false, actorId = null }) {
+    const period = this.resolvePeriod(timeframe, { from, to });
+    const cacheKey = this.cacheKey(timeframe, period, job?.id);
+
+    if (!refresh) {
+      const cached = await dbQueries.getCachedInsights(companyId, cacheKey);
+      if (cached) {
+        return this.toResponse(cached, true);
+      }
+    }
+
+    const pendingKey = `${companyId}:${cacheKey}`;
+    if (this.pending.has(pendingKey)) {
+      return this.pending.get(pendingKey);
+    }
+
+    const generation = this.generate(companyId, { timeframe, period, cacheKey, job, actorId })
+      .finally(() => this.pending.delete(pendingKey));
+    this.pending.set(pendingKey, generation);
+    return generation;
+  }
+
+  async generate(companyId, { timeframe, period, cacheKey, job, actorId }) {
+    const stats = await this.buildStats(companyId, period, job);
+
+    // Nothing to analyze: answer without calling the model or charging a token
+    if (stats.resumesProcessed === 0) {
+      return {
+        timeframe,
+        period: stats.period,
+        jobId: job?.id || null,
+        insights: ['No resumes were scored in this period'],
+        trends: [],
+        recommendations: ['Upload and process resumes to generate insights'],
+        stats,
+        cached: false,
+        generatedAt: new Date().toISOString(),
+        expiresAt: null
+      };
+    }
+
+    const result = await tokenLedger.withReservation(companyId, {
+      amount: 1,
+      operation: 'insights_generation',
+      actorId
+    }, () => aiScorer.generateInsights(companyId, stats));
+
+    const { tokensUsed, ...insights } = result;
+
+    const entry = {
+      company_id: companyId,
+      cache_key: cacheKey,
+      timeframe,
+      job_id: job?.id || null,
+      period_start: stats.period.from,
+      period_end: stats.period.to,
+      result: insights,
+      stats,
+      tokens_used: tokensUsed,
+      created_by: actorId,
+      expires_at: new Date(Date.now() + this.cacheTtl).toISOString()
+    };
+
+    // The token is already spent; a cache write failure should not lose the insights
+    try {
+      await dbQueries.saveInsights(entry);
+    } catch (error) {
+      logger.error('Failed to cache insights:', { companyId, cacheKey, error: error.message });
+    }
+
+    await dbQueries.logAnalyticsEvent(companyId, 'insights_generated', {
+      timeframe,
+      jobId: job?.id || null,
+      resumesAnalyzed: stats.resumesProcessed,
+      tokensUsed
+    });
+
+    return this.toResponse(entry, false);
+  }
+
+  toResponse(entry, cached) {
+    return {
+      timeframe: entry.timeframe,
+      period: { from: entry.period_start, to: entry.period_end },
+      jobId: entry.job_id,
+      ...entry.result,
+      stats: entry.stats,
+      cached,
+      expiresAt: entry.expires_at
+    };
+  }
+}
+
+module.exports = new InsightsService();
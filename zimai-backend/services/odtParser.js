@@ -0,0 +1,128 @@
+const AdmZip = require('adm-zip');
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitizeText');
+const { readZipEntry, checkZipEntries, MAX_DOCUMENT_EXPANDED_SIZE } = require('../utils/zipEntry');
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+const XML_ENTITIES = {
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&amp;': '&'
+};
+
+// Convert ODF content.xml into plain text, keeping paragraph and tab structure
+function odfXmlToText(xml) {
+  return xml
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(parseInt(count) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(?:p|h)>/g, '\n')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<\/table:table-row>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(?:lt|gt|quot|apos|amp);/g, entity => XML_ENTITIES[entity]);
+}
+
+class ODTParser {
+  async extractText(buffer, filename) {
+    try {
+      logger.info('Starting ODT text extraction:', { filename });
+
+      const zip = new AdmZip(buffer);
+      const contentEntry = zip.getEntry('content.xml');
+
+      if (!contentEntry) {
+        throw new Error('Invalid ODT: missing content.xml');
+      }
+
+      const rawText = odfXmlToText(readZipEntry(contentEntry, MAX_DOCUMENT_EXPANDED_SIZE).toString('utf8'));
+
+      if (!rawText || rawText.trim().length === 0) {
+        throw new Error('No text content found in ODT');
+      }
+
+      const cleanText = sanitizeText(rawText);
+
+      // Page count is only available when the authoring application recorded it
+      const metaEntry = zip.getEntry('meta.xml');
+      const pageMatch = metaEntry && readZipEntry(metaEntry, MAX_DOCUMENT_EXPANDED_SIZE).toString('utf8').match(/meta:page-count="(\d+)"/);
+
+      const extractedData = {
+        text: cleanText,
+        rawText: rawText,
+        metadata: {
+          pages: pageMatch ? parseInt(pageMatch[1]) : null,
+          info: {},
+          version: null,
+          wordCount: cleanText.split(/\s+/).length,
+          charCount: cleanText.length
+        }
+      };
+
+      logger.info('ODT text extraction completed:', {
+        filename,
+        pages: extractedData.metadata.pages,
+        wordCount: extractedData.metadata.wordCount,
+        charCount: extractedData.metadata.charCount
+      });
+
+      return extractedData;
+
+    } catch (error) {
+      logger.error('ODT text extraction failed:', {
+        filename,
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (error.message.includes('Invalid ODT')) {
+        throw new Error('Invalid ODT file format');
+      } else if (error.message.includes('No text content')) {
+        throw new Error('Document contains no readable text content');
+      } else {
+        throw new Error(`Failed to extract text from ODT: ${error.message}`);
+      }
+    }
+  }
+
+  async validate(buffer) {
+    try {
+      const zip = new AdmZip(buffer);
+      const mimetypeEntry = zip.getEntry('mimetype');
+
+      if (!mimetypeEntry || readZipEntry(mimetypeEntry, MAX_DOCUMENT_EXPANDED_SIZE).toString('utf8').trim() !== ODT_MIMETYPE) {
+        return { isValid: false, error: 'Not an OpenDocument text file' };
+      }
+
+      if (!zip.getEntry('content.xml')) {
+        return { isValid: false, error: 'ODT archive is missing its document body' };
+      }
+
+      const manifestEntry = zip.getEntry('META-INF/manifest.xml');
+      if (manifestEntry && readZipEntry(manifestEntry, MAX_DOCUMENT_EXPANDED_SIZE).toString('utf8').includes('manifest:encryption-data')) {
+        return { isValid: false, error: 'Document is password protected or encrypted' };
+      }
+
+      checkZipEntries(zip, MAX_DOCUMENT_EXPANDED_SIZE);
+
+      return { isValid: true };
+
+    } catch (error) {
+      if (error.code === 'ZIP_ENTRY_TOO_LARGE') {
+        return { isValid: false, error: `Document expands to more than ${MAX_DOCUMENT_EXPANDED_SIZE / 1024 / 1024}MB` };
+      }
+      return {
+        isValid: false,
+        error: `ODT validation failed: ${error.message}`
+      };
+    }
+  }
+}
+
+module.exports = new ODTParser();
+module.exports.ODT_MIMETYPE = ODT_MIMETYPE;
@@ -170,12 +170,6 @@ class PDFParser {
         }
       }
 
-      const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
-      const emails = text.match(emailRegex);
-      if (emails && emails.length > 0) {
-        foundSkills.push(...emails);
-      }
-
       return [...new Set(foundSkills)]; // Remove duplicates
 
     } catch (error) {
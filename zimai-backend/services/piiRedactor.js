@@ -0,0 +1,125 @@
+const pdfParser = require('./pdfParser');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Contact details go first so e-mail addresses and profile URLs are removed whole,
+// before name parts inside them are replaced
+const CONTACT_RULES = [
+  {
+    type: 'email',
+    placeholder: '[EMAIL]',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'link',
+    placeholder: '[LINK]',
+    pattern: /\b(?:https?:\/\/|www\.)[^\s,;]+|\b(?:linkedin\.com|github\.com|facebook\.com|twitter\.com|x\.com)\/[^\s,;]+/gi
+  },
+  {
+    // Only phone-shaped numbers: an international "+" prefix, a leading trunk 0 ("077 123 4567",
+    // "(024) 270 1234") or 3-3-4 groups ("555-123-4567"). Bare digit runs such as salaries stay.
+    type: 'phone',
+    placeholder: '[PHONE]',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[-.\s]?\(?\d{1,4}\)?(?:[-.\s]?\d{2,4}){2,4}|\(?0\d{1,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{3,4}|\(?\d{3}\)?[-.\s]\d{3}[-.\s]\d{4})(?!\d)/g
+  }
+];
+
+// "12/03/1990", "1990-03-12", "12th March 1990", "March 12, 1990" or a bare year
+const DATE = '(?:\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}|\\d{4}[./-]\\d{1,2}[./-]\\d{1,2}' +
+  '|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?,?\\s+\\d{4}' +
+  '|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}' +
+  '|(?:19|20)\\d{2})\\b';
+
+// Protected characteristics and addresses, applied after the name and location from extractBasicInfo.
+// Order matters: labelled dates ("Date of Birth: ...") go before the bare patterns they contain. Rules
+// replace only the personal detail itself, since the text around it is what the resume is scored on.
+const RULES = [
+  {
+    type: 'date_of_birth',
+    placeholder: '[DATE OF BIRTH]',
+    pattern: new RegExp(`\\b(?:date\\s+of\\s+birth|d\\.?o\\.?b|born(?:\\s+(?:on|in))?)\\b\\.?\\s*[:-]?\\s*${DATE}`, 'gi')
+  },
+  {
+    type: 'age',
+    placeholder: '[AGE]',
+    pattern: /\b(?:age[d]?\s*[:-]?\s*\d{2}\b(?:\s*years?)?|\d{2}\s*(?:years?|yrs?)[\s-]*old\b)/gi
+  },
+  {
+    type: 'gender',
+    placeholder: '[GENDER]',
+    pattern: /\b(?:gender|sex)\s*[:-]\s*\w+|\b(?:marital\s+status)\s*[:-]\s*\w+/gi
+  },
+  {
+    type: 'gender',
+    placeholder: '[GENDER]',
+    pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx)\.?(?=\s+[A-Z[])/g
+  },
+  {
+    type: 'gender',
+    placeholder: '[PRONOUN]',
+    pattern: /\b(?:he|she|him|her|his|hers|himself|herself)\b/gi
+  },
+  {
+    type: 'photo',
+    placeholder: '[PHOTO]',
+    pattern: /\b(?:passport[\s-]*(?:size[d]?\s+)?(?:photo(?:graph)?|picture)(?:\s+(?:attached|enclosed|below|above))?|(?:photo(?:graph)?|picture|headshot)\s+(?:attached|enclosed|below|above)|headshot)\b/gi
+  },
+  {
+    type: 'address',
+    placeholder: '[ADDRESS]',
+    pattern: /\b(?:home\s+|residential\s+|postal\s+)?address\s*[:-][^\n]*/gi
+  },
+  {
+    type: 'address',
+    placeholder: '[ADDRESS]',
+    // Case-sensitive, with each spelling of the suffixes listed, so only capitalised street names
+    // match: "14 Samora Machel Avenue", never "30 percent along the way"
+    pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|street|STREET|St|ST|Road|road|ROAD|Rd|RD|Avenue|avenue|AVENUE|Ave|AVE|Drive|drive|DRIVE|Dr|DR|Lane|lane|LANE|Ln|LN|Close|close|CLOSE|Crescent|crescent|CRESCENT|Way|way|WAY|Boulevard|boulevard|BOULEVARD|Blvd|BLVD)\b\.?/g
+  }
+];
+
+// Blind screening: strips identity and protected characteristics from resume text before it is
+// sent for scoring. The redacted text is stored so reviewers can see exactly what was scored.
+class PIIRedactor {
+  async redact(text, basicInfo = null) {
+    const info = basicInfo || await pdfParser.extractBasicInfo(text);
+    const counts = {};
+    let redacted = text || '';
+
+    const replace = (type, pattern, placeholder) => {
+      redacted = redacted.replace(pattern, () => {
+        counts[type] = (counts[type] || 0) + 1;
+        return placeholder;
+      });
+    };
+
+    for (const rule of CONTACT_RULES) {
+      replace(rule.type, rule.pattern, rule.placeholder);
+    }
+
+    // Full name before its parts so counts reflect mentions rather than tokens
+    if (info.candidateName) {
+      replace('name', new RegExp(escapeRegExp(info.candidateName), 'gi'), '[NAME]');
+
+      // Surname-only mentions ("Mr Moyo", "Moyo's portfolio")
+      for (const part of info.candidateName.split(/\s+/).filter(part => part.length > 2)) {
+        replace('name', new RegExp(`\\b${escapeRegExp(part)}\\b`, 'gi'), '[NAME]');
+      }
+    }
+
+    if (info.location) {
+      replace('location', new RegExp(escapeRegExp(info.location), 'gi'), '[LOCATION]');
+    }
+
+    for (const rule of RULES) {
+      replace(rule.type, rule.pattern, rule.placeholder);
+    }
+
+    return {
+      text: redacted,
+      redactions: counts
+    };
+  }
+}
+
+module.exports = new PIIRedactor();
@@ -0,0 +1,96 @@
+const piiRedactor = require('./piiRedactor');
+
+const redact = (text, basicInfo = {}) => piiRedactor.redact(text, basicInfo);
+
+describe('piiRedactor', () => {
+  describe('phone numbers', () => {
+    it.each([
+      ['international numbers', 'Call +263 77 123 4567 today', 'Call [PHONE] today'],
+      ['international numbers without spaces', 'Phone: +263771234567', 'Phone: [PHONE]'],
+      ['international numbers with a bracketed area code', '+1 (555) 123-4567', '[PHONE]'],
+      ['local numbers with a trunk zero', 'Mobile: 0771234567.', 'Mobile: [PHONE].'],
+      ['landlines with a bracketed area code', 'Tel (024) 270 1234', 'Tel [PHONE]'],
+      ['numbers in 3-3-4 groups', 'US: (555) 123-4567 or 555.123.4567', 'US: [PHONE] or [PHONE]']
+    ])('redacts %s', async (_, text, expected) => {
+      const result = await redact(text);
+
+      expect(result.text).toBe(expected);
+      expect(result.redactions.phone).toBeGreaterThan(0);
+    });
+
+    it.each([
+      ['salaries', 'Salary 120000 150000'],
+      ['formatted amounts', 'Budget of 1,200,000 USD'],
+      ['year ranges', 'Worked 2015-2019 and 2019 - 2021'],
+      ['bare digit runs', 'Ref 1234567'],
+      ['version numbers', 'Version 1.2.3456 released'],
+      ['grades', 'GPA 3.75 out of 4.00']
+    ])('leaves %s alone', async (_, text) => {
+      const result = await redact(text);
+
+      expect(result.text).toBe(text);
+      expect(result.redactions.phone).toBeUndefined();
+    });
+  });
+
+  it('removes contact details before the name parts inside them', async () => {
+    const result = await redact('Tendai Moyo, tendai.moyo@example.com, linkedin.com/in/tendai-moyo', {
+      candidateName: 'Tendai Moyo'
+    });
+
+    expect(result.text).toBe('[NAME], [EMAIL], [LINK]');
+    expect(result.redactions).toEqual({ email: 1, link: 1, name: 1 });
+  });
+
+  it('redacts surname-only mentions, location and protected characteristics', async () => {
+    const text = [
+      'Mr Moyo led the team. His work in Harare was recognised.',
+      'Date of Birth: 12/03/1990',
+      'Gender: Male',
+      'Address: 14 Samora Machel Avenue'
+    ].join('\n');
+
+    const result = await redact(text, { candidateName: 'Tendai Moyo', location: 'Harare' });
+
+    expect(result.text).toBe([
+      '[GENDER] [NAME] led the team. [PRONOUN] work in [LOCATION] was recognised.',
+      '[DATE OF BIRTH]',
+      '[GENDER]',
+      '[ADDRESS]'
+    ].join('\n'));
+    expect(result.redactions).toMatchObject({ name: 1, location: 1, date_of_birth: 1, address: 1 });
+  });
+
+  describe('dates of birth, photos and street addresses', () => {
+    it.each([
+      ['labelled dates', 'DOB: 12/03/1990, Nationality: Zimbabwean', '[DATE OF BIRTH], Nationality: Zimbabwean'],
+      ['written dates', 'Born on 12th March 1990 and raised in Bulawayo', '[DATE OF BIRTH] and raised in Bulawayo'],
+      ['ISO dates', 'D.O.B. 1990-03-12 | Single', '[DATE OF BIRTH] | Single'],
+      ['a birth year', 'Born in 1990; fluent in Shona', '[DATE OF BIRTH]; fluent in Shona'],
+      ['photo references', 'Passport photo attached. Available immediately.', '[PHOTO]. Available immediately.'],
+      ['street addresses', 'Lives at 12 Baker Street, near the station', 'Lives at [ADDRESS], near the station'],
+      ['abbreviated streets', 'Office: 7 Jason Moyo Ave. Harare', 'Office: [ADDRESS] Harare']
+    ])('replaces only %s', async (_, text, expected) => {
+      const result = await redact(text);
+
+      expect(result.text).toBe(expected);
+    });
+
+    it.each([
+      ['percentages with a trailing "way"', 'Cut cloud costs by 30 percent along the way.'],
+      ['counts followed by lower-case words', 'Moved 12 teams onto a new way of working and 3 services off the old road map'],
+      ['"born" without a date', 'Born leader who shipped 4 products in 2019'],
+      ['photography skills', 'Led photo editing and photography workshops for 20 staff'],
+      ['years of experience', 'Joined in 2015 and was promoted in 2018']
+    ])('leaves %s alone', async (_, text) => {
+      const result = await redact(text);
+
+      expect(result.text).toBe(text);
+      expect(result.redactions).toEqual({});
+    });
+  });
+
+  it('returns empty text for a missing resume', async () => {
+    await expect(redact(null)).resolves.toEqual({ text: '', redactions: {} });
+  });
+});
@@ -0,0 +1,217 @@
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Used by jobs that do not configure their own pipeline. The first stage is where every
+// processed candidate starts.
+const DEFAULT_PIPELINE = {
+  stages: [
+    { key: 'new', name: 'New' },
+    { key: 'shortlisted', name: 'Shortlisted' },
+    { key: 'phone_screen', name: 'Phone screen' },
+    { key: 'interview', name: 'Interview' },
+    { key: 'offer', name: 'Offer' },
+    { key: 'hired', name: 'Hired' },
+    { key: 'rejected', name: 'Rejected' }
+  ],
+  transitions: {
+    new: ['shortlisted', 'phone_screen', 'rejected'],
+    shortlisted: ['phone_screen', 'interview', 'rejected'],
+    phone_screen: ['interview', 'rejected'],
+    interview: ['offer', 'rejected'],
+    offer: ['hired', 'rejected'],
+    hired: [],
+    rejected: ['new']
+  }
+};
+
+// Codes on rejected moves; anything else thrown during a move is an unexpected failure
+const ERROR_CODES = ['NOT_IN_PIPELINE', 'INVALID_STAGE', 'TRANSITION_NOT_ALLOWED', 'STAGE_CONFLICT'];
+
+const pipelineError = (message, code, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+// Hiring stages per job. A candidate's stage lives on resumes.pipeline_stage (null until the first
+// move) and each move is checked against the job's allowed transitions and recorded in the stage history.
+class PipelineService {
+  get defaults() {
+    return DEFAULT_PIPELINE;
+  }
+
+  isRejection(error) {
+    return ERROR_CODES.includes(error.code);
+  }
+
+  pipelineFor(job) {
+    return job?.pipeline || DEFAULT_PIPELINE;
+  }
+
+  initialStage(pipeline) {
+    return pipeline.stages[0].key;
+  }
+
+  hasStage(pipeline, stage) {
+    return pipeline.stages.some(({ key }) => key === stage);
+  }
+
+  // A stage the pipeline does not have (e.g. it was removed when the job's pipeline was edited) counts as the first stage
+  stageOf(resume, pipeline) {
+    return this.hasStage(pipeline, resume.pipeline_stage) ? resume.pipeline_stage : this.initialStage(pipeline);
+  }
+
+  allowedMoves(pipeline, fromStage) {
+    return pipeline.transitions[fromStage] || [];
+  }
+
+  // Checks that transitions only name configured stages; returns an error message or null
+  validate(pipeline) {
+    for (const [from, targets] of Object.entries(pipeline.transitions)) {
+      if (!this.hasStage(pipeline, from)) {
+        return `transitions refers to unknown stage "${from}"`;
+      }
+
+      const unknown = targets.find(stage => !this.hasStage(pipeline, stage));
+      if (unknown) {
+        return `transitions.${from} refers to unknown stage "${unknown}"`;
+      }
+
+      if (targets.includes(from)) {
+        return `transitions.${from} cannot include the stage itself`;
+      }
+    }
+
+    return null;
+  }
+
+  // Candidates per stage for one job, every configured stage included
+  async stageCounts(job) {
+    const pipeline = this.pipelineFor(job);
+    const counts = Object.fromEntries(pipeline.stages.map(({ key }) => [key, 0]));
+
+    const rows = await dbQueries.getPipelineStageCounts(job.company_id, job.id);
+    for (const row of rows) {
+      counts[this.stageOf({ pipeline_stage: row.stage }, pipeline)] += row.count;
+    }
+
+    return counts;
+  }
+
+  // Counts for every active job of a company, from one query
+  async companyStageCounts(companyId) {
+    const [jobs, rows] = await Promise.all([
+      dbQueries.getJobsByCompany(companyId),
+      dbQueries.getPipelineStageCounts(companyId)
+    ]);
+
+    return jobs.map(job => {
+      const pipeline = this.pipelineFor(job);
+      const counts = Object.fromEntries(pipeline.stages.map(({ key }) => [key, 0]));
+
+      rows
+        .filter(row => row.job_id === job.id)
+        .forEach(row => {
+          counts[this.stageOf({ pipeline_stage: row.stage }, pipeline)] += row.count;
+        });
+
+      return {
+        jobId: job.id,
+        title: job.title,
+        counts,
+        total: Object.values(counts).reduce((total, count) => total + count, 0)
+      };
+    });
+  }
+
+  // Only processed resumes scored against the job are in its pipeline
+  async move(resume, job, toStage, { actorId = null, reason = null } = {}) {
+    if (resume.job_id !== job.id || resume.status !== 'processed') {
+      throw pipelineError('Resume is not a processed candidate for this job', 'NOT_IN_PIPELINE');
+    }
+
+    const pipeline = this.pipelineFor(job);
+
+    if (!this.hasStage(pipeline, toStage)) {
+      throw pipelineError(`Unknown stage "${toStage}"`, 'INVALID_STAGE', {
+        stages: pipeline.stages.map(({ key }) => key)
+      });
+    }
+
+    const fromStage = this.stageOf(resume, pipeline);
+    const allowed = this.allowedMoves(pipeline, fromStage);
+
+    if (!allowed.includes(toStage)) {
+      throw pipelineError(`Cannot move a candidate from "${fromStage}" to "${toStage}"`, 'TRANSITION_NOT_ALLOWED', {
+        fromStage,
+        allowed
+      });
+    }
+
+    // Applies only if the stored stage is still the one read above, so two recruiters
+    // moving the same candidate cannot both succeed
+    const change = await dbQueries.moveResumeStage(resume, {
+      jobId: job.id,
+      fromStage,
+      toStage,
+      movedBy: actorId,
+      reason
+    });
+
+    if (!change) {
+      throw pipelineError('Candidate was moved by someone else; reload and try again', 'STAGE_CONFLICT');
+    }
+
+    await dbQueries.logAnalyticsEvent(resume.company_id, 'candidate_stage_changed', {
+      resumeId: resume.id,
+      jobId: job.id,
+      fromStage,
+      toStage
+    });
+
+    return {
+      resumeId: resume.id,
+      fromStage,
+      toStage,
+      movedBy: change.moved_by,
+      reason: change.reason,
+      movedAt: change.created_at
+    };
+  }
+
+  // Moves each candidate independently; one rejected move does not stop the rest
+  async moveMany(companyId, job, resumeIds, toStage, options = {}) {
+    const results = [];
+
+    for (const resumeId of resumeIds) {
+      try {
+        const resume = await dbQueries.getResumeById(resumeId);
+
+        if (!resume || resume.company_id !== companyId) {
+          results.push({ resumeId, success: false, error: 'Resume not found or access denied' });
+          continue;
+        }
+
+        results.push({ success: true, ...(await this.move(resume, job, toStage, options)) });
+      } catch (error) {
+        if (!this.isRejection(error)) {
+          logger.error(`Stage change failed for resume ${resumeId}:`, error);
+        }
+        results.push({ resumeId, success: false, error: error.message, ...(this.isRejection(error) && { code: error.code }) });
+      }
+    }
+
+    const moved = results.filter(result => result.success).length;
+    return {
+      results,
+      summary: {
+        total: resumeIds.length,
+        moved,
+        failed: resumeIds.length - moved
+      }
+    };
+  }
+}
+
+module.exports = new PipelineService();
@@ -0,0 +1,159 @@
+jest.mock('../supabase/queries', () => ({
+  moveResumeStage: jest.fn(),
+  logAnalyticsEvent: jest.fn(),
+  getResumeById: jest.fn()
+}));
+
+const dbQueries = require('../supabase/queries');
+const pipelineService = require('./pipelineService');
+
+const JOB = { id: 'job-1', company_id: 'company-1', pipeline: null };
+
+const resume = (fields = {}) => ({
+  id: 'resume-1',
+  company_id: 'company-1',
+  job_id: 'job-1',
+  status: 'processed',
+  pipeline_stage: null,
+  ...fields
+});
+
+const change = { moved_by: 'user-1', reason: 'Strong portfolio', created_at: '2026-10-19T08:00:00Z' };
+
+const rejectionOf = (promise) => promise.then(
+  () => { throw new Error('Expected the move to be rejected'); },
+  error => error
+);
+
+describe('pipelineService.move', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbQueries.moveResumeStage.mockResolvedValue(change);
+    dbQueries.logAnalyticsEvent.mockResolvedValue(null);
+  });
+
+  it('moves a new candidate from the first stage and records the change', async () => {
+    const result = await pipelineService.move(resume(), JOB, 'shortlisted', { actorId: 'user-1', reason: 'Strong portfolio' });
+
+    expect(result).toEqual({
+      resumeId: 'resume-1',
+      fromStage: 'new',
+      toStage: 'shortlisted',
+      movedBy: 'user-1',
+      reason: 'Strong portfolio',
+      movedAt: '2026-10-19T08:00:00Z'
+    });
+    expect(dbQueries.moveResumeStage).toHaveBeenCalledWith(resume(), {
+      jobId: 'job-1',
+      fromStage: 'new',
+      toStage: 'shortlisted',
+      movedBy: 'user-1',
+      reason: 'Strong portfolio'
+    });
+    expect(dbQueries.logAnalyticsEvent).toHaveBeenCalledWith('company-1', 'candidate_stage_changed', {
+      resumeId: 'resume-1',
+      jobId: 'job-1',
+      fromStage: 'new',
+      toStage: 'shortlisted'
+    });
+  });
+
+  it('uses the job pipeline when it has one', async () => {
+    const job = {
+      ...JOB,
+      pipeline: {
+        stages: [{ key: 'applied', name: 'Applied' }, { key: 'assessment', name: 'Assessment' }],
+        transitions: { applied: ['assessment'], assessment: [] }
+      }
+    };
+
+    const result = await pipelineService.move(resume({ pipeline_stage: 'applied' }), job, 'assessment');
+
+    expect(result).toMatchObject({ fromStage: 'applied', toStage: 'assessment' });
+  });
+
+  it.each([
+    ['scored against another job', { job_id: 'job-2' }],
+    ['not scored against a job', { job_id: null }],
+    ['still processing', { status: 'processing' }]
+  ])('refuses resumes %s', async (_, fields) => {
+    const error = await rejectionOf(pipelineService.move(resume(fields), JOB, 'shortlisted'));
+
+    expect(error.code).toBe('NOT_IN_PIPELINE');
+    expect(pipelineService.isRejection(error)).toBe(true);
+    expect(dbQueries.moveResumeStage).not.toHaveBeenCalled();
+  });
+
+  it('refuses stages the pipeline does not have', async () => {
+    const error = await rejectionOf(pipelineService.move(resume(), JOB, 'onboarding'));
+
+    expect(error).toMatchObject({
+      message: 'Unknown stage "onboarding"',
+      code: 'INVALID_STAGE',
+      stages: ['new', 'shortlisted', 'phone_screen', 'interview', 'offer', 'hired', 'rejected']
+    });
+  });
+
+  it('refuses transitions the pipeline does not allow', async () => {
+    const error = await rejectionOf(pipelineService.move(resume({ pipeline_stage: 'phone_screen' }), JOB, 'hired'));
+
+    expect(error).toMatchObject({
+      message: 'Cannot move a candidate from "phone_screen" to "hired"',
+      code: 'TRANSITION_NOT_ALLOWED',
+      fromStage: 'phone_screen',
+      allowed: ['interview', 'rejected']
+    });
+    expect(dbQueries.moveResumeStage).not.toHaveBeenCalled();
+  });
+
+  it('treats a stage removed from the pipeline as the first stage', async () => {
+    const result = await pipelineService.move(resume({ pipeline_stage: 'take_home' }), JOB, 'phone_screen');
+
+    expect(result.fromStage).toBe('new');
+    expect(dbQueries.moveResumeStage).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ fromStage: 'new' }));
+  });
+
+  it('reports a conflict when the candidate was moved in the meantime', async () => {
+    dbQueries.moveResumeStage.mockResolvedValue(null);
+
+    const error = await rejectionOf(pipelineService.move(resume(), JOB, 'shortlisted'));
+
+    expect(error.code).toBe('STAGE_CONFLICT');
+    expect(dbQueries.logAnalyticsEvent).not.toHaveBeenCalled();
+  });
+
+  it('passes database failures through as unexpected errors', async () => {
+    dbQueries.moveResumeStage.mockRejectedValue(new Error('connection refused'));
+
+    const error = await rejectionOf(pipelineService.move(resume(), JOB, 'shortlisted'));
+
+    expect(error.message).toBe('connection refused');
+    expect(pipelineService.isRejection(error)).toBe(false);
+  });
+});
+
+describe('pipelineService.moveMany', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbQueries.moveResumeStage.mockResolvedValue(change);
+    dbQueries.logAnalyticsEvent.mockResolvedValue(null);
+  });
+
+  it('moves each candidate independently', async () => {
+    dbQueries.getResumeById.mockImplementation(async (id) => ({
+      'resume-1': resume(),
+      'resume-2': resume({ id: 'resume-2', pipeline_stage: 'hired' }),
+      'resume-3': resume({ id: 'resume-3', company_id: 'company-2' })
+    })[id] || null);
+
+    const { results, summary } = await pipelineService.moveMany('company-1', JOB, ['resume-1', 'resume-2', 'resume-3', 'resume-4'], 'shortlisted');
+
+    expect(results.map(({ resumeId, success, code }) => [resumeId, success, code])).toEqual([
+      ['resume-1', true, undefined],
+      ['resume-2', false, 'TRANSITION_NOT_ALLOWED'],
+      ['resume-3', false, undefined],
+      ['resume-4', false, undefined]
+    ]);
+    expect(summary).toEqual({ total: 4, moved: 1, failed: 3 });
+  });
+});
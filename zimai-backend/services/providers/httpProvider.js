@@ -0,0 +1,89 @@
+// Chat completion against any OpenAI-compatible HTTP endpoint (vLLM, Ollama, LM Studio, llama.cpp server...)
+class HTTPProvider {
+  constructor({ baseUrl, apiKey, model, timeout = 60000, jsonMode = true } = {}) {
+    if (!baseUrl) {
+      throw new Error('LLM_HTTP_BASE_URL is required for the http provider');
+    }
+
+    this.name = 'http';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+    this.jsonMode = jsonMode;
+  }
+
+  async completeJSON({ system, prompt, maxTokens, temperature }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ],
+          max_tokens: maxTokens,
+          temperature,
+          // Some self-hosted servers reject response_format, so it can be switched off
+          ...(this.jsonMode && { response_format: { type: 'json_object' } })
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`LLM endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+      }
+
+      const completion = await response.json();
+      const content = completion.choices?.[0]?.message?.content;
+
+      if (!content) {
+        throw new Error('LLM endpoint returned an empty completion');
+      }
+
+      return {
+        data: this.parseJSON(content),
+        model: completion.model || this.model,
+        provider: this.name,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`LLM endpoint timed out after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Models without a JSON mode often wrap the object in prose or code fences
+  parseJSON(content) {
+    const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : content;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+
+    if (start === -1 || end === -1) {
+      throw new Error('LLM response did not contain a JSON object');
+    }
+
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+module.exports = HTTPProvider;
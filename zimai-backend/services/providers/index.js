@@ -0,0 +1,56 @@
+const OpenAIProvider = require('./openaiProvider');
+const HTTPProvider = require('./httpProvider');
+const LocalProvider = require('./localProvider');
+const logger = require('../../utils/logger');
+
+// Providers are created lazily so a missing key only matters for the provider actually used
+const FACTORIES = {
+  openai: () => new OpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  http: () => new HTTPProvider({
+    baseUrl: process.env.LLM_HTTP_BASE_URL,
+    apiKey: process.env.LLM_HTTP_API_KEY,
+    model: process.env.LLM_HTTP_MODEL,
+    timeout: parseInt(process.env.LLM_HTTP_TIMEOUT_MS) || 60000,
+    jsonMode: process.env.LLM_HTTP_JSON_MODE !== 'false'
+  }),
+  local: () => new LocalProvider()
+};
+
+const instances = {};
+
+const getProvider = (name) => {
+  if (!FACTORIES[name]) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = FACTORIES[name]();
+  }
+
+  return instances[name];
+};
+
+// Per-company setting wins over the environment default (LLM_PROVIDER)
+const resolveProvider = (company = null) => {
+  const defaultName = process.env.LLM_PROVIDER || 'openai';
+  const companyName = company?.llm_provider;
+
+  if (companyName && !FACTORIES[companyName]) {
+    logger.warn('Ignoring unknown company LLM provider:', {
+      companyId: company.id,
+      provider: companyName
+    });
+    return getProvider(defaultName);
+  }
+
+  return getProvider(companyName || defaultName);
+};
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  availableProviders: Object.keys(FACTORIES)
+};
@@ -0,0 +1,36 @@
+const OpenAI = require('openai');
+
+// Chat completion with JSON output through the official OpenAI SDK
+class OpenAIProvider {
+  constructor({ apiKey, model, baseURL } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  async completeJSON({ system, prompt, maxTokens, temperature }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      response_format: { type: 'json_object' }
+    });
+
+    return {
+      data: JSON.parse(completion.choices[0].message.content),
+      model: completion.model || this.model,
+      provider: this.name,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
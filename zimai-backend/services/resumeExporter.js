@@ -0,0 +1,153 @@
+const ExcelJS = require('exceljs');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 500;
+
+// Exportable columns in default order
+const COLUMNS = {
+  candidateName: { header: 'Candidate Name', value: r => r.candidate_name },
+  email: { header: 'Email', value: r => r.candidate_email },
+  phone: { header: 'Phone', value: r => r.candidate_phone },
+  filename: { header: 'File', value: r => r.filename },
+  status: { header: 'Status', value: r => r.status },
+  score: { header: 'Score', value: r => r.score },
+  recommendation: { header: 'Recommendation', value: r => r.recommendation },
+  fitScore: { header: 'Fit Score', value: r => r.fit_score },
+  skillsScore: { header: 'Skills', value: r => r.score_breakdown?.skills },
+  experienceScore: { header: 'Experience', value: r => r.score_breakdown?.experience },
+  educationScore: { header: 'Education', value: r => r.score_breakdown?.education },
+  relevanceScore: { header: 'Relevance', value: r => r.score_breakdown?.relevance },
+  keywordMatches: { header: 'Keyword Matches', value: r => (r.keyword_matches || []).join('; ') },
+  experienceYears: { header: 'Experience (Years)', value: r => r.experience_years },
+  skills: { header: 'Skills Listed', value: r => (r.candidate_profile?.skills || []).join('; ') },
+  educationLevel: { header: 'Education Level', value: r => r.education_level },
+  summary: { header: 'Summary', value: r => r.ai_summary },
+  scoringMethod: { header: 'Scoring Method', value: r => r.scoring_method },
+  jobId: { header: 'Job ID', value: r => r.job_id },
+  processedAt: { header: 'Processed At', value: r => r.processed_at },
+  createdAt: { header: 'Uploaded At', value: r => r.created_at },
+  resumeId: { header: 'Resume ID', value: r => r.id }
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Quote fields for CSV and neutralise spreadsheet formulas (=, +, -, @) in candidate-supplied text
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Waits until the response takes more data. A client that disconnects never drains, so 'close' and
+// 'error' end the wait too; callers check res.destroyed afterwards.
+const drained = (res) => new Promise(resolve => {
+  if (res.destroyed) return resolve();
+
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+  res.on('error', done);
+});
+
+class ResumeExporter {
+  get columns() {
+    return Object.keys(COLUMNS);
+  }
+
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  // Page through matching resumes so memory stays flat regardless of export size
+  async *rows(companyId, filters, firstPage) {
+    let page = firstPage;
+    for (let offset = PAGE_SIZE; ; offset += PAGE_SIZE) {
+      yield* page;
+      if (page.length < PAGE_SIZE) return;
+      ({ resumes: page } = await dbQueries.getResumesByCompany(companyId, PAGE_SIZE, offset, filters));
+    }
+  }
+
+  async export(res, companyId, { format, columns = this.columns, filters = {} }) {
+    const selected = columns.map(key => ({ key, ...COLUMNS[key] }));
+    const { contentType, extension } = FORMATS[format];
+    const filename = `resumes-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    // Read the first page before any headers go out so query errors can still be reported as JSON
+    const { resumes: firstPage } = await dbQueries.getResumesByCompany(companyId, PAGE_SIZE, 0, filters);
+    const rows = this.rows(companyId, filters, firstPage);
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const count = format === 'xlsx'
+      ? await this.writeXLSX(res, selected, rows)
+      : await this.writeCSV(res, selected, rows);
+
+    logger.info('Resume export completed:', { companyId, format, rows: count, aborted: !res.writableEnded });
+    return count;
+  }
+
+  // Returns the number of rows written; stops paging as soon as the client disconnects
+  async writeCSV(res, columns, rows) {
+    // BOM so Excel opens UTF-8 names correctly
+    res.write('\uFEFF' + columns.map(column => csvField(column.header)).join(',') + '\r\n');
+
+    let count = 0;
+    for await (const resume of rows) {
+      if (res.destroyed) break;
+
+      const line = columns.map(column => csvField(column.value(resume))).join(',') + '\r\n';
+      count++;
+      if (!res.write(line)) {
+        await drained(res);
+      }
+    }
+
+    if (!res.destroyed) res.end();
+    return count;
+  }
+
+  async writeXLSX(res, columns, rows) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false
+    });
+    const sheet = workbook.addWorksheet('Resumes');
+    sheet.columns = columns.map(column => ({ header: column.header, key: column.key }));
+
+    // The workbook pipes into res, so a full response pauses it; waiting here keeps rows from piling up behind it
+    let count = 0;
+    for await (const resume of rows) {
+      if (res.destroyed) break;
+
+      sheet.addRow(columns.map(column => column.value(resume) ?? null)).commit();
+      count++;
+      if (res.writableNeedDrain) {
+        await drained(res);
+      }
+    }
+
+    if (res.destroyed) return count;
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+}
+
+module.exports = new ResumeExporter();
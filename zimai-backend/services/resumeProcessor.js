@@ -0,0 +1,341 @@
+const pdfParser = require('./pdfParser');
+const documentParser = require('./documentParser');
+const candidateProfile = require('./candidateProfile');
+const duplicateDetector = require('./duplicateDetector');
+const piiRedactor = require('./piiRedactor');
+const tokenLedger = require('./tokenLedger');
+const webhookDispatcher = require('./webhookDispatcher');
+const aiScorer = require('./aiScorer');
+const dbQueries = require('../supabase/queries');
+const supabase = require('../supabase/client');
+const logger = require('../utils/logger');
+
+// Processing stages recorded on the resume so clients can follow progress
+const STAGES = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  EXTRACTING: 'extracting',
+  SCORING: 'scoring',
+  SAVING: 'saving',
+  COMPLETED: 'completed'
+};
+
+// Errors that will fail the same way on every attempt
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+// Upload refused because the company's duplicate policy is 'reject'
+const duplicateError = (duplicate) => {
+  const error = permanentError(`Duplicate of resume ${duplicate.resumeId}`);
+  error.duplicate = duplicate;
+  return error;
+};
+
+class ResumeProcessor {
+  constructor() {
+    this.stages = STAGES;
+  }
+
+  // Validate, store and record an uploaded file in the 'uploaded' state picked up by the worker.
+  // Resolves to { resume, linked }; linked is true when an identical file was already uploaded
+  // and the existing record is returned instead of a new one.
+  // The stored resume holds one token from `reservation` (bulk uploads share one), or from a
+  // reservation made here; the worker commits it on success or releases it on final failure.
+  async enqueue(companyId, file, jobRequirements = null, { duplicatePolicy = 'link', reservation = null, actorId = null } = {}) {
+    const documentValidation = await documentParser.validate(file.buffer, file.format);
+    if (!documentValidation.isValid) {
+      throw permanentError(documentValidation.error);
+    }
+
+    const contentHash = duplicateDetector.contentHash(file.buffer);
+    const duplicate = await duplicateDetector.findFileDuplicate(companyId, jobRequirements?.id || null, contentHash);
+
+    if (duplicate) {
+      await dbQueries.logAnalyticsEvent(companyId, 'resume_duplicate_detected', {
+        duplicateOf: duplicate.resumeId,
+        type: duplicate.type,
+        policy: duplicatePolicy,
+        filename: file.originalname
+      });
+
+      if (duplicatePolicy === 'reject') {
+        throw duplicateError(duplicate);
+      }
+
+      if (duplicatePolicy === 'link') {
+        return { resume: duplicate.existing, linked: true };
+      }
+    }
+
+    const held = reservation || await tokenLedger.reserve(companyId, 1, {
+      operation: 'resume_processing',
+      actorId
+    });
+
+    try {
+      return await this.store(companyId, file, jobRequirements, { contentHash, duplicate, reservationId: held.id });
+    } catch (error) {
+      // A shared reservation is settled by the caller for every file it could not store
+      if (!reservation) {
+        await tokenLedger.releaseQuietly(held.id, { reason: error.message });
+      }
+      throw error;
+    }
+  }
+
+  async store(companyId, file, jobRequirements, { contentHash, duplicate, reservationId }) {
+    // Upload to Supabase Storage with the original format preserved
+    const fileName = `${companyId}/${file.uniqueFilename}`;
+    const { data: uploadData, error: uploadError } = await supabase.storage
+      .from('resumes')
+      .upload(fileName, file.buffer, {
+        contentType: file.contentType,
+        upsert: false
+      });
+
+    if (uploadError) {
+      throw new Error(`File upload failed: ${uploadError.message}`);
+    }
+
+    const { data: resumeData, error: dbError } = await supabase
+      .from('resumes')
+      .insert({
+        company_id: companyId,
+        filename: file.originalname,
+        file_path: uploadData.path,
+        file_size: file.size,
+        content_type: file.contentType,
+        content_hash: contentHash,
+        duplicate_of: duplicate ? duplicate.resumeId : null,
+        duplicate_match: duplicate ? { type: duplicate.type, reasons: duplicate.reasons, similarity: 1 } : null,
+        job_id: jobRequirements?.id || null,
+        token_reservation_id: reservationId,
+        status: 'uploaded',
+        processing_stage: STAGES.QUEUED,
+        attempts: 0
+      })
+      .select()
+      .single();
+
+    if (dbError) {
+      throw new Error(`Database error: ${dbError.message}`);
+    }
+
+    await dbQueries.logAnalyticsEvent(companyId, 'resume_uploaded', {
+      resumeId: resumeData.id,
+      filename: file.originalname,
+      jobId: resumeData.job_id
+    });
+
+    return { resume: resumeData, linked: false };
+  }
+
+  // Download, extract, score and persist a resume that has already been claimed.
+  // The resume's token is committed once the score is saved and released if it turns out to be a duplicate.
+  // A re-score runs the same pipeline on an already scored resume and adds a new score version.
+  async process(resume, jobRequirements = null, { rescore = false, actorId = null } = {}) {
+    const operation = rescore ? 'resume_rescore' : 'resume_processing';
+    const companyId = resume.company_id;
+
+    const company = await dbQueries.getCompanyById(companyId);
+    if (!company) {
+      throw permanentError('Company not found');
+    }
+
+    // Resumes uploaded before reservations existed, or whose token was already settled, reserve one now
+    const held = Boolean(resume.token_reservation_id);
+    const reservationId = held
+      ? resume.token_reservation_id
+      : (await tokenLedger.reserve(companyId, 1, { operation, resumeId: resume.id, actorId })).id;
+
+    let outcome;
+    try {
+      outcome = await this.run(resume, company, jobRequirements, { rescore, actorId });
+    } catch (error) {
+      // A held token stays reserved while the worker retries; releaseToken settles it on final failure
+      if (!held) {
+        await tokenLedger.releaseQuietly(reservationId, { amount: 1, reason: error.message, resumeId: resume.id });
+      }
+      throw error;
+    }
+
+    if (outcome.duplicate) {
+      await tokenLedger.release(reservationId, { amount: 1, reason: 'duplicate', resumeId: resume.id });
+    } else {
+      await tokenLedger.commit(reservationId, { operation, resumeId: resume.id });
+    }
+
+    if (held) {
+      await dbQueries.clearResumeReservation(resume.id);
+    }
+
+    return outcome;
+  }
+
+  // Run a re-score queued by the rescore endpoint against the job and for the user it was requested with
+  async rescore(resume) {
+    const { jobId, requestedBy } = resume.rescore_request;
+
+    const jobRequirements = jobId ? await dbQueries.getJobRequirements(resume.company_id, jobId) : null;
+    if (jobId && !jobRequirements) {
+      throw permanentError('Job not found or no longer active');
+    }
+
+    return this.process(resume, jobRequirements, { rescore: true, actorId: requestedBy });
+  }
+
+  // Return the token held by a resume that will not be processed (final failure or deletion)
+  async releaseToken(resume, reason) {
+    if (!resume.token_reservation_id) return;
+
+    await tokenLedger.releaseQuietly(resume.token_reservation_id, { amount: 1, reason, resumeId: resume.id });
+    await dbQueries.clearResumeReservation(resume.id);
+  }
+
+  async run(resume, company, jobRequirements, { rescore, actorId }) {
+    const startTime = Date.now();
+    const companyId = resume.company_id;
+
+    await dbQueries.updateResumeProgress(resume.id, STAGES.DOWNLOADING);
+    const { data: fileData, error: downloadError } = await supabase.storage
+      .from('resumes')
+      .download(resume.file_path);
+
+    if (downloadError) {
+      throw new Error(`File download failed: ${downloadError.message}`);
+    }
+
+    await dbQueries.updateResumeProgress(resume.id, STAGES.EXTRACTING);
+    const buffer = Buffer.from(await fileData.arrayBuffer());
+
+    let extractedData;
+    try {
+      extractedData = await documentParser.extractText(buffer, resume.filename);
+    } catch (error) {
+      throw permanentError(error.message);
+    }
+    const basicInfo = await pdfParser.extractBasicInfo(extractedData.text);
+    const profile = await candidateProfile.build(extractedData.text, basicInfo);
+
+    // Resumes already flagged as a file duplicate at upload were explicitly sent for reprocessing,
+    // and a re-score was asked for by a recruiter, so neither is checked again
+    if (!rescore) {
+      const identity = duplicateDetector.identify(extractedData.text, basicInfo);
+      const duplicate = resume.duplicate_of
+        ? null
+        : await duplicateDetector.findCandidateDuplicate(resume, identity);
+      await dbQueries.saveResumeIdentity(resume.id, identity, duplicate);
+
+      const duplicatePolicy = duplicateDetector.policyFor(company);
+      if (duplicate && duplicatePolicy !== 'reprocess') {
+        return this.settleDuplicate(resume, duplicate, duplicatePolicy);
+      }
+    }
+
+    const requirements = jobRequirements || (resume.job_id
+      ? await dbQueries.getJobById(resume.job_id)
+      : await dbQueries.getJobRequirements(companyId));
+
+    // Blind screening: the job setting wins over the company default when it is set
+    const blindScreening = requirements?.blind_screening ?? company.blind_screening ?? false;
+    let scoringText = extractedData.text;
+
+    if (blindScreening) {
+      const redaction = await piiRedactor.redact(extractedData.text, basicInfo);
+      await dbQueries.saveRedactedText(resume.id, redaction);
+      scoringText = redaction.text;
+    }
+
+    await dbQueries.updateResumeProgress(resume.id, STAGES.SCORING);
+    const scoringResult = await aiScorer.scoreResume(
+      scoringText,
+      requirements,
+      blindScreening ? {} : basicInfo,
+      company
+    );
+
+    // The scorer never saw the name, so take it from the unredacted text for the recruiter's view
+    if (blindScreening) {
+      scoringResult.candidateName = basicInfo.candidateName || null;
+    }
+
+    await dbQueries.updateResumeProgress(resume.id, STAGES.SAVING);
+    const scoreVersion = (resume.score_version || 0) + 1;
+    await dbQueries.saveScoreVersion(resume, scoreVersion, scoringResult, requirements, {
+      trigger: rescore ? 'rescore' : 'upload',
+      actorId
+    });
+    const updatedResume = await dbQueries.updateResumeScore(
+      resume.id,
+      scoringResult,
+      requirements,
+      basicInfo,
+      profile,
+      scoreVersion
+    );
+
+    const processingTime = Date.now() - startTime;
+
+    await dbQueries.logAnalyticsEvent(companyId, rescore ? 'resume_rescored' : 'resume_processed', {
+      resumeId: resume.id,
+      score: scoringResult.overallScore,
+      ...(rescore && { previousScore: resume.score }),
+      scoreVersion,
+      processingTime,
+      tokensUsed: scoringResult.tokensUsed || 1
+    });
+
+    await webhookDispatcher.emit(companyId, rescore ? 'resume.rescored' : 'resume.processed', {
+      resumeId: resume.id,
+      filename: resume.filename,
+      jobId: updatedResume.job_id,
+      jobVersion: updatedResume.job_version,
+      score: scoringResult.overallScore,
+      ...(rescore && { previousScore: resume.score }),
+      recommendation: scoringResult.recommendation,
+      scoringMethod: scoringResult.scoringMethod,
+      scoreVersion
+    });
+
+    logger.logPerformance('resume_processing', processingTime, {
+      resumeId: resume.id,
+      companyId,
+      score: scoringResult.overallScore
+    });
+
+    return { resume: updatedResume, scoringResult };
+  }
+
+  // Record a candidate duplicate without scoring it; process() releases its token
+  async settleDuplicate(resume, duplicate, policy) {
+    const updatedResume = policy === 'reject'
+      ? await dbQueries.updateResumeStatus(resume.id, 'failed', `Duplicate of resume ${duplicate.resumeId}`)
+      : await dbQueries.updateResumeStatus(resume.id, 'duplicate');
+
+    await dbQueries.logAnalyticsEvent(resume.company_id, 'resume_duplicate_detected', {
+      resumeId: resume.id,
+      duplicateOf: duplicate.resumeId,
+      type: duplicate.type,
+      reasons: duplicate.reasons,
+      policy
+    });
+
+    if (policy === 'reject') {
+      await webhookDispatcher.emit(resume.company_id, 'resume.failed', {
+        resumeId: resume.id,
+        filename: resume.filename,
+        jobId: resume.job_id,
+        attempts: resume.attempts,
+        error: updatedResume.error_message,
+        duplicateOf: duplicate.resumeId
+      });
+    }
+
+    return { resume: updatedResume, scoringResult: null, duplicate };
+  }
+}
+
+module.exports = new ResumeProcessor();
@@ -0,0 +1,139 @@
+const dbQueries = require('../supabase/queries');
+const resumeProcessor = require('./resumeProcessor');
+const webhookDispatcher = require('./webhookDispatcher');
+const logger = require('../utils/logger');
+
+class ResumeWorker {
+  constructor() {
+    this.pollInterval = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 5000;
+    this.batchSize = parseInt(process.env.WORKER_BATCH_SIZE) || 5;
+    this.maxAttempts = parseInt(process.env.WORKER_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelay = parseInt(process.env.WORKER_RETRY_BASE_DELAY_MS) || 30000;
+    this.staleAfter = parseInt(process.env.WORKER_STALE_AFTER_MS) || 10 * 60 * 1000;
+
+    this.running = false;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Resumes left in 'processing' by a crashed worker go back on the queue
+    const requeued = await dbQueries.requeueStaleResumes(new Date(Date.now() - this.staleAfter));
+    if (requeued.length > 0) {
+      logger.warn('Requeued stale resumes:', { count: requeued.length });
+    }
+
+    logger.info('Resume worker started:', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts
+    });
+
+    this.scheduleNext(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    // Let the resume in flight finish so it is not left half-processed
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Resume worker stopped');
+  }
+
+  scheduleNext(delay = this.pollInterval) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(async () => {
+      this.currentRun = this.poll();
+      await this.currentRun;
+      this.currentRun = null;
+      this.scheduleNext();
+    }, delay);
+  }
+
+  async poll() {
+    try {
+      const queued = await dbQueries.getResumesForProcessing(this.batchSize);
+
+      for (const resume of queued) {
+        if (!this.running) break;
+
+        // Another worker may have picked it up between the query and the claim
+        const claimed = await dbQueries.claimResume(resume);
+        if (!claimed) continue;
+
+        await this.processClaimed(claimed);
+      }
+    } catch (error) {
+      logger.error('Resume worker poll failed:', error);
+    }
+  }
+
+  async processClaimed(resume) {
+    try {
+      logger.info('Worker processing resume:', {
+        resumeId: resume.id,
+        companyId: resume.company_id,
+        attempt: resume.attempts
+      });
+
+      if (resume.rescore_request) {
+        await resumeProcessor.rescore(resume);
+      } else {
+        await resumeProcessor.process(resume);
+      }
+
+    } catch (error) {
+      const canRetry = error.retryable !== false && resume.attempts < this.maxAttempts;
+
+      logger.error(`Worker failed to process resume ${resume.id}:`, {
+        error: error.message,
+        attempt: resume.attempts,
+        willRetry: canRetry
+      });
+
+      try {
+        if (canRetry) {
+          // Exponential backoff: base, 2x base, 4x base...
+          const delay = this.retryBaseDelay * Math.pow(2, resume.attempts - 1);
+          await dbQueries.scheduleResumeRetry(resume.id, new Date(Date.now() + delay), error.message);
+        } else if (resume.rescore_request) {
+          // A failed re-score leaves the resume with the score it had before
+          await dbQueries.restoreAfterRescore(resume, error.message);
+          await resumeProcessor.releaseToken(resume, error.message);
+          await dbQueries.logAnalyticsEvent(resume.company_id, 'resume_rescore_failed', {
+            resumeId: resume.id,
+            attempts: resume.attempts,
+            error: error.message
+          });
+        } else {
+          await dbQueries.updateResumeStatus(resume.id, 'failed', error.message);
+          await resumeProcessor.releaseToken(resume, error.message);
+          await dbQueries.logAnalyticsEvent(resume.company_id, 'resume_failed', {
+            resumeId: resume.id,
+            attempts: resume.attempts,
+            error: error.message
+          });
+          await webhookDispatcher.emit(resume.company_id, 'resume.failed', {
+            resumeId: resume.id,
+            filename: resume.filename,
+            jobId: resume.job_id,
+            attempts: resume.attempts,
+            error: error.message
+          });
+        }
+      } catch (updateError) {
+        logger.error('Failed to record resume failure:', updateError);
+      }
+    }
+  }
+}
+
+module.exports = new ResumeWorker();
@@ -0,0 +1,154 @@
+const dbQueries = require('../supabase/queries');
+const dataEraser = require('./dataEraser');
+const logger = require('../utils/logger');
+
+// Periodically erases resumes older than their company's retention period (companies.retention_months;
+// null keeps resumes until deleted). Each batch is summed into retention_aggregates per job and upload
+// month as it is deleted, so reporting keeps anonymous totals after the candidates are gone.
+class RetentionWorker {
+  constructor() {
+    this.pollInterval = parseInt(process.env.RETENTION_POLL_INTERVAL_MS) || 60 * 60 * 1000;
+    this.batchSize = parseInt(process.env.RETENTION_BATCH_SIZE) || 100;
+
+    this.running = false;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    logger.info('Retention worker started:', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize
+    });
+
+    this.scheduleNext(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Retention worker stopped');
+  }
+
+  scheduleNext(delay = this.pollInterval) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(async () => {
+      this.currentRun = this.poll();
+      await this.currentRun;
+      this.currentRun = null;
+      this.scheduleNext();
+    }, delay);
+  }
+
+  async poll() {
+    try {
+      const companies = await dbQueries.getRetentionCompanies();
+
+      for (const company of companies) {
+        if (!this.running) break;
+        await this.purgeCompany(company);
+      }
+    } catch (error) {
+      logger.error('Retention worker poll failed:', error);
+    }
+  }
+
+  cutoffFor(retentionMonths, now = new Date()) {
+    const cutoff = new Date(now);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - retentionMonths);
+    return cutoff;
+  }
+
+  // One company's failure is logged and the sweep moves on; what is left is retried next time
+  async purgeCompany(company) {
+    const cutoff = this.cutoffFor(company.retention_months);
+    let purged = 0;
+
+    try {
+      while (this.running) {
+        const expired = await dbQueries.getExpiredResumes(company.id, cutoff, this.batchSize);
+        if (expired.length === 0) break;
+
+        // The totals are saved in the transaction that deletes the rows: a batch that fails part way keeps
+        // its rows and is counted once, when it is retried
+        const counts = await dataEraser.erase(company.id, expired, {
+          reason: 'retention_expired',
+          aggregate: resumes => this.aggregate(company.id, resumes)
+        });
+
+        purged += counts.resumes;
+        if (counts.resumes === 0 || expired.length < this.batchSize) break;
+      }
+    } catch (error) {
+      logger.error('Retention purge failed:', { companyId: company.id, error: error.message });
+    }
+
+    if (purged > 0) {
+      logger.info('Purged resumes past retention:', {
+        companyId: company.id,
+        retentionMonths: company.retention_months,
+        cutoff: cutoff.toISOString(),
+        purged
+      });
+    }
+
+    return purged;
+  }
+
+  // One row per job and upload month. Sums rather than averages, so rows from several sweeps add up.
+  aggregate(companyId, resumes) {
+    const rows = new Map();
+    const increment = (counts, key) => {
+      counts[key || 'none'] = (counts[key || 'none'] || 0) + 1;
+    };
+
+    for (const resume of resumes) {
+      const month = resume.created_at.slice(0, 7);
+      const key = `${resume.job_id || ''}:${month}`;
+
+      if (!rows.has(key)) {
+        rows.set(key, {
+          company_id: companyId,
+          job_id: resume.job_id || null,
+          month,
+          resumes: 0,
+          processed: 0,
+          scored: 0,
+          score_total: 0,
+          recommendations: {},
+          stages: {},
+          statuses: {},
+          purged_at: new Date().toISOString()
+        });
+      }
+
+      const row = rows.get(key);
+      row.resumes += 1;
+      increment(row.statuses, resume.status);
+
+      if (resume.status === 'processed') {
+        row.processed += 1;
+        increment(row.recommendations, resume.recommendation);
+        increment(row.stages, resume.pipeline_stage);
+      }
+
+      if (typeof resume.score === 'number') {
+        row.scored += 1;
+        row.score_total += resume.score;
+      }
+    }
+
+    return [...rows.values()];
+  }
+}
+
+module.exports = new RetentionWorker();
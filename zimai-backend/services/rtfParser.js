@@ -0,0 +1,171 @@
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitizeText');
+
+// Destinations whose content is metadata or binary data rather than document text
+const IGNORED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'xmlnstbl', 'filetbl', 'revtbl', 'fldinst'
+]);
+
+const SPECIAL_CHARACTERS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  tab: '\t',
+  cell: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const cp1252 = new TextDecoder('windows-1252');
+
+// Minimal RTF reader: walks control words and groups, emitting only visible text
+function rtfToText(rtf) {
+  const tokenRegex = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+  const stack = [];
+  const output = [];
+  let ignorable = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let match;
+
+  while ((match = tokenRegex.exec(rtf)) !== null) {
+    const [, word, arg, hex, symbol, brace, text] = match;
+
+    if (brace) {
+      pendingSkip = 0;
+      if (brace === '{') {
+        stack.push({ ignorable, unicodeSkip });
+      } else {
+        const state = stack.pop();
+        if (state) {
+          ignorable = state.ignorable;
+          unicodeSkip = state.unicodeSkip;
+        }
+      }
+    } else if (symbol) {
+      pendingSkip = 0;
+      if (symbol === '*') {
+        ignorable = true;
+      } else if (!ignorable) {
+        if (symbol === '~') output.push(' ');
+        else if (symbol === '_') output.push('-');
+        else if ('\\{}'.includes(symbol)) output.push(symbol);
+        else if (symbol === '\n' || symbol === '\r') output.push('\n');
+      }
+    } else if (word) {
+      pendingSkip = 0;
+      if (IGNORED_DESTINATIONS.has(word)) {
+        ignorable = true;
+      } else if (word === 'uc') {
+        unicodeSkip = parseInt(arg) || 0;
+      } else if (!ignorable) {
+        if (word === 'u') {
+          let code = parseInt(arg);
+          if (code < 0) code += 65536;
+          output.push(String.fromCharCode(code));
+          pendingSkip = unicodeSkip;
+        } else if (SPECIAL_CHARACTERS[word]) {
+          output.push(SPECIAL_CHARACTERS[word]);
+        }
+      }
+    } else if (hex) {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!ignorable) {
+        output.push(cp1252.decode(Buffer.from([parseInt(hex, 16)])));
+      }
+    } else if (text) {
+      let visible = text;
+      if (pendingSkip > 0) {
+        visible = visible.slice(pendingSkip);
+        pendingSkip = 0;
+      }
+      if (!ignorable) output.push(visible);
+    }
+  }
+
+  return output.join('');
+}
+
+class RTFParser {
+  async extractText(buffer, filename) {
+    try {
+      logger.info('Starting RTF text extraction:', { filename });
+
+      // RTF is 7-bit ASCII; extended characters arrive as escapes
+      const rawText = rtfToText(buffer.toString('latin1'));
+
+      if (!rawText || rawText.trim().length === 0) {
+        throw new Error('No text content found in RTF');
+      }
+
+      const cleanText = sanitizeText(rawText);
+
+      const extractedData = {
+        text: cleanText,
+        rawText: rawText,
+        metadata: {
+          pages: null,
+          info: {},
+          version: null,
+          wordCount: cleanText.split(/\s+/).length,
+          charCount: cleanText.length
+        }
+      };
+
+      logger.info('RTF text extraction completed:', {
+        filename,
+        wordCount: extractedData.metadata.wordCount,
+        charCount: extractedData.metadata.charCount
+      });
+
+      return extractedData;
+
+    } catch (error) {
+      logger.error('RTF text extraction failed:', {
+        filename,
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (error.message.includes('No text content')) {
+        throw new Error('Document contains no readable text content');
+      } else {
+        throw new Error(`Failed to extract text from RTF: ${error.message}`);
+      }
+    }
+  }
+
+  async validate(buffer) {
+    const header = buffer.slice(0, 5).toString('latin1');
+    if (header !== '{\\rtf') {
+      return { isValid: false, error: 'Invalid RTF signature' };
+    }
+
+    // Unbalanced groups usually mean a truncated upload
+    const source = buffer.toString('latin1').replace(/\\[\\{}]/g, '');
+    let depth = 0;
+    for (const char of source) {
+      if (char === '{') depth++;
+      else if (char === '}') depth--;
+      if (depth < 0) break;
+    }
+
+    if (depth !== 0) {
+      return { isValid: false, error: 'RTF document appears to be truncated or corrupted' };
+    }
+
+    return { isValid: true };
+  }
+}
+
+module.exports = new RTFParser();
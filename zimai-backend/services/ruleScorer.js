@@ -0,0 +1,189 @@
+const pdfParser = require('./pdfParser');
+const scoringPolicy = require('./scoringPolicy');
+const logger = require('../utils/logger');
+const { extractKeywords, extractSections, detectEducationLevel, uniqueTerms } = require('../utils/sanitizeText');
+
+const clamp = (value) => Math.min(100, Math.max(0, Math.round(value)));
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim()) return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+// "3-5 years", "5+ years", "at least 2 years" -> lower bound in years
+const requiredYears = (experienceLevel) => {
+  const match = (experienceLevel || '').match(/(\d+)/);
+  return match ? parseInt(match[1]) : null;
+};
+
+// Transparent, deterministic scorer built from the text extractors.
+// Every dimension comes with an explanation so reviewers can see why it scored as it did.
+class RuleBasedScorer {
+  async scoreResume(resumeText, jobRequirements, basicInfo = {}) {
+    const sections = extractSections(resumeText);
+    const [detectedSkills, experienceInfo] = await Promise.all([
+      pdfParser.extractSkills(resumeText),
+      pdfParser.extractExperience(resumeText)
+    ]);
+
+    const skills = this.scoreSkills(resumeText, detectedSkills, jobRequirements);
+    const experience = this.scoreExperience(experienceInfo, sections, jobRequirements);
+    const education = this.scoreEducation(sections, resumeText, jobRequirements);
+    const relevance = this.scoreRelevance(resumeText, jobRequirements);
+
+    const breakdown = {
+      skills: skills.score,
+      experience: experience.score,
+      education: education.score,
+      relevance: relevance.score
+    };
+
+    const weights = scoringPolicy.weightsFor(jobRequirements);
+    const overallScore = scoringPolicy.overallScore(breakdown, weights);
+
+    const keywordMatches = uniqueTerms([...skills.matched, ...relevance.matched]);
+    const missing = skills.missing;
+
+    const strengths = [];
+    const weaknesses = [];
+
+    if (skills.matched.length > 0) strengths.push(`Has ${skills.matched.slice(0, 5).join(', ')}`);
+    if (experienceInfo.totalYears > 0) strengths.push(`${experienceInfo.totalYears} years of stated experience`);
+    if (education.level) strengths.push(`Education: ${education.level}`);
+    if (missing.length > 0) weaknesses.push(`Missing required skills: ${missing.slice(0, 5).join(', ')}`);
+    if (experience.shortfall > 0) weaknesses.push(`${experience.shortfall} years short of the required experience`);
+    if (!sections.education) weaknesses.push('No education section found');
+
+    logger.info('Rule-based resume scoring completed:', { overallScore });
+
+    return {
+      overallScore,
+      breakdown,
+      strengths: strengths.slice(0, 10),
+      weaknesses: weaknesses.slice(0, 10),
+      keywordMatches: keywordMatches.slice(0, 20),
+      experienceYears: experienceInfo.totalYears,
+      summary: `Rule-based assessment: ${skills.explanation} ${experience.explanation} ${education.explanation}`,
+      recommendations: ['Scored without AI; review the explanation before deciding'],
+      redFlags: [],
+      fitScore: overallScore,
+      candidateName: basicInfo.candidateName || null,
+      keywordsMatched: keywordMatches.length,
+      explanation: {
+        weights,
+        skills: skills.explanation,
+        experience: experience.explanation,
+        education: education.explanation,
+        relevance: relevance.explanation
+      },
+      tokensUsed: 0
+    };
+  }
+
+  scoreSkills(resumeText, detectedSkills, jobRequirements) {
+    const required = toList(jobRequirements?.required_skills);
+    const preferred = toList(jobRequirements?.preferred_skills);
+
+    if (required.length === 0) {
+      return {
+        score: clamp(30 + detectedSkills.length * 7),
+        matched: detectedSkills,
+        missing: [],
+        explanation: `No required skills defined; ${detectedSkills.length} common skills detected.`
+      };
+    }
+
+    const matchedRequired = extractKeywords(resumeText, required);
+    const matchedPreferred = preferred.length > 0 ? extractKeywords(resumeText, preferred) : [];
+    const requiredRatio = matchedRequired.length / required.length;
+    const preferredRatio = preferred.length > 0 ? matchedPreferred.length / preferred.length : requiredRatio;
+
+    return {
+      score: clamp(requiredRatio * 80 + preferredRatio * 20),
+      matched: [...matchedRequired, ...matchedPreferred],
+      missing: required.filter(skill => !matchedRequired.includes(skill)),
+      explanation: `Matched ${matchedRequired.length}/${required.length} required` +
+        (preferred.length > 0 ? ` and ${matchedPreferred.length}/${preferred.length} preferred skills.` : ' skills.')
+    };
+  }
+
+  scoreExperience(experienceInfo, sections, jobRequirements) {
+    const years = experienceInfo.totalYears;
+    const minimum = requiredYears(jobRequirements?.experience_level);
+    // Resumes often list roles without stating a total, so credit a populated experience section
+    const sectionCredit = sections.experience ? 20 : 0;
+
+    if (minimum === null) {
+      return {
+        score: clamp(30 + sectionCredit + years * 8),
+        shortfall: 0,
+        explanation: `${years} years stated, no minimum required.`
+      };
+    }
+
+    if (minimum === 0) {
+      return { score: 100, shortfall: 0, explanation: 'No minimum experience required.' };
+    }
+
+    return {
+      score: clamp(Math.max((years / minimum) * 100, sectionCredit)),
+      shortfall: Math.max(0, minimum - years),
+      explanation: `${years} years stated against a ${minimum} year minimum.`
+    };
+  }
+
+  scoreEducation(sections, resumeText, jobRequirements) {
+    const found = detectEducationLevel(sections.education || resumeText);
+    const required = detectEducationLevel(jobRequirements?.education_requirements);
+
+    if (!found) {
+      return {
+        score: sections.education ? 45 : 30,
+        level: null,
+        explanation: 'No recognised qualification found.'
+      };
+    }
+
+    if (!required) {
+      return {
+        score: clamp(50 + found.rank * 12.5),
+        level: found.level,
+        explanation: `Highest qualification: ${found.level}.`
+      };
+    }
+
+    const meets = found.rank >= required.rank;
+    return {
+      score: meets ? 100 : clamp((found.rank / required.rank) * 70),
+      level: found.level,
+      explanation: `Highest qualification ${found.level}, ${meets ? 'meets' : 'below'} required ${required.level}.`
+    };
+  }
+
+  scoreRelevance(resumeText, jobRequirements) {
+    const keywords = toList(jobRequirements?.keywords);
+    const titleWords = (jobRequirements?.title || '')
+      .split(/\s+/)
+      .filter(word => word.length > 3);
+    const terms = uniqueTerms([...keywords, ...titleWords]);
+
+    if (terms.length === 0) {
+      const generic = extractKeywords(resumeText);
+      return {
+        score: clamp(30 + generic.length * 5),
+        matched: generic,
+        explanation: `No job keywords defined; ${generic.length} general technical keywords found.`
+      };
+    }
+
+    const matched = extractKeywords(resumeText, terms);
+    return {
+      score: clamp((matched.length / terms.length) * 100),
+      matched,
+      explanation: `Matched ${matched.length}/${terms.length} job keywords.`
+    };
+  }
+}
+
+module.exports = new RuleBasedScorer();
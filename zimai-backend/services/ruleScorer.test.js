@@ -0,0 +1,128 @@
+const ruleScorer = require('./ruleScorer');
+
+const RESUME = [
+  'Tendai Moyo',
+  'Summary',
+  'Backend engineer with 4 years of experience building APIs.',
+  'Experience',
+  'Senior Developer at Acme, 2020-2024. Built Node.js services on PostgreSQL and Docker.',
+  'Education',
+  'BSc Computer Science, University of Zimbabwe'
+].join('\n');
+
+const JOB = {
+  title: 'Backend Engineer',
+  required_skills: ['Node.js', 'PostgreSQL', 'Kubernetes'],
+  preferred_skills: 'Docker, Redis',
+  experience_level: '3-5 years',
+  education_requirements: "Bachelor's degree in a related field",
+  keywords: ['APIs', 'microservices']
+};
+
+describe('ruleScorer', () => {
+  describe('scoreResume', () => {
+    it('scores each dimension and combines them with the job weights', async () => {
+      const result = await ruleScorer.scoreResume(RESUME, JOB, { candidateName: 'Tendai Moyo' });
+
+      expect(result.breakdown).toEqual({ skills: 63, experience: 100, education: 100, relevance: 75 });
+      expect(result.overallScore).toBe(82);
+      expect(result.fitScore).toBe(82);
+      expect(result.experienceYears).toBe(4);
+      expect(result.candidateName).toBe('Tendai Moyo');
+      expect(result.tokensUsed).toBe(0);
+    });
+
+    it('explains the score', async () => {
+      const result = await ruleScorer.scoreResume(RESUME, JOB);
+
+      expect(result.explanation).toEqual({
+        weights: { skills: 0.35, experience: 0.3, education: 0.15, relevance: 0.2 },
+        skills: 'Matched 2/3 required and 1/2 preferred skills.',
+        experience: '4 years stated against a 3 year minimum.',
+        education: 'Highest qualification bachelors, meets required bachelors.',
+        relevance: 'Matched 3/4 job keywords.'
+      });
+      expect(result.strengths).toEqual([
+        'Has Node.js, PostgreSQL, Docker',
+        '4 years of stated experience',
+        'Education: bachelors'
+      ]);
+      expect(result.weaknesses).toEqual(['Missing required skills: Kubernetes']);
+    });
+
+    it('uses the job scoring weights', async () => {
+      const job = { ...JOB, scoring_weights: { skills: 1, experience: 0, education: 0, relevance: 0 } };
+
+      const result = await ruleScorer.scoreResume(RESUME, job);
+
+      expect(result.overallScore).toBe(63);
+      expect(result.explanation.weights).toEqual({ skills: 1, experience: 0, education: 0, relevance: 0 });
+    });
+  });
+
+  describe('scoreSkills', () => {
+    it('credits detected skills when the job requires none', () => {
+      const result = ruleScorer.scoreSkills(RESUME, ['node.js', 'docker'], { required_skills: [] });
+
+      expect(result).toMatchObject({ score: 44, matched: ['node.js', 'docker'], missing: [] });
+    });
+
+    it('weighs required skills over preferred ones', () => {
+      const result = ruleScorer.scoreSkills('Python and Go', [], {
+        required_skills: 'Python, Go',
+        preferred_skills: ['Rust']
+      });
+
+      expect(result).toMatchObject({ score: 80, missing: [] });
+    });
+  });
+
+  describe('scoreExperience', () => {
+    it('reports the shortfall against the minimum', () => {
+      const result = ruleScorer.scoreExperience({ totalYears: 1 }, {}, { experience_level: 'At least 5 years' });
+
+      expect(result).toEqual({ score: 20, shortfall: 4, explanation: '1 years stated against a 5 year minimum.' });
+    });
+
+    it('credits a populated experience section when no total is stated', () => {
+      const result = ruleScorer.scoreExperience({ totalYears: 0 }, { experience: 'Developer at Acme' }, { experience_level: '5+ years' });
+
+      expect(result.score).toBe(20);
+    });
+
+    it('gives full marks when no experience is required', () => {
+      expect(ruleScorer.scoreExperience({ totalYears: 0 }, {}, { experience_level: '0 years' }).score).toBe(100);
+    });
+
+    it('scales with the stated years when there is no minimum', () => {
+      expect(ruleScorer.scoreExperience({ totalYears: 3 }, {}, { experience_level: 'Senior' }).score).toBe(54);
+    });
+  });
+
+  describe('scoreEducation', () => {
+    it('scores a qualification below the requirement in proportion', () => {
+      const result = ruleScorer.scoreEducation({ education: 'Higher National Diploma' }, '', {
+        education_requirements: 'MSc or MBA'
+      });
+
+      expect(result).toMatchObject({ score: 23, level: 'diploma' });
+    });
+
+    it('scores by level when the job has no requirement', () => {
+      expect(ruleScorer.scoreEducation({}, 'PhD in Physics', {}).score).toBe(100);
+    });
+
+    it('gives partial credit for an education section without a recognised qualification', () => {
+      expect(ruleScorer.scoreEducation({ education: 'Night school' }, '', {}).score).toBe(45);
+      expect(ruleScorer.scoreEducation({}, 'No schooling listed', {}).score).toBe(30);
+    });
+  });
+
+  describe('scoreRelevance', () => {
+    it('falls back to general technical keywords when the job has none', () => {
+      const result = ruleScorer.scoreRelevance('Python, Docker and SQL', { title: 'Dev' });
+
+      expect(result).toMatchObject({ score: 45, matched: ['python', 'sql', 'docker'] });
+    });
+  });
+});
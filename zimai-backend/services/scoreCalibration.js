@@ -0,0 +1,174 @@
+const scoringPolicy = require('./scoringPolicy');
+const dbQueries = require('../supabase/queries');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const average = (values) => (values.length > 0
+  ? round(values.reduce((total, value) => total + value, 0) / values.length)
+  : null);
+
+// Signed (human - AI) and absolute differences for a set of score pairs
+const disagreement = (pairs) => {
+  const deltas = pairs.map(({ ai, human }) => human - ai);
+
+  return {
+    count: deltas.length,
+    meanDelta: average(deltas),
+    meanAbsoluteDelta: average(deltas.map(Math.abs)),
+    maxAbsoluteDelta: deltas.length > 0 ? Math.max(...deltas.map(Math.abs)) : null,
+    raised: deltas.filter(delta => delta > 0).length,
+    lowered: deltas.filter(delta => delta < 0).length
+  };
+};
+
+// Human overrides of AI scores, and how far they drift from the model per job. The AI assessment on
+// the resume is never changed: an override replaces the effective score, breakdown and recommendation
+// and keeps the values it replaced, and every override is logged for the calibration report.
+class ScoreCalibration {
+  constructor() {
+    this.minSample = parseInt(process.env.CALIBRATION_MIN_SAMPLE) || 5;
+    this.maxOverrideRate = parseFloat(process.env.CALIBRATION_MAX_OVERRIDE_RATE) || 0.25;
+    this.maxBias = parseFloat(process.env.CALIBRATION_MAX_BIAS) || 5;
+    this.maxError = parseFloat(process.env.CALIBRATION_MAX_ERROR) || 10;
+  }
+
+  // Overridden dimensions replace the AI values; the overall score is recomputed from the result with the
+  // weights the resume was scored with, unless the reviewer sets it too
+  async override(resume, { overallScore, breakdown = {}, justification }, actorId) {
+    const assessment = resume.assessment;
+    const weights = assessment.weights || scoringPolicy.weightsFor(null);
+    const thresholds = assessment.thresholds || scoringPolicy.thresholdsFor(null);
+
+    const aiBreakdown = assessment.breakdown || {};
+    const finalBreakdown = { ...aiBreakdown, ...breakdown };
+    const finalScore = overallScore ?? scoringPolicy.overallScore(finalBreakdown, weights);
+
+    const entry = {
+      resume_id: resume.id,
+      company_id: resume.company_id,
+      job_id: resume.job_id,
+      job_version: resume.job_version,
+      score_version: resume.score_version,
+      ai_score: assessment.overallScore,
+      ai_breakdown: aiBreakdown,
+      ai_recommendation: assessment.recommendation,
+      override_score: finalScore,
+      override_breakdown: breakdown,
+      overall_overridden: overallScore !== undefined,
+      final_breakdown: finalBreakdown,
+      override_recommendation: scoringPolicy.recommendation(finalScore, thresholds),
+      justification,
+      overridden_by: actorId,
+      created_at: new Date().toISOString()
+    };
+
+    const updated = await dbQueries.applyScoreOverride(resume, entry);
+
+    if (updated) {
+      await dbQueries.logAnalyticsEvent(resume.company_id, 'score_overridden', {
+        resumeId: resume.id,
+        jobId: resume.job_id,
+        aiScore: entry.ai_score,
+        overrideScore: entry.override_score,
+        dimensions: Object.keys(breakdown)
+      });
+    }
+
+    return updated;
+  }
+
+  // Disagreement between reviewers and the model over a job's overridden resumes. Only the latest
+  // override of each resume counts, so repeated edits do not weigh one candidate more than others.
+  async report(job, { from = null, to = null } = {}) {
+    const [overrides, scored] = await Promise.all([
+      dbQueries.getScoreOverrides(job.id, { from, to }),
+      dbQueries.getProcessedResumesForJob(job.id)
+    ]);
+
+    const latest = [...new Map(
+      overrides
+        .slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(entry => [entry.resume_id, entry])
+    ).values()];
+
+    const overall = disagreement(latest.map(entry => ({ ai: entry.ai_score, human: entry.override_score })));
+
+    const dimensions = Object.fromEntries(scoringPolicy.dimensions.map(dimension => [
+      dimension,
+      disagreement(latest
+        .filter(entry => typeof entry.override_breakdown?.[dimension] === 'number'
+          && typeof entry.ai_breakdown?.[dimension] === 'number')
+        .map(entry => ({ ai: entry.ai_breakdown[dimension], human: entry.override_breakdown[dimension] })))
+    ]));
+
+    const bandChanges = latest
+      .filter(entry => entry.ai_recommendation !== entry.override_recommendation)
+      .reduce((changes, entry) => {
+        const key = `${entry.ai_recommendation || 'unbanded'}->${entry.override_recommendation || 'unbanded'}`;
+        changes[key] = (changes[key] || 0) + 1;
+        return changes;
+      }, {});
+
+    const overrideRate = scored.length > 0 ? Math.round((latest.length / scored.length) * 1000) / 1000 : null;
+
+    return {
+      jobId: job.id,
+      title: job.title,
+      period: { from, to },
+      scoredResumes: scored.length,
+      overriddenResumes: latest.length,
+      overrideRate,
+      overall,
+      dimensions,
+      recommendationChanges: {
+        total: Object.values(bandChanges).reduce((total, count) => total + count, 0),
+        byChange: bandChanges
+      },
+      ...this.assess(overrideRate, overall, dimensions),
+      recentOverrides: overrides.slice(0, 10).map(entry => ({
+        resumeId: entry.resume_id,
+        aiScore: entry.ai_score,
+        overrideScore: entry.override_score,
+        dimensions: Object.keys(entry.override_breakdown || {}),
+        justification: entry.justification,
+        overriddenBy: entry.overridden_by,
+        createdAt: entry.created_at
+      }))
+    };
+  }
+
+  // Flags a job whose scoring looks out of line with its reviewers; needs a minimum number of overrides
+  assess(overrideRate, overall, dimensions) {
+    if (overall.count < this.minSample) {
+      return {
+        needsTuning: false,
+        signals: [`Not enough overrides to judge calibration (${overall.count} of ${this.minSample} needed)`]
+      };
+    }
+
+    const signals = [];
+
+    if (overrideRate !== null && overrideRate >= this.maxOverrideRate) {
+      signals.push(`Reviewers override ${Math.round(overrideRate * 100)}% of scored resumes`);
+    }
+
+    if (Math.abs(overall.meanDelta) >= this.maxBias) {
+      signals.push(`Reviewers score ${overall.meanDelta > 0 ? 'higher' : 'lower'} than the model by ${Math.abs(overall.meanDelta)} points on average`);
+    }
+
+    if (overall.meanAbsoluteDelta >= this.maxError) {
+      signals.push(`Overridden scores differ from the model by ${overall.meanAbsoluteDelta} points on average`);
+    }
+
+    for (const [dimension, stats] of Object.entries(dimensions)) {
+      if (stats.count >= this.minSample && Math.abs(stats.meanDelta) >= this.maxBias) {
+        signals.push(`${dimension} is scored ${stats.meanDelta > 0 ? 'higher' : 'lower'} by reviewers by ${Math.abs(stats.meanDelta)} points on average`);
+      }
+    }
+
+    return { needsTuning: signals.length > 0, signals };
+  }
+}
+
+module.exports = new ScoreCalibration();
@@ -0,0 +1,75 @@
+// Dimension weights used when a job does not define its own
+const DEFAULT_WEIGHTS = {
+  skills: 0.35,
+  experience: 0.3,
+  education: 0.15,
+  relevance: 0.2
+};
+
+// Minimum overall score for each recommendation band; anything below `review` is a reject
+const DEFAULT_THRESHOLDS = {
+  pass: 75,
+  review: 50
+};
+
+const DIMENSIONS = Object.keys(DEFAULT_WEIGHTS);
+const BANDS = ['pass', 'review', 'reject'];
+
+const clamp = (value) => Math.min(100, Math.max(0, Math.round(value)));
+
+// How a job turns a score breakdown into an overall score and a pass/review/reject recommendation.
+// The overall score is always computed here from the breakdown, never taken from the model.
+class ScoringPolicy {
+  get dimensions() {
+    return DIMENSIONS;
+  }
+
+  get bands() {
+    return BANDS;
+  }
+
+  // Jobs may store weights on any scale (e.g. percentages); they are normalized to sum to 1
+  weightsFor(job) {
+    const custom = job?.scoring_weights;
+    if (!custom) return DEFAULT_WEIGHTS;
+
+    const total = DIMENSIONS.reduce((sum, dimension) => sum + (Number(custom[dimension]) || 0), 0);
+    if (total <= 0) return DEFAULT_WEIGHTS;
+
+    return Object.fromEntries(
+      DIMENSIONS.map(dimension => [dimension, Math.round(((Number(custom[dimension]) || 0) / total) * 1000) / 1000])
+    );
+  }
+
+  thresholdsFor(job) {
+    return { ...DEFAULT_THRESHOLDS, ...(job?.score_thresholds || {}) };
+  }
+
+  overallScore(breakdown, weights) {
+    return clamp(DIMENSIONS.reduce((total, dimension) => total + (breakdown?.[dimension] || 0) * weights[dimension], 0));
+  }
+
+  recommendation(score, thresholds) {
+    if (score === null || score === undefined) return null;
+    if (score >= thresholds.pass) return 'pass';
+    if (score >= thresholds.review) return 'review';
+    return 'reject';
+  }
+
+  // Recompute the overall score with the job's weights and attach the band it falls in
+  apply(scoringResult, job) {
+    const weights = this.weightsFor(job);
+    const thresholds = this.thresholdsFor(job);
+    const overallScore = this.overallScore(scoringResult.breakdown, weights);
+
+    return {
+      ...scoringResult,
+      overallScore,
+      weights,
+      thresholds,
+      recommendation: this.recommendation(overallScore, thresholds)
+    };
+  }
+}
+
+module.exports = new ScoringPolicy();
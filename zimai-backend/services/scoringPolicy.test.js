@@ -0,0 +1,104 @@
+const scoringPolicy = require('./scoringPolicy');
+
+const DEFAULT_WEIGHTS = { skills: 0.35, experience: 0.3, education: 0.15, relevance: 0.2 };
+
+describe('scoringPolicy', () => {
+  describe('weightsFor', () => {
+    it('uses the default weights for jobs without their own', () => {
+      expect(scoringPolicy.weightsFor(null)).toEqual(DEFAULT_WEIGHTS);
+      expect(scoringPolicy.weightsFor({ scoring_weights: null })).toEqual(DEFAULT_WEIGHTS);
+    });
+
+    it('normalizes weights on any scale to sum to 1', () => {
+      const weights = scoringPolicy.weightsFor({
+        scoring_weights: { skills: 50, experience: 25, education: 0, relevance: 25 }
+      });
+
+      expect(weights).toEqual({ skills: 0.5, experience: 0.25, education: 0, relevance: 0.25 });
+    });
+
+    it('rounds normalized weights to three decimals', () => {
+      const weights = scoringPolicy.weightsFor({
+        scoring_weights: { skills: 1, experience: 1, education: 1, relevance: 0 }
+      });
+
+      expect(weights).toEqual({ skills: 0.333, experience: 0.333, education: 0.333, relevance: 0 });
+    });
+
+    it('falls back to the defaults when no weight is above 0', () => {
+      const weights = scoringPolicy.weightsFor({
+        scoring_weights: { skills: 0, experience: 0, education: 0, relevance: 0 }
+      });
+
+      expect(weights).toEqual(DEFAULT_WEIGHTS);
+    });
+  });
+
+  describe('thresholdsFor', () => {
+    it('uses the job thresholds over the defaults', () => {
+      expect(scoringPolicy.thresholdsFor(null)).toEqual({ pass: 75, review: 50 });
+      expect(scoringPolicy.thresholdsFor({ score_thresholds: { pass: 80, review: 60 } })).toEqual({ pass: 80, review: 60 });
+    });
+  });
+
+  describe('overallScore', () => {
+    it('is the weighted sum of the breakdown, rounded', () => {
+      const breakdown = { skills: 90, experience: 40, education: 50, relevance: 60 };
+
+      expect(scoringPolicy.overallScore(breakdown, DEFAULT_WEIGHTS)).toBe(63);
+    });
+
+    it('counts missing dimensions as 0', () => {
+      expect(scoringPolicy.overallScore({ skills: 100 }, DEFAULT_WEIGHTS)).toBe(35);
+      expect(scoringPolicy.overallScore(null, DEFAULT_WEIGHTS)).toBe(0);
+    });
+
+    it('stays within 0-100', () => {
+      const breakdown = { skills: 150, experience: 150, education: 150, relevance: 150 };
+
+      expect(scoringPolicy.overallScore(breakdown, DEFAULT_WEIGHTS)).toBe(100);
+    });
+  });
+
+  describe('recommendation', () => {
+    const thresholds = { pass: 75, review: 50 };
+
+    it.each([
+      [100, 'pass'],
+      [75, 'pass'],
+      [74, 'review'],
+      [50, 'review'],
+      [49, 'reject'],
+      [0, 'reject']
+    ])('puts %i in the %s band', (score, band) => {
+      expect(scoringPolicy.recommendation(score, thresholds)).toBe(band);
+    });
+
+    it('has no band without a score', () => {
+      expect(scoringPolicy.recommendation(null, thresholds)).toBeNull();
+      expect(scoringPolicy.recommendation(undefined, thresholds)).toBeNull();
+    });
+  });
+
+  describe('apply', () => {
+    it('replaces the model score with one computed from the breakdown with the job policy', () => {
+      const job = {
+        scoring_weights: { skills: 70, experience: 10, education: 10, relevance: 10 },
+        score_thresholds: { pass: 80, review: 60 }
+      };
+      const result = scoringPolicy.apply({
+        overallScore: 20,
+        breakdown: { skills: 100, experience: 40, education: 50, relevance: 60 },
+        summary: 'kept'
+      }, job);
+
+      expect(result).toMatchObject({
+        overallScore: 85,
+        recommendation: 'pass',
+        weights: { skills: 0.7, experience: 0.1, education: 0.1, relevance: 0.1 },
+        thresholds: { pass: 80, review: 60 },
+        summary: 'kept'
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitizeText');
+
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+const UTF16LE_BOM = Buffer.from([0xFF, 0xFE]);
+
+class TextParser {
+  decode(buffer) {
+    if (buffer.slice(0, 2).equals(UTF16LE_BOM)) {
+      return buffer.slice(2).toString('utf16le');
+    }
+    if (buffer.slice(0, 3).equals(UTF8_BOM)) {
+      return buffer.slice(3).toString('utf8');
+    }
+    return buffer.toString('utf8');
+  }
+
+  // Plain text has no magic bytes, so check that the content decodes to printable characters
+  isPlainText(buffer) {
+    if (buffer.length === 0) {
+      return false;
+    }
+
+    const isUtf16 = buffer.slice(0, 2).equals(UTF16LE_BOM);
+    if (!isUtf16 && buffer.includes(0x00)) {
+      return false;
+    }
+
+    const text = this.decode(buffer);
+    const sample = text.slice(0, 4096);
+    const unprintable = sample.match(/[\u0000-\u0008\u000E-\u001F�]/g) || [];
+
+    return unprintable.length / sample.length < 0.02;
+  }
+
+  async extractText(buffer, filename) {
+    try {
+      logger.info('Starting plain text extraction:', { filename });
+
+      const rawText = this.decode(buffer);
+
+      if (!rawText || rawText.trim().length === 0) {
+        throw new Error('No text content found in file');
+      }
+
+      const cleanText = sanitizeText(rawText);
+
+      const extractedData = {
+        text: cleanText,
+        rawText: rawText,
+        metadata: {
+          pages: null,
+          info: {},
+          version: null,
+          wordCount: cleanText.split(/\s+/).length,
+          charCount: cleanText.length
+        }
+      };
+
+      logger.info('Plain text extraction completed:', {
+        filename,
+        wordCount: extractedData.metadata.wordCount,
+        charCount: extractedData.metadata.charCount
+      });
+
+      return extractedData;
+
+    } catch (error) {
+      logger.error('Plain text extraction failed:', {
+        filename,
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (error.message.includes('No text content')) {
+        throw new Error('Document contains no readable text content');
+      } else {
+        throw new Error(`Failed to extract text: ${error.message}`);
+      }
+    }
+  }
+
+  async validate(buffer) {
+    if (!this.isPlainText(buffer)) {
+      return { isValid: false, error: 'File does not contain readable text' };
+    }
+
+    return { isValid: true };
+  }
+}
+
+module.exports = new TextParser();
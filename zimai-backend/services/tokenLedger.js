@@ -0,0 +1,99 @@
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Reservation that could not be made because the balance is too low
+const insufficientTokens = (needed) => {
+  const error = new Error(`Insufficient tokens: ${needed} required`);
+  error.code = 'INSUFFICIENT_TOKENS';
+  error.retryable = false;
+  return error;
+};
+
+// Every token movement goes reserve -> commit (spent) or release (returned). Reserving takes
+// the tokens off the balance up front, so concurrent requests cannot spend the same token.
+class TokenLedger {
+  async reserve(companyId, amount, { operation, resumeId = null, actorId = null }) {
+    const reservation = await dbQueries.reserveTokens(companyId, amount, { operation, resumeId, actorId });
+
+    if (!reservation) {
+      throw insufficientTokens(amount);
+    }
+
+    logger.info('Tokens reserved:', { companyId, reservationId: reservation.id, amount, operation });
+
+    await this.checkLowBalance(companyId, reservation.tokens_remaining + amount, reservation.tokens_remaining);
+    return reservation;
+  }
+
+  async grant(companyId, amount, { reason, actorId }) {
+    const result = await dbQueries.grantTokens(companyId, amount, { reason, actorId });
+
+    await dbQueries.logAnalyticsEvent(companyId, 'tokens_granted', {
+      amount,
+      reason,
+      grantedBy: actorId,
+      tokensRemaining: result.tokens_remaining
+    });
+
+    return result;
+  }
+
+  // Fire once per threshold as the balance drops through it, not on every reservation below it
+  async checkLowBalance(companyId, before, after) {
+    try {
+      const company = await dbQueries.getCompanyById(companyId);
+      const crossed = (company?.low_balance_thresholds || [])
+        .filter(threshold => before > threshold && after <= threshold);
+
+      for (const threshold of crossed) {
+        await dbQueries.logAnalyticsEvent(companyId, 'token_balance_low', {
+          threshold,
+          tokensRemaining: after
+        });
+      }
+    } catch (error) {
+      // Alerting must never block the reservation that triggered it
+      logger.error('Low balance check failed:', { companyId, error: error.message });
+    }
+  }
+
+  async commit(reservationId, { amount = 1, operation, resumeId = null }) {
+    return dbQueries.commitTokens(reservationId, amount, { operation, resumeId });
+  }
+
+  async release(reservationId, { amount = null, reason, resumeId = null }) {
+    return dbQueries.releaseTokens(reservationId, amount, { reason, resumeId });
+  }
+
+  // Release without masking the error that caused it; a failed release is logged for reconciliation
+  async releaseQuietly(reservationId, options) {
+    try {
+      return await this.release(reservationId, options);
+    } catch (error) {
+      logger.error('Failed to release token reservation:', {
+        reservationId,
+        reason: options.reason,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Reserve, run the work, then commit on success or release on failure
+  async withReservation(companyId, { amount = 1, operation, resumeId = null, actorId = null }, work) {
+    const reservation = await this.reserve(companyId, amount, { operation, resumeId, actorId });
+
+    let result;
+    try {
+      result = await work(reservation);
+    } catch (error) {
+      await this.releaseQuietly(reservation.id, { reason: error.message, resumeId });
+      throw error;
+    }
+
+    await this.commit(reservation.id, { amount, operation, resumeId });
+    return result;
+  }
+}
+
+module.exports = new TokenLedger();
@@ -0,0 +1,111 @@
+jest.mock('../supabase/queries', () => ({
+  reserveTokens: jest.fn(),
+  commitTokens: jest.fn(),
+  releaseTokens: jest.fn(),
+  grantTokens: jest.fn(),
+  getCompanyById: jest.fn(),
+  logAnalyticsEvent: jest.fn()
+}));
+
+const dbQueries = require('../supabase/queries');
+const tokenLedger = require('./tokenLedger');
+
+const COMPANY_ID = 'company-1';
+const SCORE = { operation: 'resume_scoring', resumeId: 'resume-1' };
+
+describe('tokenLedger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbQueries.reserveTokens.mockResolvedValue({ id: 'reservation-1', tokens_remaining: 9 });
+    dbQueries.commitTokens.mockResolvedValue({ id: 'reservation-1', status: 'committed' });
+    dbQueries.releaseTokens.mockResolvedValue({ id: 'reservation-1', status: 'released' });
+    dbQueries.getCompanyById.mockResolvedValue({ id: COMPANY_ID, low_balance_thresholds: [] });
+    dbQueries.logAnalyticsEvent.mockResolvedValue(null);
+  });
+
+  describe('reserve', () => {
+    it('refuses reservations the balance cannot cover', async () => {
+      dbQueries.reserveTokens.mockResolvedValue(null);
+
+      await expect(tokenLedger.reserve(COMPANY_ID, 3, SCORE)).rejects.toMatchObject({
+        message: 'Insufficient tokens: 3 required',
+        code: 'INSUFFICIENT_TOKENS',
+        retryable: false
+      });
+      expect(dbQueries.getCompanyById).not.toHaveBeenCalled();
+    });
+
+    it('passes database failures through', async () => {
+      dbQueries.reserveTokens.mockRejectedValue(new Error('connection refused'));
+
+      await expect(tokenLedger.reserve(COMPANY_ID, 1, SCORE)).rejects.toThrow('connection refused');
+    });
+
+    it('alerts once for each threshold the balance drops through', async () => {
+      dbQueries.reserveTokens.mockResolvedValue({ id: 'reservation-1', tokens_remaining: 5 });
+      dbQueries.getCompanyById.mockResolvedValue({ id: COMPANY_ID, low_balance_thresholds: [5, 8, 20, 3] });
+
+      await tokenLedger.reserve(COMPANY_ID, 5, SCORE);
+
+      expect(dbQueries.logAnalyticsEvent.mock.calls).toEqual([
+        [COMPANY_ID, 'token_balance_low', { threshold: 5, tokensRemaining: 5 }],
+        [COMPANY_ID, 'token_balance_low', { threshold: 8, tokensRemaining: 5 }]
+      ]);
+    });
+
+    it('still reserves when the low balance check fails', async () => {
+      dbQueries.getCompanyById.mockRejectedValue(new Error('connection refused'));
+
+      await expect(tokenLedger.reserve(COMPANY_ID, 1, SCORE)).resolves.toEqual({ id: 'reservation-1', tokens_remaining: 9 });
+    });
+  });
+
+  describe('releaseQuietly', () => {
+    it('returns null instead of throwing when the release fails', async () => {
+      dbQueries.releaseTokens.mockRejectedValue(new Error('connection refused'));
+
+      await expect(tokenLedger.releaseQuietly('reservation-1', { reason: 'AI timeout' })).resolves.toBeNull();
+    });
+  });
+
+  describe('withReservation', () => {
+    it('commits the reservation when the work succeeds', async () => {
+      const work = jest.fn().mockResolvedValue('scored');
+
+      await expect(tokenLedger.withReservation(COMPANY_ID, SCORE, work)).resolves.toBe('scored');
+      expect(work).toHaveBeenCalledWith({ id: 'reservation-1', tokens_remaining: 9 });
+      expect(dbQueries.commitTokens).toHaveBeenCalledWith('reservation-1', 1, SCORE);
+      expect(dbQueries.releaseTokens).not.toHaveBeenCalled();
+    });
+
+    it('releases the reservation and rethrows when the work fails', async () => {
+      const failure = new Error('AI timeout');
+
+      await expect(tokenLedger.withReservation(COMPANY_ID, SCORE, () => Promise.reject(failure))).rejects.toBe(failure);
+      expect(dbQueries.releaseTokens).toHaveBeenCalledWith('reservation-1', null, { reason: 'AI timeout', resumeId: 'resume-1' });
+      expect(dbQueries.commitTokens).not.toHaveBeenCalled();
+    });
+
+    it('rethrows the work error when the release fails too', async () => {
+      const failure = new Error('AI timeout');
+      dbQueries.releaseTokens.mockRejectedValue(new Error('connection refused'));
+
+      await expect(tokenLedger.withReservation(COMPANY_ID, SCORE, () => Promise.reject(failure))).rejects.toBe(failure);
+    });
+
+    it('does not run the work without a reservation', async () => {
+      dbQueries.reserveTokens.mockResolvedValue(null);
+      const work = jest.fn();
+
+      await expect(tokenLedger.withReservation(COMPANY_ID, SCORE, work)).rejects.toMatchObject({ code: 'INSUFFICIENT_TOKENS' });
+      expect(work).not.toHaveBeenCalled();
+    });
+
+    it('surfaces a failed commit', async () => {
+      dbQueries.commitTokens.mockRejectedValue(new Error('Reservation is not pending'));
+
+      await expect(tokenLedger.withReservation(COMPANY_ID, SCORE, async () => 'scored')).rejects.toThrow('Reservation is not pending');
+      expect(dbQueries.releaseTokens).not.toHaveBeenCalled();
+    });
+  });
+});
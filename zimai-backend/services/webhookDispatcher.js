@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dbQueries = require('../supabase/queries');
+const logger = require('../utils/logger');
+
+// Event types a webhook can subscribe to
+const EVENTS = ['resume.processed', 'resume.rescored', 'resume.failed', 'resume.deleted'];
+
+// Sent to a single webhook on demand to check the endpoint and signature handling
+const PING_EVENT = 'ping';
+
+// Addresses a webhook may not reach: this network, private and shared (CGNAT) ranges, loopback,
+// link-local (cloud metadata at 169.254.169.254), multicast and reserved ranges. The IPv4 rules also
+// match IPv4-mapped IPv6 addresses (::ffff:127.0.0.1); 6to4 (2002::/16) and NAT64 (64:ff9b::/96) addresses
+// embed an IPv4 address that is not checked, so those ranges are refused outright.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = address => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const webhookError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Resolves every address of the host; rejects the host when any of them is blocked
+const resolvePublic = async hostname => {
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw webhookError(`Webhook host ${hostname} could not be resolved`, 'WEBHOOK_HOST_UNRESOLVED');
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw webhookError(`Webhook host ${hostname} resolves to ${blocked.address}, which is not a public address`, 'WEBHOOK_ADDRESS_BLOCKED');
+  }
+  return addresses;
+};
+
+// dns.lookup replacement for deliveries: the socket connects to the addresses checked here, so a host
+// cannot pass the check and then be re-resolved to an internal address for the connection
+const lookupPublic = (hostname, options, callback) => {
+  resolvePublic(hostname).then(
+    addresses => (options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family)),
+    callback
+  );
+};
+
+// Queues signed deliveries of resume lifecycle events for each subscribed webhook.
+// Sending happens in the webhook worker so a slow or failing receiver never holds up processing.
+class WebhookDispatcher {
+  constructor() {
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  get events() {
+    return EVENTS;
+  }
+
+  isRejection(error) {
+    return error.code === 'WEBHOOK_HOST_UNRESOLVED' || error.code === 'WEBHOOK_ADDRESS_BLOCKED';
+  }
+
+  // Checked when a URL is registered and again before every send, since DNS can change in between
+  async checkUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    return resolvePublic(hostname);
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>"; receivers recompute it and reject stale timestamps
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  // Never throws: a webhook outage must not fail the resume operation that raised the event
+  async emit(companyId, eventType, data) {
+    try {
+      const webhooks = await dbQueries.getSubscribedWebhooks(companyId, eventType);
+      if (webhooks.length === 0) return [];
+
+      return await this.queue(webhooks, this.buildEvent(companyId, eventType, data));
+    } catch (error) {
+      logger.error('Failed to queue webhook event:', { companyId, eventType, error: error.message });
+      return [];
+    }
+  }
+
+  async ping(webhook) {
+    const [delivery] = await this.queue([webhook], this.buildEvent(webhook.company_id, PING_EVENT, {
+      webhookId: webhook.id
+    }));
+    return delivery;
+  }
+
+  // Send the same event again as a new delivery; the event id is unchanged so receivers can de-duplicate
+  async redeliver(delivery) {
+    const [redelivery] = await dbQueries.createWebhookDeliveries([{
+      webhook_id: delivery.webhook_id,
+      company_id: delivery.company_id,
+      event_id: delivery.event_id,
+      event_type: delivery.event_type,
+      payload: delivery.payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      redelivery_of: delivery.id,
+      created_at: new Date().toISOString()
+    }]);
+    return redelivery;
+  }
+
+  buildEvent(companyId, eventType, data) {
+    return {
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      companyId,
+      data
+    };
+  }
+
+  async queue(webhooks, event) {
+    const now = new Date().toISOString();
+
+    return dbQueries.createWebhookDeliveries(webhooks.map(webhook => ({
+      webhook_id: webhook.id,
+      company_id: webhook.company_id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now
+    })));
+  }
+
+  // One attempt: any 2xx is success. Redirects are not followed, so they count as failures.
+  // Only the status is kept; receiver response bodies are never stored.
+  async deliver(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+    const signal = AbortSignal.timeout(this.timeout);
+
+    try {
+      await this.checkUrl(webhook.url);
+
+      const responseStatus = await this.post(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ZimAI-Webhooks/1.0',
+        'X-ZimAI-Event': delivery.event_type,
+        'X-ZimAI-Delivery': delivery.id,
+        'X-ZimAI-Timestamp': timestamp,
+        'X-ZimAI-Signature': this.sign(webhook.secret, timestamp, body)
+      }, body, signal);
+      const ok = responseStatus >= 200 && responseStatus < 300;
+
+      return {
+        ok,
+        responseStatus,
+        errorMessage: ok ? null : `Receiver responded with HTTP ${responseStatus}`,
+        durationMs: Date.now() - startTime
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        responseStatus: null,
+        errorMessage: signal.aborted ? `Timed out after ${this.timeout}ms` : error.message,
+        durationMs: Date.now() - startTime
+      };
+    }
+  }
+
+  // Resolves with the response status as soon as the headers arrive; the body is discarded unread
+  post(url, headers, body, signal) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookupPublic,
+        signal
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = new WebhookDispatcher();
@@ -0,0 +1,46 @@
+jest.mock('../supabase/queries', () => ({}));
+
+const dns = require('dns');
+const webhookDispatcher = require('./webhookDispatcher');
+
+const resolvingTo = (...addresses) => {
+  dns.promises.lookup.mockResolvedValue(addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+};
+
+describe('webhookDispatcher.checkUrl', () => {
+  beforeEach(() => {
+    jest.spyOn(dns.promises, 'lookup');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['loopback', '127.0.0.1'],
+    ['cloud metadata', '169.254.169.254'],
+    ['IPv4-mapped loopback', '::ffff:127.0.0.1'],
+    ['6to4 addresses embedding loopback', '2002:7f00:1::'],
+    ['NAT64 addresses embedding loopback', '64:ff9b::7f00:1'],
+    ['unique local addresses', 'fd00::1']
+  ])('refuses hosts resolving to %s', async (_, address) => {
+    resolvingTo('93.184.216.34', address);
+
+    await expect(webhookDispatcher.checkUrl('https://hooks.example.com/zimai'))
+      .rejects.toMatchObject({ code: 'WEBHOOK_ADDRESS_BLOCKED' });
+  });
+
+  it('accepts hosts that resolve only to public addresses', async () => {
+    resolvingTo('93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946');
+
+    await expect(webhookDispatcher.checkUrl('https://hooks.example.com/zimai')).resolves.toHaveLength(2);
+    expect(dns.promises.lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+  });
+
+  it('reports hosts that do not resolve', async () => {
+    dns.promises.lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    await expect(webhookDispatcher.checkUrl('https://missing.example.com'))
+      .rejects.toMatchObject({ code: 'WEBHOOK_HOST_UNRESOLVED' });
+  });
+});
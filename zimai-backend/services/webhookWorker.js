@@ -0,0 +1,121 @@
+const dbQueries = require('../supabase/queries');
+const webhookDispatcher = require('./webhookDispatcher');
+const logger = require('../utils/logger');
+
+// Polls for due webhook deliveries, sends them and reschedules failures with exponential backoff
+class WebhookWorker {
+  constructor() {
+    this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+    this.batchSize = parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30000;
+    this.maxRetryDelay = parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY_MS) || 6 * 60 * 60 * 1000;
+    this.staleAfter = parseInt(process.env.WEBHOOK_STALE_AFTER_MS) || 5 * 60 * 1000;
+
+    this.running = false;
+    this.timer = null;
+    this.currentRun = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Deliveries left in 'delivering' by a crashed worker are sent again
+    const requeued = await dbQueries.requeueStaleWebhookDeliveries(new Date(Date.now() - this.staleAfter));
+    if (requeued.length > 0) {
+      logger.warn('Requeued stale webhook deliveries:', { count: requeued.length });
+    }
+
+    logger.info('Webhook worker started:', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts
+    });
+
+    this.scheduleNext(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Webhook worker stopped');
+  }
+
+  scheduleNext(delay = this.pollInterval) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(async () => {
+      this.currentRun = this.poll();
+      await this.currentRun;
+      this.currentRun = null;
+      this.scheduleNext();
+    }, delay);
+  }
+
+  async poll() {
+    try {
+      const due = await dbQueries.getDueWebhookDeliveries(this.batchSize);
+
+      for (const delivery of due) {
+        if (!this.running) break;
+
+        const claimed = await dbQueries.claimWebhookDelivery(delivery);
+        if (!claimed) continue;
+
+        await this.send(claimed);
+      }
+    } catch (error) {
+      logger.error('Webhook worker poll failed:', error);
+    }
+  }
+
+  // Exponential backoff: base, 2x base, 4x base... capped at maxRetryDelay
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+  }
+
+  async send(delivery) {
+    try {
+      const webhook = await dbQueries.getWebhookById(delivery.webhook_id);
+
+      if (!webhook || !webhook.is_active) {
+        await dbQueries.recordWebhookAttempt(delivery.id, {
+          status: 'failed',
+          errorMessage: 'Webhook is disabled'
+        });
+        return;
+      }
+
+      const result = await webhookDispatcher.deliver(delivery, webhook);
+      const canRetry = !result.ok && delivery.attempts < this.maxAttempts;
+
+      if (!result.ok) {
+        logger.warn(`Webhook delivery ${delivery.id} failed:`, {
+          webhookId: webhook.id,
+          eventType: delivery.event_type,
+          attempt: delivery.attempts,
+          error: result.errorMessage,
+          willRetry: canRetry
+        });
+      }
+
+      await dbQueries.recordWebhookAttempt(delivery.id, {
+        status: result.ok ? 'delivered' : (canRetry ? 'pending' : 'failed'),
+        responseStatus: result.responseStatus,
+        errorMessage: result.errorMessage,
+        durationMs: result.durationMs,
+        nextAttemptAt: canRetry ? new Date(Date.now() + this.retryDelay(delivery.attempts)) : null
+      });
+    } catch (error) {
+      logger.error(`Failed to record webhook delivery ${delivery.id}:`, error);
+    }
+  }
+}
+
+module.exports = new WebhookWorker();
@@ -0,0 +1,35 @@
+-- Job postings: a company can keep several active postings. Every update bumps job_requirements.version
+-- and saves the new requirements to job_requirement_versions, and a scored resume records the job and
+-- version it was scored against. Archived postings keep is_active = false and their history.
+
+alter table job_requirements
+  add column if not exists preferred_skills text[],
+  add column if not exists responsibilities text[],
+  add column if not exists location text,
+  add column if not exists version integer not null default 1,
+  add column if not exists created_by uuid,
+  add column if not exists updated_by uuid,
+  add column if not exists updated_at timestamptz,
+  add column if not exists archived_at timestamptz;
+
+create index if not exists job_requirements_company_active_idx
+  on job_requirements (company_id, created_at desc) where is_active;
+
+-- requirements holds the posting's fields as they were at that version
+create table if not exists job_requirement_versions (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references job_requirements(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  version integer not null check (version > 0),
+  requirements jsonb not null,
+  created_at timestamptz not null default now(),
+  constraint job_requirement_versions_job_version_key unique (job_id, version)
+);
+
+alter table job_requirement_versions enable row level security;
+
+alter table resumes
+  add column if not exists job_id uuid references job_requirements(id) on delete set null,
+  add column if not exists job_version integer;
+
+create index if not exists resumes_company_job_idx on resumes (company_id, job_id);
@@ -0,0 +1,3 @@
+-- Resumes can be PDF, DOCX, ODT, RTF or plain text; the detected MIME type is stored with the file.
+
+alter table resumes add column if not exists content_type text;
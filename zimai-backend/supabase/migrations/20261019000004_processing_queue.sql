@@ -0,0 +1,12 @@
+-- Background processing: uploads wait in status 'uploaded' until a worker claims them. The claim bumps
+-- attempts, so a stale read cannot claim the same resume twice; failed attempts are retried from
+-- next_attempt_at and resumes left in 'processing' past claimed_at by a crashed worker are requeued.
+
+alter table resumes
+  add column if not exists processing_stage text,
+  add column if not exists attempts integer not null default 0,
+  add column if not exists claimed_at timestamptz,
+  add column if not exists next_attempt_at timestamptz;
+
+create index if not exists resumes_queue_idx on resumes (created_at) where status = 'uploaded';
+create index if not exists resumes_claimed_idx on resumes (claimed_at) where status = 'processing';
@@ -0,0 +1,4 @@
+-- The LLM provider a company's resumes are scored with; null uses the server's default provider.
+-- Names are checked against the configured providers by the API, since they vary per deployment.
+
+alter table companies add column if not exists llm_provider text;
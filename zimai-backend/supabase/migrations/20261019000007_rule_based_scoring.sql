@@ -0,0 +1,9 @@
+-- Companies can score with rules only ('rules') instead of the LLM ('ai'), and every score records which
+-- scorer produced it: 'ai', 'rules', or 'rules_fallback' when the LLM failed and the rules scored instead.
+
+alter table companies
+  add column if not exists scoring_mode text not null default 'ai' check (scoring_mode in ('ai', 'rules')),
+  add column if not exists updated_at timestamptz;
+
+alter table resumes
+  add column if not exists scoring_method text check (scoring_method in ('ai', 'rules', 'rules_fallback'));
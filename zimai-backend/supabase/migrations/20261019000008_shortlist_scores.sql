@@ -0,0 +1,9 @@
+-- Shortlist ranking columns: fit_score, the scorer's own fit estimate used to break ties on the overall
+-- score, and keyword_matches, the job keywords found in the resume (filtered with must-have keywords).
+
+alter table resumes
+  add column if not exists fit_score numeric,
+  add column if not exists keyword_matches text[] not null default '{}';
+
+create index if not exists resumes_job_ranking_idx on resumes (job_id, score desc) where status = 'processed';
+create index if not exists resumes_keyword_matches_idx on resumes using gin (keyword_matches);
@@ -0,0 +1,8 @@
+-- Contact details parsed from the resume, shown and searched in the company resume list next to the
+-- candidate name.
+
+alter table resumes
+  add column if not exists candidate_email text,
+  add column if not exists candidate_phone text;
+
+create index if not exists resumes_company_created_idx on resumes (company_id, created_at desc);
@@ -0,0 +1,4 @@
+-- Per-dimension scores (skills, experience, education, relevance) behind the overall score, exported as
+-- their own columns.
+
+alter table resumes add column if not exists score_breakdown jsonb;
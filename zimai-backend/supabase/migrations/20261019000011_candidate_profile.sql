@@ -0,0 +1,9 @@
+-- Structured candidate profile parsed from the resume sections. candidate_skills (lower-cased) and
+-- education_level are copied out of the profile so list queries can filter on them.
+
+alter table resumes
+  add column if not exists candidate_profile jsonb,
+  add column if not exists candidate_skills text[] not null default '{}',
+  add column if not exists education_level text;
+
+create index if not exists resumes_candidate_skills_idx on resumes using gin (candidate_skills);
@@ -0,0 +1,19 @@
+-- Duplicate detection. content_hash (SHA-256 of the file) finds identical uploads; the normalized email
+-- and phone and the MinHash signature of the text (text_fingerprint) find the same candidate in a
+-- different file. A duplicate points at the first resume through duplicate_of, with how it matched in
+-- duplicate_match. duplicate_policy decides what happens to a duplicate upload; null means 'link'.
+
+alter table companies
+  add column if not exists duplicate_policy text check (duplicate_policy in ('reject', 'link', 'reprocess'));
+
+alter table resumes
+  add column if not exists content_hash text,
+  add column if not exists duplicate_of uuid references resumes(id) on delete set null,
+  add column if not exists duplicate_match jsonb,
+  add column if not exists normalized_email text,
+  add column if not exists normalized_phone text,
+  add column if not exists text_fingerprint integer[];
+
+create index if not exists resumes_company_content_hash_idx on resumes (company_id, content_hash);
+create index if not exists resumes_company_email_idx on resumes (company_id, normalized_email) where normalized_email is not null;
+create index if not exists resumes_company_phone_idx on resumes (company_id, normalized_phone) where normalized_phone is not null;
@@ -0,0 +1,11 @@
+-- Blind screening: personal details are redacted from the text before it is scored. The company setting
+-- is the default and a job's own setting wins when it is not null. A resume scored blind keeps the text
+-- the scorer saw and the number of redactions per kind.
+
+alter table companies add column if not exists blind_screening boolean not null default false;
+alter table job_requirements add column if not exists blind_screening boolean;
+
+alter table resumes
+  add column if not exists blind_screening boolean not null default false,
+  add column if not exists redacted_text text,
+  add column if not exists redactions jsonb;
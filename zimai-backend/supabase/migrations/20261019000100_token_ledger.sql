@@ -0,0 +1,235 @@
+-- Token ledger: reservations taken off the balance before work starts, then committed (spent) or
+-- released (returned). Every movement is written to token_ledger in the same transaction as the
+-- balance change, and spent tokens are also recorded in token_usage.
+
+alter table companies
+  add column if not exists tokens_remaining integer not null default 0;
+
+-- No overdraft: the balance can never go below zero, whatever writes it
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'companies_tokens_remaining_not_negative') then
+    alter table companies
+      add constraint companies_tokens_remaining_not_negative check (tokens_remaining >= 0) not valid;
+  end if;
+end $$;
+
+create table if not exists token_reservations (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  amount integer not null check (amount > 0),
+  committed integer not null default 0 check (committed >= 0),
+  released integer not null default 0 check (released >= 0),
+  status text not null default 'open' check (status in ('open', 'closed')),
+  operation text not null,
+  resume_id uuid references resumes(id) on delete set null,
+  actor_id uuid,
+  created_at timestamptz not null default now(),
+  closed_at timestamptz,
+  -- A reservation cannot be spent or returned twice
+  check (committed + released <= amount),
+  check ((status = 'closed') = (committed + released = amount))
+);
+
+create index if not exists token_reservations_company_open_idx
+  on token_reservations (company_id) where status = 'open';
+
+alter table resumes
+  add column if not exists token_reservation_id uuid references token_reservations(id) on delete set null;
+
+create table if not exists token_usage (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  resume_id uuid,
+  tokens_used integer not null,
+  operation text not null,
+  timestamp timestamptz not null default now()
+);
+
+create index if not exists token_usage_company_timestamp_idx on token_usage (company_id, timestamp desc);
+
+-- amount is the change to tokens_remaining: negative for reserve, positive for release and grant, 0 for commit
+create table if not exists token_ledger (
+  id bigint generated always as identity primary key,
+  company_id uuid not null references companies(id) on delete cascade,
+  reservation_id uuid references token_reservations(id) on delete set null,
+  entry_type text not null check (entry_type in ('reserve', 'commit', 'release', 'grant')),
+  amount integer not null,
+  balance_after integer not null,
+  operation text,
+  resume_id uuid,
+  actor_id uuid,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists token_ledger_company_created_idx on token_ledger (company_id, created_at desc);
+
+alter table token_reservations enable row level security;
+alter table token_usage enable row level security;
+alter table token_ledger enable row level security;
+
+-- Takes `amount` off the balance into a new reservation. The conditional update locks the company row,
+-- so concurrent reservations queue behind each other and cannot both spend the last tokens.
+-- Returns the reservation with the new tokens_remaining, or null when the balance is short.
+create or replace function reserve_tokens(
+  company_id uuid,
+  amount integer,
+  operation text,
+  resume_id uuid default null,
+  actor_id uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  balance integer;
+  reservation token_reservations;
+begin
+  if reserve_tokens.amount is null or reserve_tokens.amount < 1 then
+    raise exception 'Reservation amount must be at least 1';
+  end if;
+
+  update companies c
+     set tokens_remaining = c.tokens_remaining - reserve_tokens.amount
+   where c.id = reserve_tokens.company_id
+     and c.tokens_remaining >= reserve_tokens.amount
+  returning c.tokens_remaining into balance;
+
+  if not found then
+    return null;
+  end if;
+
+  insert into token_reservations (company_id, amount, operation, resume_id, actor_id)
+  values (reserve_tokens.company_id, reserve_tokens.amount, reserve_tokens.operation,
+          reserve_tokens.resume_id, reserve_tokens.actor_id)
+  returning * into reservation;
+
+  insert into token_ledger (company_id, reservation_id, entry_type, amount, balance_after, operation, resume_id, actor_id)
+  values (reserve_tokens.company_id, reservation.id, 'reserve', -reserve_tokens.amount, balance,
+          reserve_tokens.operation, reserve_tokens.resume_id, reserve_tokens.actor_id);
+
+  return to_jsonb(reservation) || jsonb_build_object('tokens_remaining', balance);
+end;
+$$;
+
+-- Marks reserved tokens as spent. Fails when the reservation does not have that many tokens
+-- outstanding, e.g. it was already released.
+create or replace function commit_token_reservation(
+  reservation_id uuid,
+  amount integer,
+  operation text,
+  resume_id uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  reservation token_reservations;
+  balance integer;
+begin
+  select * into reservation
+    from token_reservations r
+   where r.id = commit_token_reservation.reservation_id
+     for update;
+
+  if not found then
+    raise exception 'Token reservation % not found', commit_token_reservation.reservation_id;
+  end if;
+
+  if commit_token_reservation.amount is null or commit_token_reservation.amount < 1
+     or reservation.committed + reservation.released + commit_token_reservation.amount > reservation.amount then
+    raise exception 'Token reservation % has % tokens outstanding, cannot commit %',
+      reservation.id, reservation.amount - reservation.committed - reservation.released, commit_token_reservation.amount;
+  end if;
+
+  update token_reservations r
+     set committed = r.committed + commit_token_reservation.amount,
+         status = case when r.committed + commit_token_reservation.amount + r.released = r.amount then 'closed' else 'open' end,
+         closed_at = case when r.committed + commit_token_reservation.amount + r.released = r.amount then now() end
+   where r.id = reservation.id
+  returning * into reservation;
+
+  select c.tokens_remaining into balance from companies c where c.id = reservation.company_id;
+
+  insert into token_usage (company_id, resume_id, tokens_used, operation, timestamp)
+  values (reservation.company_id, coalesce(commit_token_reservation.resume_id, reservation.resume_id),
+          commit_token_reservation.amount, commit_token_reservation.operation, now());
+
+  insert into token_ledger (company_id, reservation_id, entry_type, amount, balance_after, operation, resume_id, actor_id)
+  values (reservation.company_id, reservation.id, 'commit', 0, balance, commit_token_reservation.operation,
+          coalesce(commit_token_reservation.resume_id, reservation.resume_id), reservation.actor_id);
+
+  return to_jsonb(reservation) || jsonb_build_object('tokens_remaining', balance);
+end;
+$$;
+
+-- Returns unspent reserved tokens to the balance; a null amount returns everything outstanding.
+-- Fails when more than the outstanding amount is asked for.
+create or replace function release_token_reservation(
+  reservation_id uuid,
+  amount integer default null,
+  reason text default null,
+  resume_id uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  reservation token_reservations;
+  outstanding integer;
+  returned integer;
+  balance integer;
+begin
+  select * into reservation
+    from token_reservations r
+   where r.id = release_token_reservation.reservation_id
+     for update;
+
+  if not found then
+    raise exception 'Token reservation % not found', release_token_reservation.reservation_id;
+  end if;
+
+  outstanding := reservation.amount - reservation.committed - reservation.released;
+  returned := coalesce(release_token_reservation.amount, outstanding);
+
+  if returned < 0 or returned > outstanding then
+    raise exception 'Token reservation % has % tokens outstanding, cannot release %', reservation.id, outstanding, returned;
+  end if;
+
+  if returned = 0 then
+    select c.tokens_remaining into balance from companies c where c.id = reservation.company_id;
+    return to_jsonb(reservation) || jsonb_build_object('tokens_remaining', balance);
+  end if;
+
+  update companies c
+     set tokens_remaining = c.tokens_remaining + returned
+   where c.id = reservation.company_id
+  returning c.tokens_remaining into balance;
+
+  update token_reservations r
+     set released = r.released + returned,
+         status = case when r.committed + r.released + returned = r.amount then 'closed' else 'open' end,
+         closed_at = case when r.committed + r.released + returned = r.amount then now() end
+   where r.id = reservation.id
+  returning * into reservation;
+
+  insert into token_ledger (company_id, reservation_id, entry_type, amount, balance_after, operation, resume_id, actor_id, reason)
+  values (reservation.company_id, reservation.id, 'release', returned, balance, reservation.operation,
+          coalesce(release_token_reservation.resume_id, reservation.resume_id), reservation.actor_id,
+          release_token_reservation.reason);
+
+  return to_jsonb(reservation) || jsonb_build_object('tokens_remaining', balance);
+end;
+$$;
+
+-- Only the backend (service role) may move tokens
+revoke execute on function reserve_tokens(uuid, integer, text, uuid, uuid) from public, anon, authenticated;
+revoke execute on function commit_token_reservation(uuid, integer, text, uuid) from public, anon, authenticated;
+revoke execute on function release_token_reservation(uuid, integer, text, uuid) from public, anon, authenticated;
+grant execute on function reserve_tokens(uuid, integer, text, uuid, uuid) to service_role;
+grant execute on function commit_token_reservation(uuid, integer, text, uuid) to service_role;
+grant execute on function release_token_reservation(uuid, integer, text, uuid) to service_role;
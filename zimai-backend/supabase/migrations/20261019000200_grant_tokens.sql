@@ -0,0 +1,42 @@
+-- Top-ups with a 'grant' ledger entry. Called with the service role by the admin-only
+-- POST /api/company/tokens/grant; company users cannot call it directly.
+
+create or replace function grant_tokens(
+  company_id uuid,
+  amount integer,
+  reason text,
+  actor_id uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  balance integer;
+begin
+  if grant_tokens.amount is null or grant_tokens.amount < 1 then
+    raise exception 'Grant amount must be at least 1';
+  end if;
+
+  if coalesce(trim(grant_tokens.reason), '') = '' then
+    raise exception 'Grants need a reason';
+  end if;
+
+  update companies c
+     set tokens_remaining = c.tokens_remaining + grant_tokens.amount
+   where c.id = grant_tokens.company_id
+  returning c.tokens_remaining into balance;
+
+  if not found then
+    raise exception 'Company % not found', grant_tokens.company_id;
+  end if;
+
+  insert into token_ledger (company_id, entry_type, amount, balance_after, operation, actor_id, reason)
+  values (grant_tokens.company_id, 'grant', grant_tokens.amount, balance, 'grant', grant_tokens.actor_id, grant_tokens.reason);
+
+  return jsonb_build_object('tokens_remaining', balance);
+end;
+$$;
+
+revoke execute on function grant_tokens(uuid, integer, text, uuid) from public, anon, authenticated;
+grant execute on function grant_tokens(uuid, integer, text, uuid) to service_role;
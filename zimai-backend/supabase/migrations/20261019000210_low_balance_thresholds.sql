@@ -0,0 +1,4 @@
+-- Token balances at which a company is warned: a 'token_balance_low' analytics event is logged when a
+-- reservation takes the balance from above a threshold to at or below it.
+
+alter table companies add column if not exists low_balance_thresholds integer[] not null default '{}';
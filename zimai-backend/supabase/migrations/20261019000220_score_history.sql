@@ -0,0 +1,36 @@
+-- Score history: the resume keeps the full assessment of its current score, and every scoring run is
+-- also saved to resume_score_versions with the provider, model and prompt version that produced it and
+-- the job requirements it was scored against. A re-score waits on the worker queue with the job and
+-- user it was requested for in resumes.rescore_request, cleared once the new score is saved.
+
+alter table resumes
+  add column if not exists assessment jsonb,
+  add column if not exists score_version integer,
+  add column if not exists scoring_provider text,
+  add column if not exists scoring_model text,
+  add column if not exists prompt_version text,
+  add column if not exists rescore_request jsonb;
+
+create table if not exists resume_score_versions (
+  id uuid primary key default gen_random_uuid(),
+  resume_id uuid not null references resumes(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  version integer not null check (version > 0),
+  score numeric,
+  assessment jsonb,
+  scoring_method text,
+  provider text,
+  model text,
+  prompt_version text,
+  tokens_used integer not null default 0,
+  job_id uuid references job_requirements(id) on delete set null,
+  job_version integer,
+  job_snapshot jsonb,
+  trigger text not null check (trigger in ('upload', 'rescore')),
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  -- A worker retry overwrites its own earlier attempt at the same version
+  constraint resume_score_versions_resume_version_key unique (resume_id, version)
+);
+
+alter table resume_score_versions enable row level security;
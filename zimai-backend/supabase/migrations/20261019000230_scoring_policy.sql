@@ -0,0 +1,15 @@
+-- Per-job scoring policy: scoring_weights are the dimension weights the overall score is computed with
+-- and score_thresholds the pass and review cut-offs; null uses the defaults. Every score is banded into
+-- a pass/review/reject recommendation.
+
+alter table job_requirements
+  add column if not exists scoring_weights jsonb,
+  add column if not exists score_thresholds jsonb;
+
+alter table resumes
+  add column if not exists recommendation text check (recommendation in ('pass', 'review', 'reject'));
+
+alter table resume_score_versions
+  add column if not exists recommendation text check (recommendation in ('pass', 'review', 'reject'));
+
+create index if not exists resumes_job_recommendation_idx on resumes (job_id, recommendation);
@@ -0,0 +1,47 @@
+-- Outgoing webhooks. Each subscribed webhook gets its own delivery row per event, sent by the webhook
+-- worker: 'pending' until a worker claims it as 'delivering' (bumping attempts, like the resume queue),
+-- then 'delivered', or 'failed' once the attempts run out; retries wait for next_attempt_at. A manual
+-- redelivery is a new row with the same event_id that points back at the original.
+
+create table if not exists webhooks (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  url text not null,
+  description text,
+  events text[] not null,
+  is_active boolean not null default true,
+  -- Signing secret; only the delivery worker reads it
+  secret text not null,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists webhooks_company_idx on webhooks (company_id) where is_active;
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references webhooks(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  event_id uuid not null,
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivering', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  claimed_at timestamptz,
+  response_status integer,
+  response_body text,
+  error_message text,
+  duration_ms integer,
+  delivered_at timestamptz,
+  redelivery_of uuid references webhook_deliveries(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_claimed_idx on webhook_deliveries (claimed_at) where status = 'delivering';
+create index if not exists webhook_deliveries_webhook_created_idx on webhook_deliveries (webhook_id, created_at desc);
+
+alter table webhooks enable row level security;
+alter table webhook_deliveries enable row level security;
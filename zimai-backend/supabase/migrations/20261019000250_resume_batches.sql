@@ -0,0 +1,19 @@
+-- Batch processing runs. A batch is stored when it starts and its results and summary when it
+-- completes, so clients that reconnect after the live progress stream is gone can still read them.
+
+create table if not exists resume_batches (
+  id uuid primary key,
+  company_id uuid not null references companies(id) on delete cascade,
+  created_by uuid,
+  job_id uuid references job_requirements(id) on delete set null,
+  resume_ids uuid[] not null,
+  status text not null default 'running' check (status in ('running', 'completed')),
+  results jsonb,
+  summary jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists resume_batches_company_created_idx on resume_batches (company_id, created_at desc);
+
+alter table resume_batches enable row level security;
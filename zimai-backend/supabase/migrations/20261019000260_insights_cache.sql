@@ -0,0 +1,22 @@
+-- Generated hiring insights. A request for the same period and job (cache_key) is answered from here
+-- until expires_at without spending another token; lookups skip expired entries.
+
+create table if not exists insights_cache (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  cache_key text not null,
+  timeframe text not null,
+  job_id uuid references job_requirements(id) on delete cascade,
+  period_start timestamptz,
+  period_end timestamptz,
+  result jsonb not null,
+  stats jsonb,
+  tokens_used integer not null default 0,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists insights_cache_lookup_idx on insights_cache (company_id, cache_key, expires_at desc);
+
+alter table insights_cache enable row level security;
@@ -0,0 +1,88 @@
+-- Hiring pipeline: a job's stages and allowed moves (job_requirements.pipeline, null for the default pipeline), the
+-- candidate's current stage (resumes.pipeline_stage, null until the first move) and every move made.
+
+alter table job_requirements add column if not exists pipeline jsonb;
+alter table resumes add column if not exists pipeline_stage text;
+
+create table if not exists resume_stage_history (
+  id uuid primary key default gen_random_uuid(),
+  resume_id uuid not null references resumes(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  job_id uuid,
+  from_stage text,
+  to_stage text,
+  moved_by uuid,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists resume_stage_history_resume_idx on resume_stage_history (resume_id, created_at desc);
+create index if not exists resumes_pipeline_counts_idx on resumes (company_id, job_id, pipeline_stage) where status = 'processed';
+
+alter table resume_stage_history enable row level security;
+
+-- Compare-and-set: the stage only changes while it still equals expected_stage (and the resume is still
+-- scored against the job), so two recruiters moving the same candidate cannot both succeed. Returns the
+-- history row, or null when the move lost.
+create or replace function move_resume_stage(
+  resume_id uuid,
+  expected_stage text,
+  job_id uuid,
+  from_stage text,
+  to_stage text,
+  moved_by uuid default null,
+  reason text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  moved resumes;
+  change resume_stage_history;
+begin
+  update resumes r
+     set pipeline_stage = move_resume_stage.to_stage,
+         updated_at = now()
+   where r.id = move_resume_stage.resume_id
+     and r.job_id = move_resume_stage.job_id
+     and r.status = 'processed'
+     and r.pipeline_stage is not distinct from move_resume_stage.expected_stage
+  returning * into moved;
+
+  if not found then
+    return null;
+  end if;
+
+  insert into resume_stage_history (resume_id, company_id, job_id, from_stage, to_stage, moved_by, reason)
+  values (moved.id, moved.company_id, move_resume_stage.job_id, move_resume_stage.from_stage,
+          move_resume_stage.to_stage, move_resume_stage.moved_by, move_resume_stage.reason)
+  returning * into change;
+
+  return to_jsonb(change);
+end;
+$$;
+
+-- Processed resumes per job and stored stage; stage is null for candidates never moved
+create or replace function get_pipeline_stage_counts(
+  company_id uuid,
+  job_id uuid default null
+) returns table (job_id uuid, stage text, count integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.job_id, r.pipeline_stage, count(*)::integer
+    from resumes r
+   where r.company_id = get_pipeline_stage_counts.company_id
+     and r.status = 'processed'
+     and r.job_id is not null
+     and (get_pipeline_stage_counts.job_id is null or r.job_id = get_pipeline_stage_counts.job_id)
+   group by r.job_id, r.pipeline_stage;
+$$;
+
+revoke execute on function move_resume_stage(uuid, text, uuid, text, text, uuid, text) from public, anon, authenticated;
+revoke execute on function get_pipeline_stage_counts(uuid, uuid) from public, anon, authenticated;
+grant execute on function move_resume_stage(uuid, text, uuid, text, text, uuid, text) to service_role;
+grant execute on function get_pipeline_stage_counts(uuid, uuid) to service_role;
@@ -0,0 +1,24 @@
+-- Recruiter notes on resumes. A reply points at the note that starts its thread (threads are one level
+-- deep) and goes with it when the note or the resume is deleted. 'private' notes are only shown to their
+-- author; mentions holds the ids of the users mentioned in a team note.
+
+create table if not exists resume_notes (
+  id uuid primary key default gen_random_uuid(),
+  resume_id uuid not null references resumes(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  parent_id uuid references resume_notes(id) on delete cascade,
+  author_id uuid not null,
+  author_name text,
+  body text not null,
+  visibility text not null default 'team' check (visibility in ('team', 'private')),
+  mentions uuid[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  edited_at timestamptz
+);
+
+create index if not exists resume_notes_resume_created_idx on resume_notes (resume_id, created_at);
+create index if not exists resume_notes_parent_idx on resume_notes (parent_id);
+create index if not exists resume_notes_mentions_idx on resume_notes using gin (mentions);
+
+alter table resume_notes enable row level security;
@@ -0,0 +1,79 @@
+-- Reviewer overrides of AI scores. The effective score, breakdown and recommendation on the resume are
+-- replaced and the override is kept in resumes.score_override; every override is also appended to
+-- score_overrides for the calibration report.
+
+alter table resumes add column if not exists score_override jsonb;
+
+create table if not exists score_overrides (
+  id uuid primary key default gen_random_uuid(),
+  resume_id uuid not null references resumes(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  job_id uuid,
+  job_version integer,
+  score_version integer,
+  ai_score numeric,
+  ai_breakdown jsonb,
+  ai_recommendation text,
+  override_score numeric not null,
+  override_breakdown jsonb not null default '{}',
+  overall_overridden boolean not null default false,
+  final_breakdown jsonb,
+  override_recommendation text,
+  justification text not null,
+  overridden_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists score_overrides_job_created_idx on score_overrides (job_id, created_at desc);
+create index if not exists score_overrides_resume_idx on score_overrides (resume_id);
+
+alter table score_overrides enable row level security;
+
+-- Applies only while the resume is still at expected_version, so an override made against a score that has
+-- since been replaced by a re-score is rejected. Returns the updated resume, or null when it was re-scored.
+create or replace function apply_score_override(
+  resume_id uuid,
+  expected_version integer,
+  score numeric,
+  score_breakdown jsonb,
+  recommendation text,
+  override jsonb
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  updated resumes;
+begin
+  update resumes r
+     set score = apply_score_override.score,
+         score_breakdown = apply_score_override.score_breakdown,
+         recommendation = apply_score_override.recommendation,
+         score_override = apply_score_override.override,
+         updated_at = now()
+   where r.id = apply_score_override.resume_id
+     and r.status = 'processed'
+     and r.score_version is not distinct from apply_score_override.expected_version
+  returning * into updated;
+
+  if not found then
+    return null;
+  end if;
+
+  insert into score_overrides (
+    resume_id, company_id, job_id, job_version, score_version, ai_score, ai_breakdown, ai_recommendation,
+    override_score, override_breakdown, overall_overridden, final_breakdown, override_recommendation,
+    justification, overridden_by, created_at
+  )
+  select updated.id, updated.company_id, o.job_id, o.job_version, o.score_version, o.ai_score, o.ai_breakdown,
+         o.ai_recommendation, o.override_score, coalesce(o.override_breakdown, '{}'), coalesce(o.overall_overridden, false),
+         o.final_breakdown, o.override_recommendation, o.justification, o.overridden_by, coalesce(o.created_at, now())
+    from jsonb_populate_record(null::score_overrides, apply_score_override.override) o;
+
+  return to_jsonb(updated);
+end;
+$$;
+
+revoke execute on function apply_score_override(uuid, integer, numeric, jsonb, text, jsonb) from public, anon, authenticated;
+grant execute on function apply_score_override(uuid, integer, numeric, jsonb, text, jsonb) to service_role;
@@ -0,0 +1,52 @@
+-- Append-only audit trail, one hash chain per company. Writers take the next sequence number after the
+-- chain's tail; the unique (company_id, sequence) constraint makes a concurrent writer that picked the
+-- same number fail with 23505 and retry on the new tail, so sequences stay gapless.
+
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id),
+  sequence bigint not null check (sequence > 0),
+  created_at timestamptz not null,
+  actor_id uuid,
+  actor_email text,
+  actor_role text,
+  action text not null,
+  method text not null,
+  path text not null,
+  target_type text not null,
+  target_id text,
+  resume_ids text[] not null default '{}',
+  status_code integer,
+  outcome text not null check (outcome in ('success', 'denied', 'failure', 'aborted')),
+  ip text,
+  user_agent text,
+  details jsonb not null default '{}',
+  prev_hash text not null check (prev_hash ~ '^[0-9a-f]{64}$'),
+  hash text not null check (hash ~ '^[0-9a-f]{64}$'),
+  constraint audit_log_company_sequence_key unique (company_id, sequence)
+);
+
+create index if not exists audit_log_company_created_idx on audit_log (company_id, created_at desc);
+create index if not exists audit_log_resume_ids_idx on audit_log using gin (resume_ids);
+
+alter table audit_log enable row level security;
+
+-- Entries can be added, never changed or removed. The hash chain still exposes anything done with
+-- this trigger disabled.
+create or replace function audit_log_append_only() returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only: % is not allowed', tg_op;
+end;
+$$;
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update
+  before update or delete on audit_log
+  for each row execute function audit_log_append_only();
+
+drop trigger if exists audit_log_no_truncate on audit_log;
+create trigger audit_log_no_truncate
+  before truncate on audit_log
+  for each statement execute function audit_log_append_only();
@@ -0,0 +1,161 @@
+-- Data retention and erasure: a per-company retention period, anonymous totals kept for purged resumes,
+-- erasure requests with their certificates, and the functions that erase a resume's references and
+-- rows in one transaction each.
+
+alter table companies
+  add column if not exists retention_months integer check (retention_months between 1 and 120);
+
+-- Sums per job and upload month; several sweeps write several rows, which add up
+create table if not exists retention_aggregates (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  job_id uuid,
+  month text not null check (month ~ '^\d{4}-\d{2}$'),
+  resumes integer not null default 0,
+  processed integer not null default 0,
+  scored integer not null default 0,
+  score_total numeric not null default 0,
+  recommendations jsonb not null default '{}',
+  stages jsonb not null default '{}',
+  statuses jsonb not null default '{}',
+  purged_at timestamptz not null default now()
+);
+
+create index if not exists retention_aggregates_company_month_idx on retention_aggregates (company_id, month);
+
+-- subject holds HMACs of the normalized contact details, or nulls; never the details themselves
+create table if not exists erasure_requests (
+  id uuid primary key,
+  company_id uuid not null references companies(id) on delete cascade,
+  requested_by uuid,
+  subject jsonb not null,
+  status text not null check (status in ('processing', 'completed', 'failed')),
+  resumes_erased integer,
+  certificate jsonb,
+  certificate_hash text check (certificate_hash ~ '^[0-9a-f]{64}$'),
+  error_message text,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists erasure_requests_company_created_idx on erasure_requests (company_id, created_at desc);
+
+alter table retention_aggregates enable row level security;
+alter table erasure_requests enable row level security;
+
+-- Removes what ties the company's retained records to the resumes: `keys` are stripped from analytics
+-- events about them, token records drop the resume id, webhook deliveries about them are deleted and
+-- their entries are taken out of batch results. Returns the number of rows changed per table.
+create or replace function scrub_resume_references(
+  company_id uuid,
+  resume_ids uuid[],
+  keys text[]
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  ids text[] := scrub_resume_references.resume_ids::text[];
+  events integer;
+  usage integer;
+  reservations integer;
+  ledger integer;
+  deliveries integer;
+  batches integer;
+begin
+  update analytics_events e
+     set event_data = e.event_data - scrub_resume_references.keys
+   where e.company_id = scrub_resume_references.company_id
+     and (e.event_data->>'resumeId' = any(ids)
+          or e.event_data->>'duplicateOf' = any(ids)
+          or (jsonb_typeof(e.event_data->'resumeIds') = 'array' and e.event_data->'resumeIds' ?| ids));
+  get diagnostics events = row_count;
+
+  update token_usage u
+     set resume_id = null
+   where u.company_id = scrub_resume_references.company_id
+     and u.resume_id = any(scrub_resume_references.resume_ids);
+  get diagnostics usage = row_count;
+
+  update token_reservations r
+     set resume_id = null
+   where r.company_id = scrub_resume_references.company_id
+     and r.resume_id = any(scrub_resume_references.resume_ids);
+  get diagnostics reservations = row_count;
+
+  update token_ledger l
+     set resume_id = null
+   where l.company_id = scrub_resume_references.company_id
+     and l.resume_id = any(scrub_resume_references.resume_ids);
+  get diagnostics ledger = row_count;
+
+  delete from webhook_deliveries d
+   where d.company_id = scrub_resume_references.company_id
+     and d.payload->'data'->>'resumeId' = any(ids);
+  get diagnostics deliveries = row_count;
+
+  update resume_batches b
+     set results = (
+       select coalesce(jsonb_agg(entry order by position), '[]'::jsonb)
+         from jsonb_array_elements(b.results) with ordinality as r(entry, position)
+        where not coalesce(entry->>'resumeId' = any(ids), false)
+     )
+   where b.company_id = scrub_resume_references.company_id
+     and jsonb_typeof(b.results) = 'array'
+     and exists (
+       select 1 from jsonb_array_elements(b.results) as r(entry)
+        where entry->>'resumeId' = any(ids)
+     );
+  get diagnostics batches = row_count;
+
+  return jsonb_build_object(
+    'analytics_events', events,
+    'token_usage', usage,
+    'token_reservations', reservations,
+    'token_ledger', ledger,
+    'webhook_deliveries', deliveries,
+    'resume_batches', batches
+  );
+end;
+$$;
+
+-- Deletes the resumes and saves their aggregates together. Raises, changing nothing, when any of the
+-- resumes is already gone, so a retried batch cannot add its totals twice. Returns the number deleted.
+create or replace function purge_resumes(
+  company_id uuid,
+  resume_ids uuid[],
+  aggregates jsonb
+) returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  expected integer := cardinality(array(select distinct unnest(purge_resumes.resume_ids)));
+  deleted integer;
+begin
+  delete from resumes r
+   where r.company_id = purge_resumes.company_id
+     and r.id = any(purge_resumes.resume_ids);
+  get diagnostics deleted = row_count;
+
+  if deleted <> expected then
+    raise exception 'Expected to purge % resumes, found %', expected, deleted;
+  end if;
+
+  insert into retention_aggregates (company_id, job_id, month, resumes, processed, scored, score_total,
+                                    recommendations, stages, statuses, purged_at)
+  select purge_resumes.company_id, a.job_id, a.month, a.resumes, a.processed, a.scored, a.score_total,
+         a.recommendations, a.stages, a.statuses, coalesce(a.purged_at, now())
+    from jsonb_populate_recordset(null::retention_aggregates, coalesce(purge_resumes.aggregates, '[]'::jsonb)) a;
+
+  return deleted;
+end;
+$$;
+
+-- Only the backend (service role) may erase
+revoke execute on function scrub_resume_references(uuid, uuid[], text[]) from public, anon, authenticated;
+revoke execute on function purge_resumes(uuid, uuid[], jsonb) from public, anon, authenticated;
+grant execute on function scrub_resume_references(uuid, uuid[], text[]) to service_role;
+grant execute on function purge_resumes(uuid, uuid[], jsonb) to service_role;
@@ -0,0 +1,5 @@
+-- Receiver response bodies are no longer recorded: they can echo back whatever the receiver returns,
+-- including internal data. Drop the column and what it already holds; the status code is kept.
+
+alter table webhook_deliveries
+  drop column if exists response_body;
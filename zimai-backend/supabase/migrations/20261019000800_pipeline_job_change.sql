@@ -0,0 +1,24 @@
+-- A resume re-scored against another job leaves the old job's pipeline: its stage is cleared, so it starts
+-- the new job's pipeline at the first stage, and the exit is recorded in the stage history. A trigger, so
+-- the reset happens in the same transaction as whichever update changes job_id.
+
+create or replace function reset_pipeline_stage_on_job_change() returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if old.job_id is not null and new.job_id is distinct from old.job_id then
+    insert into resume_stage_history (resume_id, company_id, job_id, from_stage, to_stage, reason)
+    values (old.id, old.company_id, old.job_id, old.pipeline_stage, null, 'Re-scored against another job');
+
+    new.pipeline_stage := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists resumes_reset_pipeline_stage on resumes;
+create trigger resumes_reset_pipeline_stage
+  before update of job_id on resumes
+  for each row execute function reset_pipeline_stage_on_job_change();
@@ -0,0 +1,79 @@
+-- Re-applies a job's scoring policy to the resumes already scored against it, so changing the job's
+-- weights or thresholds does not leave stale scores and recommendation bands behind for filters,
+-- shortlists and exports. The backend passes the policy in the form scoringPolicy builds it: weights
+-- normalized to sum to 1, thresholds with both pass and review.
+
+-- Weighted sum of the breakdown, rounded and clamped to 0-100 (scoringPolicy.overallScore)
+create or replace function policy_overall_score(breakdown jsonb, weights jsonb) returns integer
+language sql
+immutable
+set search_path = public
+as $$
+  select least(100, greatest(0, round(coalesce(sum(coalesce((breakdown->>w.key)::numeric, 0) * w.value::numeric), 0))))::integer
+    from jsonb_each_text(weights) w;
+$$;
+
+-- scoringPolicy.recommendation
+create or replace function policy_recommendation(score numeric, thresholds jsonb) returns text
+language sql
+immutable
+set search_path = public
+as $$
+  select case
+    when score is null then null
+    when score >= (thresholds->>'pass')::numeric then 'pass'
+    when score >= (thresholds->>'review')::numeric then 'review'
+    else 'reject'
+  end;
+$$;
+
+-- The effective score is recomputed from the effective breakdown, which includes any reviewer override of
+-- single dimensions; an overall score a reviewer set by hand is kept and only re-banded. The assessment is
+-- updated to the new policy so later overrides use it too. Returns the number of resumes updated.
+create or replace function reband_job_resumes(
+  job_id uuid,
+  weights jsonb,
+  thresholds jsonb
+) returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  updated integer;
+begin
+  update resumes r
+     set score = s.score,
+         recommendation = policy_recommendation(s.score, reband_job_resumes.thresholds),
+         assessment = coalesce(r.assessment, '{}'::jsonb) || jsonb_build_object(
+           'overallScore', s.ai_score,
+           'recommendation', policy_recommendation(s.ai_score, reband_job_resumes.thresholds),
+           'weights', reband_job_resumes.weights,
+           'thresholds', reband_job_resumes.thresholds
+         ),
+         updated_at = now()
+    from (
+      select c.id,
+             case when coalesce((c.score_override->>'overall_overridden')::boolean, false)
+                  then c.score
+                  else policy_overall_score(c.score_breakdown, reband_job_resumes.weights)
+             end as score,
+             policy_overall_score(coalesce(c.assessment->'breakdown', c.score_breakdown), reband_job_resumes.weights) as ai_score
+        from resumes c
+       where c.job_id = reband_job_resumes.job_id
+         and c.status = 'processed'
+         and c.score_breakdown is not null
+    ) s
+   where r.id = s.id;
+
+  get diagnostics updated = row_count;
+  return updated;
+end;
+$$;
+
+revoke execute on function policy_overall_score(jsonb, jsonb) from public, anon, authenticated;
+revoke execute on function policy_recommendation(numeric, jsonb) from public, anon, authenticated;
+revoke execute on function reband_job_resumes(uuid, jsonb, jsonb) from public, anon, authenticated;
+grant execute on function policy_overall_score(jsonb, jsonb) to service_role;
+grant execute on function policy_recommendation(numeric, jsonb) to service_role;
+grant execute on function reband_job_resumes(uuid, jsonb, jsonb) to service_role;
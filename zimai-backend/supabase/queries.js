@@ -1,5 +1,29 @@
 const supabase = require('./client');
 const logger = require('../utils/logger');
+const { EDUCATION_LEVELS } = require('../utils/sanitizeText');
+
+// Everything the scorer produced beyond the headline score, kept so the assessment can be shown in full
+const assessmentOf = (scoreData) => ({
+  overallScore: scoreData.overallScore,
+  fitScore: scoreData.fitScore,
+  modelScore: scoreData.modelScore ?? null,
+  breakdown: scoreData.breakdown || null,
+  weights: scoreData.weights || null,
+  thresholds: scoreData.thresholds || null,
+  recommendation: scoreData.recommendation || null,
+  summary: scoreData.summary || null,
+  strengths: scoreData.strengths || [],
+  weaknesses: scoreData.weaknesses || [],
+  keywordMatches: scoreData.keywordMatches || [],
+  recommendations: scoreData.recommendations || [],
+  redFlags: scoreData.redFlags || [],
+  experienceYears: scoreData.experienceYears,
+  explanation: scoreData.explanation || null,
+  fallbackReason: scoreData.fallbackReason || null
+});
+
+// Narrows a resumes query to one job, or to resumes without a job when jobId is null
+const sameJob = (query, jobId) => (jobId ? query.eq('job_id', jobId) : query.is('job_id', null));
 
 class DatabaseQueries {
   // Resume operations
@@ -19,7 +43,7 @@ class DatabaseQueries {
     }
   }
 
-  async updateResumeScore(resumeId, scoreData) {
+  async updateResumeScore(resumeId, scoreData, jobRequirements = null, basicInfo = {}, profile = null, scoreVersion = null) {
     try {
       const { data, error } = await supabase
         .from('resumes')
@@ -27,9 +51,34 @@ class DatabaseQueries {
           score: scoreData.overallScore,
           ai_summary: scoreData.summary,
           keywords_matched: scoreData.keywordsMatched,
+          keyword_matches: scoreData.keywordMatches || [],
+          fit_score: scoreData.fitScore,
+          score_breakdown: scoreData.breakdown || null,
+          recommendation: scoreData.recommendation || null,
+          assessment: assessmentOf(scoreData),
+          // A new scoring run replaces any human override; the override stays in score_overrides
+          score_override: null,
+          score_version: scoreVersion,
           experience_years: scoreData.experienceYears,
           candidate_name: scoreData.candidateName,
+          candidate_email: basicInfo.email || null,
+          candidate_phone: basicInfo.phone || null,
+          candidate_profile: profile,
+          // Flattened copies of profile fields so list queries can filter on them
+          candidate_skills: profile ? profile.skills.map(skill => skill.toLowerCase()) : [],
+          education_level: profile?.educationLevel || null,
+          scoring_method: scoreData.scoringMethod || 'ai',
+          scoring_provider: scoreData.provider || null,
+          scoring_model: scoreData.model || null,
+          prompt_version: scoreData.promptVersion || null,
+          // A different job_id clears pipeline_stage and records the exit in the stage history
+          // (trigger in migrations/20261019000800_pipeline_job_change.sql)
+          job_id: jobRequirements?.id || null,
+          job_version: jobRequirements?.version || null,
           status: 'processed',
+          processing_stage: 'completed',
+          error_message: null,
+          rescore_request: null,
           processed_at: new Date().toISOString()
         })
         .eq('id', resumeId)
@@ -87,36 +136,396 @@ class DatabaseQueries {
     }
   }
 
-  async decrementCompanyTokens(companyId) {
+  async updateCompanySettings(companyId, settings) {
+    try {
+      const { data, error } = await supabase
+        .from('companies')
+        .update({
+          ...settings,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', companyId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating company settings:', error);
+      throw error;
+    }
+  }
+
+  // Token ledger. Each RPC moves the balance and writes its token_ledger entry in one
+  // transaction, so tokens_remaining always equals the sum of the ledger
+  // (supabase/migrations/20261019000100_token_ledger.sql).
+
+  // Moves `amount` from tokens_remaining into a new reservation; returns null when the balance is short
+  async reserveTokens(companyId, amount, { operation, resumeId = null, actorId = null }) {
     try {
-      const { data, error } = await supabase.rpc('decrement_token', {
-        company_id: companyId
+      const { data, error } = await supabase.rpc('reserve_tokens', {
+        company_id: companyId,
+        amount,
+        operation,
+        resume_id: resumeId,
+        actor_id: actorId
       });
 
       if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error decrementing tokens:', error);
+      logger.error('Error reserving tokens:', error);
       throw error;
     }
   }
 
-  // Job requirements
-  async getJobRequirements(companyId) {
+  // Marks reserved tokens as spent and records them in token_usage in the same transaction
+  async commitTokens(reservationId, amount, { operation, resumeId = null }) {
+    try {
+      const { data, error } = await supabase.rpc('commit_token_reservation', {
+        reservation_id: reservationId,
+        amount,
+        operation,
+        resume_id: resumeId
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error committing tokens:', error);
+      throw error;
+    }
+  }
+
+  // Returns unspent reserved tokens to the balance; a null amount releases everything outstanding
+  async releaseTokens(reservationId, amount, { reason, resumeId = null }) {
+    try {
+      const { data, error } = await supabase.rpc('release_token_reservation', {
+        reservation_id: reservationId,
+        amount,
+        reason,
+        resume_id: resumeId
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error releasing tokens:', error);
+      throw error;
+    }
+  }
+
+  // Adds tokens to the balance with a 'grant' ledger entry
+  async grantTokens(companyId, amount, { reason, actorId }) {
+    try {
+      const { data, error } = await supabase.rpc('grant_tokens', {
+        company_id: companyId,
+        amount,
+        reason,
+        actor_id: actorId
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error granting tokens:', error);
+      throw error;
+    }
+  }
+
+  // Tokens held by open reservations: taken off the balance but not yet spent
+  async getReservedTokens(companyId) {
     try {
       const { data, error } = await supabase
+        .from('token_reservations')
+        .select('amount, committed, released')
+        .eq('company_id', companyId)
+        .eq('status', 'open');
+
+      if (error) throw error;
+      return (data || []).reduce((total, r) => total + r.amount - r.committed - r.released, 0);
+    } catch (error) {
+      logger.error('Error fetching reserved tokens:', error);
+      throw error;
+    }
+  }
+
+  async getTokenUsage(companyId, limit = 50, offset = 0, filters = {}) {
+    try {
+      const { operation, resumeId, from, to } = filters;
+
+      let query = supabase
+        .from('token_usage')
+        .select('*', { count: 'exact' })
+        .eq('company_id', companyId);
+
+      if (operation) query = query.eq('operation', operation);
+      if (resumeId) query = query.eq('resume_id', resumeId);
+      if (from) query = query.gte('timestamp', new Date(from).toISOString());
+      if (to) query = query.lte('timestamp', new Date(to).toISOString());
+
+      const { data, error, count } = await query
+        .order('timestamp', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { entries: data || [], totalCount: count || 0 };
+    } catch (error) {
+      logger.error('Error fetching token usage:', error);
+      throw error;
+    }
+  }
+
+  // Job requirements
+  // Returns the requested posting, or the newest active one when no jobId is given.
+  async getJobRequirements(companyId, jobId = null) {
+    try {
+      let query = supabase
         .from('job_requirements')
         .select('*')
         .eq('company_id', companyId)
+        .eq('is_active', true);
+
+      query = jobId
+        ? query.eq('id', jobId)
+        : query.order('created_at', { ascending: false }).limit(1);
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching job requirements:', error);
+      throw error;
+    }
+  }
+
+  async getJobById(jobId) {
+    try {
+      const { data, error } = await supabase
+        .from('job_requirements')
+        .select('*')
+        .eq('id', jobId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching job:', error);
+      throw error;
+    }
+  }
+
+  async getJobsByCompany(companyId, includeArchived = false) {
+    try {
+      let query = supabase
+        .from('job_requirements')
+        .select('*')
+        .eq('company_id', companyId);
+
+      if (!includeArchived) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching company jobs:', error);
+      throw error;
+    }
+  }
+
+  async createJob(companyId, jobData, createdBy) {
+    try {
+      const { data, error } = await supabase
+        .from('job_requirements')
+        .insert({
+          ...jobData,
+          company_id: companyId,
+          created_by: createdBy,
+          version: 1,
+          is_active: true
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.saveJobVersion(data);
+      return data;
+    } catch (error) {
+      logger.error('Error creating job:', error);
+      throw error;
+    }
+  }
+
+  // Every update bumps the version so scored resumes keep pointing at the requirements they were scored against.
+  // Applies only while the job is still active at the version that was read, so two concurrent updates cannot
+  // both become the same next version; returns null when the job changed in between.
+  async updateJob(job, changes, updatedBy) {
+    try {
+      const { data, error } = await supabase
+        .from('job_requirements')
+        .update({
+          ...changes,
+          version: job.version + 1,
+          updated_by: updatedBy,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id)
+        .eq('version', job.version)
         .eq('is_active', true)
-        .order('created_at', { ascending: false })
-        .limit(1)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      await this.saveJobVersion(data);
+      return data;
+    } catch (error) {
+      logger.error('Error updating job:', error);
+      throw error;
+    }
+  }
+
+  // Re-applies the job's scoring policy (as built by scoringPolicy) to the resumes scored against it: effective
+  // scores are recomputed from their breakdowns and re-banded. See migrations/20261019000900_reband_job_resumes.sql.
+  async rebandJobResumes(jobId, weights, thresholds) {
+    try {
+      const { data, error } = await supabase.rpc('reband_job_resumes', {
+        job_id: jobId,
+        weights,
+        thresholds
+      });
+
+      if (error) throw error;
+      return data || 0;
+    } catch (error) {
+      logger.error('Error re-banding job resumes:', error);
+      throw error;
+    }
+  }
+
+  async archiveJob(jobId) {
+    try {
+      const { data, error } = await supabase
+        .from('job_requirements')
+        .update({
+          is_active: false,
+          archived_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error archiving job:', error);
+      throw error;
+    }
+  }
+
+  async saveJobVersion(job) {
+    try {
+      const { id, company_id, version, created_at, updated_at, ...requirements } = job;
+
+      const { data, error } = await supabase
+        .from('job_requirement_versions')
+        .insert({
+          job_id: id,
+          company_id,
+          version,
+          requirements,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error saving job version:', error);
+      throw error;
+    }
+  }
+
+  async getJobVersion(jobId, version) {
+    try {
+      const { data, error } = await supabase
+        .from('job_requirement_versions')
+        .select('*')
+        .eq('job_id', jobId)
+        .eq('version', version)
         .single();
 
       if (error && error.code !== 'PGRST116') throw error;
       return data || null;
     } catch (error) {
-      logger.error('Error fetching job requirements:', error);
+      logger.error('Error fetching job version:', error);
+      throw error;
+    }
+  }
+
+  // Batch processing runs
+  async createResumeBatch(batch) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_batches')
+        .insert({
+          id: batch.id,
+          company_id: batch.companyId,
+          created_by: batch.actorId,
+          job_id: batch.jobId,
+          resume_ids: batch.resumeIds,
+          status: 'running',
+          created_at: batch.startedAt
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating resume batch:', error);
+      throw error;
+    }
+  }
+
+  async completeResumeBatch(batchId, results, summary) {
+    try {
+      const { error } = await supabase
+        .from('resume_batches')
+        .update({
+          status: 'completed',
+          results,
+          summary,
+          completed_at: new Date().toISOString()
+        })
+        .eq('id', batchId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error completing resume batch:', error);
+      throw error;
+    }
+  }
+
+  async getResumeBatch(batchId) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_batches')
+        .select('*')
+        .eq('id', batchId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching resume batch:', error);
       throw error;
     }
   }
@@ -159,63 +568,1297 @@ class DatabaseQueries {
     }
   }
 
-  // Token usage tracking
-  async logTokenUsage(companyId, resumeId, tokensUsed, operation) {
+  // Scoring fields of processed resumes for aggregate statistics; no candidate identity is selected
+  async getScoredResumes(companyId, from, to, { jobId = null, limit = 1000, offset = 0 } = {}) {
     try {
-      const { data, error } = await supabase
-        .from('token_usage')
-        .insert({
-          company_id: companyId,
-          resume_id: resumeId,
-          tokens_used: tokensUsed,
-          operation: operation,
-          timestamp: new Date().toISOString()
-        })
-        .select()
-        .single();
+      let query = supabase
+        .from('resumes')
+        .select('score, recommendation, score_breakdown, experience_years, education_level, candidate_skills, keyword_matches, scoring_method')
+        .eq('company_id', companyId)
+        .eq('status', 'processed')
+        .gte('processed_at', from.toISOString())
+        .lte('processed_at', to.toISOString());
+
+      if (jobId) query = query.eq('job_id', jobId);
+
+      const { data, error } = await query
+        .order('processed_at', { ascending: true })
+        .range(offset, offset + limit - 1);
 
       if (error) throw error;
-      return data;
+      return data || [];
     } catch (error) {
-      logger.error('Error logging token usage:', error);
+      logger.error('Error fetching scored resumes:', error);
       throw error;
     }
   }
 
-  // Batch operations
-  async getResumesByCompany(companyId, limit = 50, offset = 0) {
+  async getCachedInsights(companyId, cacheKey) {
     try {
       const { data, error } = await supabase
-        .from('resumes')
+        .from('insights_cache')
         .select('*')
         .eq('company_id', companyId)
+        .eq('cache_key', cacheKey)
+        .gt('expires_at', new Date().toISOString())
         .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
+        .limit(1)
+        .maybeSingle();
 
       if (error) throw error;
-      return data || [];
+      return data;
     } catch (error) {
-      logger.error('Error fetching company resumes:', error);
+      logger.error('Error fetching cached insights:', error);
       throw error;
     }
   }
 
-  async getResumesForProcessing(limit = 10) {
+  async saveInsights(entry) {
     try {
       const { data, error } = await supabase
-        .from('resumes')
-        .select('*')
-        .eq('status', 'uploaded')
-        .order('created_at', { ascending: true })
-        .limit(limit);
-
-      if (error) throw error;
+        .from('insights_cache')
+        .insert({
+          ...entry,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error saving insights:', error);
+      throw error;
+    }
+  }
+
+  // Applies list filters shared by the resume list and export endpoints
+  applyResumeFilters(query, filters = {}) {
+    const {
+      status, jobId, minScore, maxScore, processedFrom, processedTo,
+      search, keywords, minExperience, maxExperience, skills, educationLevel, duplicates, recommendation
+    } = filters;
+
+    if (status) query = query.eq('status', status);
+    if (recommendation) query = query.eq('recommendation', recommendation);
+    if (jobId) query = query.eq('job_id', jobId);
+    if (minScore !== undefined) query = query.gte('score', minScore);
+    if (maxScore !== undefined) query = query.lte('score', maxScore);
+    if (processedFrom) query = query.gte('processed_at', new Date(processedFrom).toISOString());
+    if (processedTo) query = query.lte('processed_at', new Date(processedTo).toISOString());
+    if (minExperience !== undefined) query = query.gte('experience_years', minExperience);
+    if (maxExperience !== undefined) query = query.lte('experience_years', maxExperience);
+    if (keywords && keywords.length > 0) query = query.contains('keyword_matches', keywords);
+    if (skills && skills.length > 0) {
+      query = query.contains('candidate_skills', skills.map(skill => skill.toLowerCase()));
+    }
+
+    if (duplicates === 'only') query = query.not('duplicate_of', 'is', null);
+    if (duplicates === 'exclude') query = query.is('duplicate_of', null);
+
+    if (educationLevel) {
+      // Minimum level: match the requested level and everything ranked above it
+      const minimum = EDUCATION_LEVELS.find(({ level }) => level === educationLevel);
+      const levels = EDUCATION_LEVELS.filter(({ rank }) => rank >= minimum.rank).map(({ level }) => level);
+      query = query.in('education_level', levels);
+    }
+
+    if (search) {
+      // Strip characters that carry meaning in PostgREST filter syntax
+      const term = search.replace(/[,()%*\\]/g, ' ').trim();
+      if (term) {
+        query = query.or(`candidate_name.ilike.%${term}%,candidate_email.ilike.%${term}%`);
+      }
+    }
+
+    return query;
+  }
+
+  // Batch operations
+  async getResumesByCompany(companyId, limit = 50, offset = 0, filters = {}) {
+    try {
+      const { sortBy = 'created_at', sortOrder = 'desc' } = filters;
+
+      let query = supabase
+        .from('resumes')
+        .select('*', { count: 'exact' })
+        .eq('company_id', companyId);
+
+      query = this.applyResumeFilters(query, filters);
+
+      // id breaks ties so offset pages (the export reads every page) neither repeat nor skip rows
+      const { data, error, count } = await query
+        .order(sortBy, { ascending: sortOrder === 'asc', nullsFirst: false })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { resumes: data || [], totalCount: count || 0 };
+    } catch (error) {
+      logger.error('Error fetching company resumes:', error);
+      throw error;
+    }
+  }
+
+  // Ranking pool: every processed resume scored against the job
+  async getProcessedResumesForJob(jobId) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .select('id, company_id, filename, candidate_name, score, recommendation, fit_score, keywords_matched, keyword_matches, experience_years, ai_summary, scoring_method, processed_at')
+        .eq('job_id', jobId)
+        .eq('status', 'processed');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching processed resumes for job:', error);
+      throw error;
+    }
+  }
+
+  async getResumesForProcessing(limit = 10) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .select('*')
+        .eq('status', 'uploaded')
+        .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
       return data || [];
     } catch (error) {
       logger.error('Error fetching resumes for processing:', error);
       throw error;
     }
   }
+
+  // Processing queue
+  // Optimistic claim: only succeeds if nobody changed the row since it was read
+  async claimResume(resume) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({
+          status: 'processing',
+          processing_stage: 'queued',
+          attempts: (resume.attempts || 0) + 1,
+          claimed_at: new Date().toISOString(),
+          next_attempt_at: null
+        })
+        .eq('id', resume.id)
+        .eq('status', resume.status)
+        .eq('attempts', resume.attempts || 0)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error claiming resume:', error);
+      throw error;
+    }
+  }
+
+  // Drops the resume's claim on a reservation once its token has been committed or released
+  async clearResumeReservation(resumeId) {
+    try {
+      const { error } = await supabase
+        .from('resumes')
+        .update({ token_reservation_id: null })
+        .eq('id', resumeId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error clearing resume reservation:', error);
+      throw error;
+    }
+  }
+
+  // Put a scored resume back on the worker queue for a re-score. Optimistic like claimResume, so a
+  // resume that started processing since it was read is not queued twice.
+  async queueRescore(resume, request, reservationId) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({
+          status: 'uploaded',
+          processing_stage: 'queued',
+          attempts: 0,
+          claimed_at: null,
+          next_attempt_at: null,
+          error_message: null,
+          token_reservation_id: reservationId,
+          rescore_request: request
+        })
+        .eq('id', resume.id)
+        .eq('status', resume.status)
+        .eq('attempts', resume.attempts || 0)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error queueing resume re-score:', error);
+      throw error;
+    }
+  }
+
+  // Put a resume back the way it was before its re-score was queued, so its previous score stays current
+  async restoreAfterRescore(resume, errorMessage) {
+    try {
+      const { previousStatus, previousStage } = resume.rescore_request;
+
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({
+          status: previousStatus,
+          processing_stage: previousStage,
+          claimed_at: null,
+          next_attempt_at: null,
+          error_message: errorMessage,
+          rescore_request: null
+        })
+        .eq('id', resume.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error restoring resume after re-score:', error);
+      throw error;
+    }
+  }
+
+  // Score history: one immutable row per scoring run
+  async saveScoreVersion(resume, version, scoreData, jobRequirements = null, { trigger = 'upload', actorId = null } = {}) {
+    try {
+      const { id, company_id, created_at, updated_at, ...requirements } = jobRequirements || {};
+
+      // Upsert so a worker retry after a failed save overwrites its own earlier attempt
+      const { data, error } = await supabase
+        .from('resume_score_versions')
+        .upsert({
+          resume_id: resume.id,
+          company_id: resume.company_id,
+          version,
+          score: scoreData.overallScore,
+          recommendation: scoreData.recommendation || null,
+          assessment: assessmentOf(scoreData),
+          scoring_method: scoreData.scoringMethod || 'ai',
+          provider: scoreData.provider || null,
+          model: scoreData.model || null,
+          prompt_version: scoreData.promptVersion || null,
+          tokens_used: scoreData.tokensUsed || 0,
+          job_id: jobRequirements?.id || null,
+          job_version: jobRequirements?.version || null,
+          job_snapshot: jobRequirements ? requirements : null,
+          trigger,
+          created_by: actorId,
+          created_at: new Date().toISOString()
+        }, { onConflict: 'resume_id,version' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error saving score version:', error);
+      throw error;
+    }
+  }
+
+  async getScoreVersions(resumeId) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_score_versions')
+        .select('*')
+        .eq('resume_id', resumeId)
+        .order('version', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching score versions:', error);
+      throw error;
+    }
+  }
+
+  // Hiring pipeline
+  // Sets the stage and appends the resume_stage_history row in one transaction. The RPC only applies
+  // the move while the stored stage still equals `expected_stage`; it returns null otherwise.
+  async moveResumeStage(resume, { jobId, fromStage, toStage, movedBy = null, reason = null }) {
+    try {
+      const { data, error } = await supabase.rpc('move_resume_stage', {
+        resume_id: resume.id,
+        expected_stage: resume.pipeline_stage || null,
+        job_id: jobId,
+        from_stage: fromStage,
+        to_stage: toStage,
+        moved_by: movedBy,
+        reason
+      });
+
+      if (error) throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error moving resume stage:', error);
+      throw error;
+    }
+  }
+
+  async getStageHistory(resumeId) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_stage_history')
+        .select('*')
+        .eq('resume_id', resumeId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching stage history:', error);
+      throw error;
+    }
+  }
+
+  // Processed resumes grouped by job and stored stage ({ job_id, stage, count }); stage is null
+  // for candidates that have not been moved yet. Pass a jobId to count a single job.
+  async getPipelineStageCounts(companyId, jobId = null) {
+    try {
+      const { data, error } = await supabase.rpc('get_pipeline_stage_counts', {
+        company_id: companyId,
+        job_id: jobId
+      });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching pipeline stage counts:', error);
+      throw error;
+    }
+  }
+
+  // Score overrides
+  // Sets the effective score, breakdown and recommendation with the override (kept in score_override) and
+  // appends it to score_overrides in one transaction. Returns null if the resume was re-scored since it was read.
+  async applyScoreOverride(resume, entry) {
+    try {
+      const { data, error } = await supabase.rpc('apply_score_override', {
+        resume_id: resume.id,
+        expected_version: resume.score_version,
+        score: entry.override_score,
+        score_breakdown: entry.final_breakdown,
+        recommendation: entry.override_recommendation,
+        override: entry
+      });
+
+      if (error) throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error applying score override:', error);
+      throw error;
+    }
+  }
+
+  async getScoreOverrides(jobId, { from = null, to = null } = {}) {
+    try {
+      let query = supabase
+        .from('score_overrides')
+        .select('*')
+        .eq('job_id', jobId);
+
+      if (from) query = query.gte('created_at', new Date(from).toISOString());
+      if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching score overrides:', error);
+      throw error;
+    }
+  }
+
+  async updateResumeProgress(resumeId, stage) {
+    try {
+      const { error } = await supabase
+        .from('resumes')
+        .update({ processing_stage: stage })
+        .eq('id', resumeId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error updating resume progress:', error);
+      throw error;
+    }
+  }
+
+  async scheduleResumeRetry(resumeId, nextAttemptAt, errorMessage) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({
+          status: 'uploaded',
+          processing_stage: 'queued',
+          next_attempt_at: nextAttemptAt.toISOString(),
+          error_message: errorMessage
+        })
+        .eq('id', resumeId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error scheduling resume retry:', error);
+      throw error;
+    }
+  }
+
+  async requeueStaleResumes(claimedBefore) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({
+          status: 'uploaded',
+          processing_stage: 'queued'
+        })
+        .eq('status', 'processing')
+        .lt('claimed_at', claimedBefore.toISOString())
+        .select('id');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error requeueing stale resumes:', error);
+      throw error;
+    }
+  }
+  // Blind screening keeps the exact text the scorer saw for later review
+  async saveRedactedText(resumeId, redaction) {
+    try {
+      const { error } = await supabase
+        .from('resumes')
+        .update({
+          blind_screening: true,
+          redacted_text: redaction.text,
+          redactions: redaction.redactions
+        })
+        .eq('id', resumeId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error saving redacted text:', error);
+      throw error;
+    }
+  }
+
+  // Duplicate detection
+  // Matches are limited to resumes for the same job (or, with no job, to other resumes without one):
+  // the same candidate applying to another job is a new application and is scored against that job
+  async findResumeByContentHash(companyId, jobId, contentHash) {
+    try {
+      // Link to the original upload rather than to an earlier duplicate of it
+      const { data, error } = await sameJob(supabase
+        .from('resumes')
+        .select('id, filename, status, score, job_id, created_at')
+        .eq('company_id', companyId), jobId)
+        .eq('content_hash', contentHash)
+        .is('duplicate_of', null)
+        .neq('status', 'failed')
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error finding resume by content hash:', error);
+      throw error;
+    }
+  }
+
+  async findPossibleDuplicates(companyId, jobId, excludeResumeId, { email, phone, nameTerm }) {
+    try {
+      const conditions = [];
+      if (email) conditions.push(`normalized_email.eq."${email}"`);
+      if (phone) conditions.push(`normalized_phone.eq.${phone}`);
+      if (nameTerm) conditions.push(`candidate_name.ilike.*${nameTerm}*`);
+
+      const { data, error } = await sameJob(supabase
+        .from('resumes')
+        .select('id, candidate_name, normalized_email, normalized_phone, text_fingerprint, created_at')
+        .eq('company_id', companyId), jobId)
+        .neq('id', excludeResumeId)
+        .is('duplicate_of', null)
+        .neq('status', 'failed')
+        .or(conditions.join(','))
+        .order('created_at', { ascending: true })
+        .limit(25);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error finding possible duplicates:', error);
+      throw error;
+    }
+  }
+
+  async saveResumeIdentity(resumeId, identity, duplicate = null) {
+    try {
+      const updateData = {
+        normalized_email: identity.normalizedEmail,
+        normalized_phone: identity.normalizedPhone,
+        text_fingerprint: identity.fingerprint
+      };
+
+      // Only overwrite the duplicate flag when there is a new match to record
+      if (duplicate) {
+        updateData.duplicate_of = duplicate.resumeId;
+        updateData.duplicate_match = {
+          type: duplicate.type,
+          reasons: duplicate.reasons,
+          similarity: duplicate.similarity
+        };
+      }
+
+      const { data, error } = await supabase
+        .from('resumes')
+        .update(updateData)
+        .eq('id', resumeId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error saving resume identity:', error);
+      throw error;
+    }
+  }
+
+  // Resume notes
+  // Team notes plus the caller's own private notes, as threads: top-level notes with their replies, oldest first
+  async getResumeNotes(resumeId, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_notes')
+        .select('*')
+        .eq('resume_id', resumeId)
+        .or(`visibility.eq.team,author_id.eq.${userId}`)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const notes = data || [];
+      const threads = notes
+        .filter(note => !note.parent_id)
+        .map(note => ({ ...note, replies: [] }));
+      const byId = new Map(threads.map(thread => [thread.id, thread]));
+
+      notes
+        .filter(note => note.parent_id)
+        .forEach(reply => byId.get(reply.parent_id)?.replies.push(reply));
+
+      return threads;
+    } catch (error) {
+      logger.error('Error fetching resume notes:', error);
+      throw error;
+    }
+  }
+
+  async getNoteById(noteId) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_notes')
+        .select('*')
+        .eq('id', noteId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching note:', error);
+      throw error;
+    }
+  }
+
+  async createNote(note) {
+    try {
+      const now = new Date().toISOString();
+
+      const { data, error } = await supabase
+        .from('resume_notes')
+        .insert({
+          ...note,
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating note:', error);
+      throw error;
+    }
+  }
+
+  async updateNote(noteId, changes) {
+    try {
+      const { data, error } = await supabase
+        .from('resume_notes')
+        .update({
+          ...changes,
+          edited_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', noteId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating note:', error);
+      throw error;
+    }
+  }
+
+  // Deleting a note takes its replies with it
+  async deleteNote(noteId) {
+    try {
+      const { error } = await supabase
+        .from('resume_notes')
+        .delete()
+        .or(`id.eq.${noteId},parent_id.eq.${noteId}`);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error deleting note:', error);
+      throw error;
+    }
+  }
+
+  // Team notes that mention the user, newest first
+  async getMentions(companyId, userId, limit = 20, offset = 0) {
+    try {
+      const { data, error, count } = await supabase
+        .from('resume_notes')
+        .select('*', { count: 'exact' })
+        .eq('company_id', companyId)
+        .eq('visibility', 'team')
+        .contains('mentions', [userId])
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { notes: data || [], totalCount: count || 0 };
+    } catch (error) {
+      logger.error('Error fetching mentions:', error);
+      throw error;
+    }
+  }
+
+  // Which of the given user ids belong to the company
+  async getCompanyUserIds(companyId, userIds) {
+    try {
+      const { data, error } = await supabase
+        .from('user_metadata')
+        .select('user_id')
+        .eq('company_id', companyId)
+        .in('user_id', userIds);
+
+      if (error) throw error;
+      return (data || []).map(row => row.user_id);
+    } catch (error) {
+      logger.error('Error fetching company users:', error);
+      throw error;
+    }
+  }
+
+  // Audit log
+  // Inserts only: the table has no update or delete path in the API, and the hash chain exposes any change made outside it
+  async getLatestAuditEntry(companyId) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('sequence, hash')
+        .eq('company_id', companyId)
+        .order('sequence', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error fetching latest audit entry:', error);
+      throw error;
+    }
+  }
+
+  // Rejected with a unique violation (23505) when another writer already used the sequence number
+  async insertAuditEntry(entry) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .insert(entry)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      if (error.code !== '23505') {
+        logger.error('Error writing audit entry:', error);
+      }
+      throw error;
+    }
+  }
+
+  async getAuditEntries(companyId, limit = 50, offset = 0, filters = {}) {
+    try {
+      const { actorId, action, targetType, targetId, resumeId, outcome, from, to, order = 'desc' } = filters;
+
+      let query = supabase
+        .from('audit_log')
+        .select('*', { count: 'exact' })
+        .eq('company_id', companyId);
+
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (action) query = query.eq('action', action);
+      if (targetType) query = query.eq('target_type', targetType);
+      if (targetId) query = query.eq('target_id', targetId);
+      if (resumeId) query = query.contains('resume_ids', [resumeId]);
+      if (outcome) query = query.eq('outcome', outcome);
+      if (from) query = query.gte('created_at', new Date(from).toISOString());
+      if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+      const { data, error, count } = await query
+        .order('sequence', { ascending: order === 'asc' })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { entries: data || [], totalCount: count || 0 };
+    } catch (error) {
+      logger.error('Error fetching audit entries:', error);
+      throw error;
+    }
+  }
+
+  // The chain in order, for verification
+  async getAuditChain(companyId, afterSequence = 0, limit = 1000) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('*')
+        .eq('company_id', companyId)
+        .gt('sequence', afterSequence)
+        .order('sequence', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching audit chain:', error);
+      throw error;
+    }
+  }
+
+  // Data retention and erasure
+  async getRetentionCompanies() {
+    try {
+      const { data, error } = await supabase
+        .from('companies')
+        .select('id, retention_months')
+        .not('retention_months', 'is', null);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching companies with retention periods:', error);
+      throw error;
+    }
+  }
+
+  // Oldest first; resumes being processed are left for the next sweep
+  async getExpiredResumes(companyId, cutoff, limit = 100) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .select('*')
+        .eq('company_id', companyId)
+        .lt('created_at', cutoff.toISOString())
+        .neq('status', 'processing')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching expired resumes:', error);
+      throw error;
+    }
+  }
+
+  // Every resume of the company whose extracted contact details match; takes normalized values. The raw email
+  // is matched too, for resumes processed before normalized contact details were stored.
+  async findResumesByIdentity(companyId, { email = null, phone = null }) {
+    try {
+      const conditions = [];
+      if (email) conditions.push(`normalized_email.eq."${email}"`, `candidate_email.ilike."${email}"`);
+      if (phone) conditions.push(`normalized_phone.eq.${phone}`);
+
+      const { data, error } = await supabase
+        .from('resumes')
+        .select('*')
+        .eq('company_id', companyId)
+        .or(conditions.join(','))
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error finding resumes by identity:', error);
+      throw error;
+    }
+  }
+
+  // Resumes whose text was never extracted (text_fingerprint is set with the contact details), so they
+  // cannot be matched by contact details
+  async getUnextractedResumes(companyId) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .select('id, status, created_at')
+        .eq('company_id', companyId)
+        .is('text_fingerprint', null)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching unextracted resumes:', error);
+      throw error;
+    }
+  }
+
+  // Rows that belong to the resumes and go with them; returns the number deleted per table
+  async deleteResumeRecords(resumeIds) {
+    try {
+      const counts = {};
+
+      for (const table of ['resume_notes', 'resume_stage_history', 'resume_score_versions', 'score_overrides']) {
+        const { count, error } = await supabase
+          .from(table)
+          .delete({ count: 'exact' })
+          .in('resume_id', resumeIds);
+
+        if (error) throw error;
+        counts[table] = count || 0;
+      }
+
+      return counts;
+    } catch (error) {
+      logger.error('Error deleting resume records:', error);
+      throw error;
+    }
+  }
+
+  // Records kept for company totals lose their link to the resumes in one transaction: `keys` are removed
+  // from analytics event data, token usage, reservations and ledger entries drop the resume id, webhook
+  // deliveries about the resumes are deleted and their entries are taken out of batch results. Returns counts
+  // per table. See migrations/20261019000600_data_retention.sql.
+  async scrubResumeReferences(companyId, resumeIds, keys) {
+    try {
+      const { data, error } = await supabase.rpc('scrub_resume_references', {
+        company_id: companyId,
+        resume_ids: resumeIds,
+        keys
+      });
+
+      if (error) throw error;
+      return data || {};
+    } catch (error) {
+      logger.error('Error scrubbing resume references:', error);
+      throw error;
+    }
+  }
+
+  // Resumes flagged as duplicates of the given ones stop pointing at them
+  async clearDuplicateLinks(resumeIds) {
+    try {
+      const { count, error } = await supabase
+        .from('resumes')
+        .update({ duplicate_of: null, duplicate_match: null }, { count: 'exact' })
+        .in('duplicate_of', resumeIds);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      logger.error('Error clearing duplicate links:', error);
+      throw error;
+    }
+  }
+
+  async deleteResumes(resumeIds) {
+    try {
+      const { count, error } = await supabase
+        .from('resumes')
+        .delete({ count: 'exact' })
+        .in('id', resumeIds);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      logger.error('Error deleting resumes:', error);
+      throw error;
+    }
+  }
+
+  // Deletes the resume rows and saves their anonymous totals in one transaction, so totals are never lost
+  // or counted twice. Fails, changing nothing, if any of the rows is already gone. Returns the number deleted.
+  async purgeResumes(companyId, resumeIds, aggregates) {
+    try {
+      const { data, error } = await supabase.rpc('purge_resumes', {
+        company_id: companyId,
+        resume_ids: resumeIds,
+        aggregates
+      });
+
+      if (error) throw error;
+      return data || 0;
+    } catch (error) {
+      logger.error('Error purging resumes:', error);
+      throw error;
+    }
+  }
+
+  async createErasureRequest(request) {
+    try {
+      const { data, error } = await supabase
+        .from('erasure_requests')
+        .insert(request)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating erasure request:', error);
+      throw error;
+    }
+  }
+
+  async updateErasureRequest(requestId, changes) {
+    try {
+      const { data, error } = await supabase
+        .from('erasure_requests')
+        .update(changes)
+        .eq('id', requestId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating erasure request:', error);
+      throw error;
+    }
+  }
+
+  async getErasureRequest(requestId) {
+    try {
+      const { data, error } = await supabase
+        .from('erasure_requests')
+        .select('*')
+        .eq('id', requestId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error fetching erasure request:', error);
+      throw error;
+    }
+  }
+
+  // Newest first, without the certificates
+  async getErasureRequests(companyId, limit = 20, offset = 0) {
+    try {
+      const { data, error, count } = await supabase
+        .from('erasure_requests')
+        .select('id, status, requested_by, resumes_erased, certificate_hash, error_message, created_at, completed_at', { count: 'exact' })
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { requests: data || [], totalCount: count || 0 };
+    } catch (error) {
+      logger.error('Error fetching erasure requests:', error);
+      throw error;
+    }
+  }
+
+  // Webhooks
+  // The signing secret is only read by the delivery worker; listings leave it out
+  async getWebhooksByCompany(companyId) {
+    try {
+      const { data, error } = await supabase
+        .from('webhooks')
+        .select('id, company_id, url, description, events, is_active, created_by, created_at, updated_at')
+        .eq('company_id', companyId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching webhooks:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookById(webhookId) {
+    try {
+      const { data, error } = await supabase
+        .from('webhooks')
+        .select('*')
+        .eq('id', webhookId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching webhook:', error);
+      throw error;
+    }
+  }
+
+  async createWebhook(companyId, webhook, secret, createdBy) {
+    try {
+      const { data, error } = await supabase
+        .from('webhooks')
+        .insert({
+          ...webhook,
+          company_id: companyId,
+          secret,
+          is_active: true,
+          created_by: createdBy,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  async updateWebhook(webhookId, changes) {
+    try {
+      const { data, error } = await supabase
+        .from('webhooks')
+        .update({
+          ...changes,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', webhookId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  async deleteWebhook(webhookId) {
+    try {
+      const { error } = await supabase
+        .from('webhooks')
+        .delete()
+        .eq('id', webhookId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  async getSubscribedWebhooks(companyId, eventType) {
+    try {
+      const { data, error } = await supabase
+        .from('webhooks')
+        .select('id, company_id')
+        .eq('company_id', companyId)
+        .eq('is_active', true)
+        .contains('events', [eventType]);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching subscribed webhooks:', error);
+      throw error;
+    }
+  }
+
+  async createWebhookDeliveries(deliveries) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .insert(deliveries)
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error creating webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookDelivery(deliveryId) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', deliveryId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookDeliveries(webhookId, limit = 50, offset = 0, filters = {}) {
+    try {
+      const { status, eventType } = filters;
+
+      let query = supabase
+        .from('webhook_deliveries')
+        .select('*', { count: 'exact' })
+        .eq('webhook_id', webhookId);
+
+      if (status) query = query.eq('status', status);
+      if (eventType) query = query.eq('event_type', eventType);
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return { deliveries: data || [], totalCount: count || 0 };
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  async getDueWebhookDeliveries(limit = 10) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  // Optimistic claim, as for resumes: only one worker sends each attempt
+  async claimWebhookDelivery(delivery) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update({
+          status: 'delivering',
+          attempts: (delivery.attempts || 0) + 1,
+          claimed_at: new Date().toISOString()
+        })
+        .eq('id', delivery.id)
+        .eq('status', 'pending')
+        .eq('attempts', delivery.attempts || 0)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error claiming webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  // Records the outcome of an attempt; `status` is delivered, pending (retry at nextAttemptAt) or failed
+  async recordWebhookAttempt(deliveryId, { status, responseStatus = null, errorMessage = null, durationMs = null, nextAttemptAt = null }) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update({
+          status,
+          response_status: responseStatus,
+          error_message: errorMessage,
+          duration_ms: durationMs,
+          next_attempt_at: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+          delivered_at: status === 'delivered' ? new Date().toISOString() : null,
+          claimed_at: null
+        })
+        .eq('id', deliveryId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error recording webhook attempt:', error);
+      throw error;
+    }
+  }
+
+  async requeueStaleWebhookDeliveries(claimedBefore) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .update({
+          status: 'pending',
+          next_attempt_at: new Date().toISOString()
+        })
+        .eq('status', 'delivering')
+        .lt('claimed_at', claimedBefore.toISOString())
+        .select('id');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error requeueing stale webhook deliveries:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new DatabaseQueries();
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * JSON with object keys sorted, so a value hashes the same after a jsonb round trip (which reorders keys)
+ */
+
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+module.exports = canonical;
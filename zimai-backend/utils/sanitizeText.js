@@ -77,6 +77,17 @@ function extractKeywords(text, commonKeywords = []) {
   return [...new Set(foundKeywords)]; // Remove duplicates
 }
 
+// Case-insensitive de-duplication that keeps the first spelling seen
+function uniqueTerms(terms) {
+  const seen = new Set();
+  return terms.filter(term => {
+    const key = term.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
 function extractSections(text) {
   if (!text || typeof text !== 'string') {
     return {};
@@ -137,6 +148,22 @@ function extractSections(text) {
   return sections;
 }
 
+// Ordered highest first so the first match is the candidate's top qualification
+const EDUCATION_LEVELS = [
+  { level: 'doctorate', rank: 4, pattern: /\b(ph\.?d|doctorate|doctor of)\b/i },
+  { level: 'masters', rank: 3, pattern: /\b(master'?s?|msc|m\.sc|mba|m\.a\.|meng)\b/i },
+  { level: 'bachelors', rank: 2, pattern: /\b(bachelor'?s?|bsc|b\.sc|b\.a\.|beng|b\.tech|undergraduate degree|honours degree)\b/i },
+  { level: 'diploma', rank: 1, pattern: /\b(diploma|associate degree|higher national|hnd|certificate)\b/i }
+];
+
+function detectEducationLevel(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  return EDUCATION_LEVELS.find(({ pattern }) => pattern.test(text)) || null;
+}
+
 function normalizeCompanyNames(text) {
   if (!text || typeof text !== 'string') {
     return text;
@@ -231,7 +258,10 @@ function validateTextQuality(text) {
 module.exports = {
   sanitizeText,
   extractKeywords,
+  uniqueTerms,
   extractSections,
+  detectEducationLevel,
+  EDUCATION_LEVELS,
   normalizeCompanyNames,
   validateTextQuality
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Bounded reads of ZIP archive entries. adm-zip's entry.getData() only limits inflation to the size the
+ * entry header declares, and not at all when it declares 0, so a few kilobytes can expand to gigabytes.
+ */
+
+const zlib = require('zlib');
+const { crc32, Constants } = require('adm-zip/util');
+
+// Uncompressed size allowed for all the parts of one DOCX or ODT document together
+const MAX_DOCUMENT_EXPANDED_SIZE = 50 * 1024 * 1024;
+
+const zipEntryError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Returns the entry's data, throwing ZIP_ENTRY_TOO_LARGE as soon as it would pass maxBytes and
+// ZIP_ENTRY_CORRUPTED when it does not inflate to the declared size and checksum
+function readZipEntry(entry, maxBytes) {
+  const { method, encrypted, size, crc } = entry.header;
+
+  if (encrypted) {
+    throw zipEntryError('ZIP entry is encrypted', 'ZIP_ENTRY_UNSUPPORTED');
+  }
+
+  let data;
+  try {
+    const compressed = entry.getCompressedData();
+
+    if (method === Constants.STORED) {
+      data = compressed;
+    } else if (method === Constants.DEFLATED) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(maxBytes, 1) });
+    } else {
+      throw zipEntryError('ZIP entry uses an unsupported compression method', 'ZIP_ENTRY_UNSUPPORTED');
+    }
+  } catch (error) {
+    if (error.code === 'ZIP_ENTRY_UNSUPPORTED') throw error;
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw zipEntryError(`ZIP entry is larger than ${maxBytes} bytes`, 'ZIP_ENTRY_TOO_LARGE');
+    }
+    throw zipEntryError(`ZIP entry could not be read: ${error.message}`, 'ZIP_ENTRY_CORRUPTED');
+  }
+
+  if (data.length > maxBytes) {
+    throw zipEntryError(`ZIP entry is larger than ${maxBytes} bytes`, 'ZIP_ENTRY_TOO_LARGE');
+  }
+
+  // The header sizes can lie; only data that matches both the declared size and the checksum is used
+  if (data.length !== size || crc32(data) !== crc) {
+    throw zipEntryError('ZIP entry does not match its header', 'ZIP_ENTRY_CORRUPTED');
+  }
+
+  return data;
+}
+
+// Inflates every entry within one shared budget, so a document's parts cannot together expand past maxBytes
+// when a parser later reads them with a library that does not bound inflation itself
+function checkZipEntries(zip, maxBytes) {
+  let remaining = maxBytes;
+
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) continue;
+    remaining -= readZipEntry(entry, remaining).length;
+  }
+}
+
+module.exports = { readZipEntry, checkZipEntries, MAX_DOCUMENT_EXPANDED_SIZE };
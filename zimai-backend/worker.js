@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+const resumeWorker = require('./services/resumeWorker');
+const webhookWorker = require('./services/webhookWorker');
+const retentionWorker = require('./services/retentionWorker');
+const logger = require('./utils/logger');
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (err) => {
+  logger.error('Uncaught Exception:', err);
+  process.exit(1);
+});
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (err) => {
+  logger.error('Unhandled Rejection:', err);
+  process.exit(1);
+});
+
+Promise.all([resumeWorker.start(), webhookWorker.start(), retentionWorker.start()]).then(() => {
+  logger.info(`⚙️  ZimAI Resume Worker running (${process.env.NODE_ENV})`);
+});
+
+// Graceful shutdown
+const shutdown = (signal) => {
+  logger.info(`${signal} received, stopping worker gracefully...`);
+  Promise.all([resumeWorker.stop(), webhookWorker.stop(), retentionWorker.stop()]).then(() => {
+    logger.info('Worker terminated');
+    process.exit(0);
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));